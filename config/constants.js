@@ -12,6 +12,240 @@ const CAR_STATUS = {
   SOLD: 'sold',
   RENTED: 'rented',
   UNDER_REVIEW: 'under_review',
+  REJECTED: 'rejected',
+};
+
+// Statuses visible in public listings (pending and rejected listings are hidden)
+const PUBLIC_CAR_STATUSES = [CAR_STATUS.AVAILABLE, CAR_STATUS.SOLD, CAR_STATUS.RENTED];
+
+// Listing status state machine: allowed transitions and the roles that can make them
+// 'owner' is the listing's owner; leaving under_review is a moderation decision
+const CAR_STATUS_TRANSITIONS = {
+  [CAR_STATUS.AVAILABLE]: {
+    [CAR_STATUS.SOLD]: ['owner', ROLES.ADMIN],
+    [CAR_STATUS.RENTED]: ['owner', ROLES.ADMIN],
+    [CAR_STATUS.UNDER_REVIEW]: [ROLES.MODERATOR, ROLES.ADMIN],
+  },
+  [CAR_STATUS.SOLD]: {
+    [CAR_STATUS.AVAILABLE]: ['owner', ROLES.ADMIN],
+  },
+  [CAR_STATUS.RENTED]: {
+    [CAR_STATUS.AVAILABLE]: ['owner', ROLES.ADMIN],
+  },
+  [CAR_STATUS.UNDER_REVIEW]: {
+    [CAR_STATUS.AVAILABLE]: [ROLES.MODERATOR, ROLES.ADMIN],
+    [CAR_STATUS.REJECTED]: [ROLES.MODERATOR, ROLES.ADMIN],
+  },
+  [CAR_STATUS.REJECTED]: {
+    [CAR_STATUS.UNDER_REVIEW]: ['owner', ROLES.ADMIN],
+  },
+};
+
+// Rental Booking Status
+const BOOKING_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed',
+};
+
+// Rental Bookings
+const RENTAL = {
+  MAX_BOOKING_DAYS: parseInt(process.env.MAX_BOOKING_DAYS, 10) || 90,
+  // How often approved bookings are checked to move cars between available and rented
+  STATUS_SYNC_INTERVAL_MINUTES: parseInt(process.env.RENTAL_STATUS_SYNC_INTERVAL_MINUTES, 10) || 15,
+};
+
+// Purchase Offer Status
+const OFFER_STATUS = {
+  PENDING: 'pending', // waiting for the seller
+  COUNTERED: 'countered', // seller countered, waiting for the buyer
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+};
+
+// Offers that can still be accepted, declined or countered
+const OPEN_OFFER_STATUSES = [OFFER_STATUS.PENDING, OFFER_STATUS.COUNTERED];
+
+// Purchase Offers
+const OFFERS = {
+  // Time the other side has to respond to an offer or counter-offer
+  EXPIRY_HOURS: parseInt(process.env.OFFER_EXPIRY_HOURS, 10) || 72,
+  EXPIRY_CHECK_INTERVAL_MINUTES: parseInt(process.env.OFFER_EXPIRY_CHECK_INTERVAL_MINUTES, 10) || 15,
+};
+
+// Who can see a seller's contact details
+const CONTACT_VISIBILITY = {
+  NOBODY: 'nobody',
+  USERS: 'users', // any signed-in user
+  VERIFIED: 'verified', // signed-in users with a verified email
+};
+
+// Sort options for car listings (query value -> MongoDB sort)
+const CAR_SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  price_asc: { price: 1 },
+  price_desc: { price: -1 },
+  year_desc: { year: -1 },
+  year_asc: { year: 1 },
+  mileage_asc: { mileage: 1 },
+  mileage_desc: { mileage: -1 },
+  views_desc: { views: -1 },
+  rating_desc: { rating: -1, reviewCount: -1 },
+};
+
+// Saved Search Alerts
+const SAVED_SEARCH = {
+  FREQUENCIES: ['instant', 'daily'],
+  MAX_PER_USER: parseInt(process.env.MAX_SAVED_SEARCHES, 10) || 20,
+  MAX_CARS_PER_EMAIL: 10,
+  // How often the scheduler looks for daily digests that are due
+  DIGEST_CHECK_INTERVAL_MINUTES: parseInt(process.env.SAVED_SEARCH_CHECK_INTERVAL_MINUTES, 10) || 60,
+};
+
+// Price Drop Alerts
+const minAlertPercent = parseFloat(process.env.PRICE_DROP_ALERT_MIN_PERCENT);
+
+const PRICE_DROP = {
+  // Smallest drop, in percent of the previous price, that emails favorites and saved searches
+  // 0 alerts on every drop
+  MIN_ALERT_PERCENT: Number.isFinite(minAlertPercent) ? minAlertPercent : 5,
+};
+
+// Listing View Counting
+const VIEW_TRACKING = {
+  // Repeat views by the same viewer within this window count once
+  DEDUP_WINDOW_MINUTES: parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES, 10) || 30,
+  // User agents of crawlers, link previews and scripts (requests without a user agent are skipped too)
+  BOT_USER_AGENT_PATTERN: /bot|crawl|spider|slurp|preview|facebookexternalhit|headless|curl|wget|python|java\/|httpclient|axios|node-fetch/i,
+};
+
+// Owner Analytics
+const ANALYTICS = {
+  DEFAULT_DAYS: 30,
+  MAX_DAYS: 90,
+};
+
+// Rate Limits: requests allowed per window, per IP or account
+const RATE_LIMIT = {
+  // Every API request, per IP
+  API: {
+    LIMIT: parseInt(process.env.RATE_LIMIT_API_MAX, 10) || 300,
+    WINDOW_MINUTES: parseInt(process.env.RATE_LIMIT_API_WINDOW_MINUTES, 10) || 15,
+  },
+  // POST, PUT, PATCH and DELETE requests, per account (per IP for guests)
+  WRITE: {
+    LIMIT: parseInt(process.env.RATE_LIMIT_WRITE_MAX, 10) || 100,
+    WINDOW_MINUTES: parseInt(process.env.RATE_LIMIT_WRITE_WINDOW_MINUTES, 10) || 15,
+  },
+  // New car listings, per account
+  CAR_CREATE: {
+    LIMIT: parseInt(process.env.RATE_LIMIT_CAR_CREATE_MAX, 10) || 10,
+    WINDOW_MINUTES: parseInt(process.env.RATE_LIMIT_CAR_CREATE_WINDOW_MINUTES, 10) || 60,
+  },
+  // Login attempts, per IP
+  LOGIN: {
+    LIMIT: parseInt(process.env.RATE_LIMIT_LOGIN_MAX, 10) || 20,
+    WINDOW_MINUTES: parseInt(process.env.RATE_LIMIT_LOGIN_WINDOW_MINUTES, 10) || 15,
+  },
+  // Failed login attempts, per email address
+  LOGIN_ACCOUNT: {
+    LIMIT: parseInt(process.env.RATE_LIMIT_LOGIN_ACCOUNT_MAX, 10) || 10,
+    WINDOW_MINUTES: parseInt(process.env.RATE_LIMIT_LOGIN_ACCOUNT_WINDOW_MINUTES, 10) || 15,
+  },
+  // Sign-ups, per IP
+  REGISTER: {
+    LIMIT: parseInt(process.env.RATE_LIMIT_REGISTER_MAX, 10) || 5,
+    WINDOW_MINUTES: parseInt(process.env.RATE_LIMIT_REGISTER_WINDOW_MINUTES, 10) || 60,
+  },
+  // Requests that send an email (verification, password reset), per IP
+  EMAIL_REQUEST: {
+    LIMIT: parseInt(process.env.RATE_LIMIT_EMAIL_REQUEST_MAX, 10) || 5,
+    WINDOW_MINUTES: parseInt(process.env.RATE_LIMIT_EMAIL_REQUEST_WINDOW_MINUTES, 10) || 60,
+  },
+};
+
+// Progressive Account Lockout after repeated failed logins
+const LOGIN_LOCKOUT = {
+  MAX_FAILED_ATTEMPTS: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5,
+  // The first lockout lasts BASE_MINUTES; each further one doubles, up to MAX_MINUTES
+  BASE_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+  MAX_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 24 * 60,
+};
+
+// API Versions, mounted at /api/<version>
+// /api is an alias during the transition: it serves the version asked for in Accept-Version, else DEFAULT_VERSION
+const API_VERSIONING = {
+  VERSIONS: ['v1'],
+  DEFAULT_VERSION: 'v1',
+  // Announced in the Deprecation header of /api responses without Accept-Version
+  ALIAS_DEPRECATED_AT: '2026-10-18',
+  // Date the alias is removed, sent in the Sunset header once set
+  ALIAS_SUNSET: process.env.API_ALIAS_SUNSET || null,
+};
+
+// Email Languages (per user, see User.locale)
+const SUPPORTED_LOCALES = ['en', 'ru'];
+const DEFAULT_LOCALE = 'en';
+
+// Outbox Email Status
+const EMAIL_STATUS = {
+  PENDING: 'pending', // waiting for its first or next attempt
+  SENDING: 'sending', // claimed by the worker
+  SENT: 'sent',
+  DEAD: 'dead', // gave up: out of attempts or rejected permanently
+};
+
+// Email Outbox Worker
+const EMAIL_OUTBOX = {
+  MAX_ATTEMPTS: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 6,
+  // Retry delays double from RETRY_BASE_SECONDS after each failure, up to RETRY_MAX_MINUTES
+  RETRY_BASE_SECONDS: parseInt(process.env.EMAIL_RETRY_BASE_SECONDS, 10) || 30,
+  RETRY_MAX_MINUTES: parseInt(process.env.EMAIL_RETRY_MAX_MINUTES, 10) || 60,
+  POLL_INTERVAL_SECONDS: parseInt(process.env.EMAIL_WORKER_INTERVAL_SECONDS, 10) || 10,
+  BATCH_SIZE: 20,
+  // A message claimed longer ago than this was dropped by a crashed worker and is picked up again
+  SENDING_TIMEOUT_MINUTES: 5,
+  // Sent and dead messages are deleted this long after their last attempt
+  RETENTION_DAYS: parseInt(process.env.EMAIL_RETENTION_DAYS, 10) || 30,
+  // Emails carrying account links (verification, password reset): bodies are dropped once delivered
+  // or dead, and they can't be viewed or resent from the outbox
+  SECURITY_TEMPLATES: ['verify-email', 'password-reset'],
+};
+
+// Email Notification Categories users can opt out of (see utils/notificationPreferences.js)
+// Account emails (verification, password reset, lockouts) are always sent
+const NOTIFICATION_CATEGORIES = {
+  LISTING_CONFIRMATIONS: 'listingConfirmations', // listing reviewed, approved or rejected
+  MESSAGES: 'messages', // messages, offers and booking requests from other users
+  PRICE_DROPS: 'priceDrops', // price drops on saved cars and saved searches
+  MARKETING: 'marketing', // news and promotions
+};
+
+// In-App Notifications
+const NOTIFICATIONS = {
+  // Notifications are deleted this many days after they were created
+  RETENTION_DAYS: parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 90,
+};
+
+// Buyer-Seller Messaging
+const MESSAGING = {
+  MAX_MESSAGE_LENGTH: 2000,
+  // Sellers get at most one new-message email per conversation in this window
+  EMAIL_COOLDOWN_MINUTES: parseInt(process.env.MESSAGE_EMAIL_COOLDOWN_MINUTES, 10) || 15,
+};
+
+// Car Image Uploads
+const IMAGE_UPLOAD = {
+  ALLOWED_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+  MAX_FILE_SIZE_MB: parseInt(process.env.MAX_IMAGE_SIZE_MB, 10) || 5,
+  MAX_FILES_PER_REQUEST: 10,
+  MAX_IMAGES_PER_CAR: parseInt(process.env.MAX_IMAGES_PER_CAR, 10) || 20,
+  THUMBNAIL: { width: 400, height: 300 },
+  FULL_SIZE: { width: 1600, height: 1200 },
 };
 
 // HTTP Status Codes
@@ -23,6 +257,8 @@ const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
 };
 
@@ -31,9 +267,38 @@ const ERROR_MESSAGES = {
   INVALID_CREDENTIALS: 'Invalid email or password',
   USER_ALREADY_EXISTS: 'User already exists',
   USER_NOT_FOUND: 'User not found',
+  ACCOUNT_SUSPENDED: 'Your account has been suspended. Please contact support.',
   UNAUTHORIZED: 'Unauthorized access',
   INVALID_TOKEN: 'Invalid or expired token',
+  EMAIL_NOT_VERIFIED: 'Please verify your email address first',
+  INVALID_RESET_TOKEN: 'Password reset link is invalid or has expired',
+  INVALID_REFRESH_TOKEN: 'Invalid or expired refresh token',
+  SESSION_NOT_FOUND: 'Session not found',
   CAR_NOT_FOUND: 'Car listing not found',
+  REVIEW_NOT_FOUND: 'Review not found',
+  REVIEW_ALREADY_EXISTS: 'You have already reviewed this listing',
+  CANNOT_REVIEW_OWN_LISTING: 'You cannot review your own listing',
+  IMAGE_NOT_FOUND: 'Image not found',
+  CAR_NOT_UNDER_REVIEW: 'Car listing is not awaiting review',
+  SAVED_SEARCH_NOT_FOUND: 'Saved search not found',
+  CONVERSATION_NOT_FOUND: 'Conversation not found',
+  CONTACT_NOT_AVAILABLE: 'The seller has not shared this contact detail with you',
+  BOOKING_NOT_FOUND: 'Booking not found',
+  CAR_NOT_RENTABLE: 'This car is not available for rent',
+  BOOKING_CONFLICT: 'The car is not available for the selected dates',
+  OFFER_NOT_FOUND: 'Offer not found',
+  CAR_NOT_FOR_SALE: 'This car is no longer available for purchase',
+  OFFER_ALREADY_OPEN: 'You already have an open offer on this car',
+  STATUS_TRANSITION_NOT_ALLOWED: 'You are not allowed to make this status change',
+  CANNOT_MESSAGE_OWN_LISTING: 'You cannot message yourself about your own listing',
+  EMAIL_NOT_FOUND: 'Email not found',
+  EMAIL_NOT_RESENDABLE: 'Only sent or dead emails can be resent',
+  SECURITY_EMAIL_NOT_RESENDABLE: 'Account emails cannot be resent; the user can request a new link',
+  EMAIL_TEMPLATE_NOT_FOUND: 'Email template not found',
+  NOTIFICATION_NOT_FOUND: 'Notification not found',
+  TOO_MANY_REQUESTS: 'Too many requests, please try again later',
+  UNSUPPORTED_API_VERSION: 'Unsupported API version',
+  ACCOUNT_LOCKED: 'Too many failed sign-in attempts. Your account is temporarily locked.',
   VALIDATION_ERROR: 'Validation error',
   INTERNAL_ERROR: 'Internal server error',
 };
@@ -41,6 +306,30 @@ const ERROR_MESSAGES = {
 module.exports = {
   ROLES,
   CAR_STATUS,
+  PUBLIC_CAR_STATUSES,
+  CAR_STATUS_TRANSITIONS,
+  BOOKING_STATUS,
+  RENTAL,
+  OFFER_STATUS,
+  OPEN_OFFER_STATUSES,
+  OFFERS,
+  CONTACT_VISIBILITY,
+  CAR_SORT_OPTIONS,
+  SAVED_SEARCH,
+  PRICE_DROP,
+  VIEW_TRACKING,
+  ANALYTICS,
+  RATE_LIMIT,
+  LOGIN_LOCKOUT,
+  API_VERSIONING,
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  EMAIL_STATUS,
+  EMAIL_OUTBOX,
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATIONS,
+  MESSAGING,
+  IMAGE_UPLOAD,
   HTTP_STATUS,
   ERROR_MESSAGES,
 };
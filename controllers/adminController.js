@@ -0,0 +1,258 @@
+const User = require('../models/User');
+const Car = require('../models/Car');
+const Session = require('../models/Session');
+const { removeCarListings } = require('../utils/listingCleanup');
+const { escapeRegex } = require('../utils/carQuery');
+const { HTTP_STATUS, ERROR_MESSAGES, ROLES } = require('../config/constants');
+
+// Reject admin actions that would lock the admin out of their own account
+const rejectSelfAction = (req, res, action) => {
+  if (req.params.id !== req.user.userId) {
+    return false;
+  }
+
+  res.status(HTTP_STATUS.BAD_REQUEST).json({
+    success: false,
+    message: `You cannot ${action} your own account`,
+  });
+  return true;
+};
+
+// Get Users (search and paginate)
+const getUsers = async (req, res, next) => {
+  try {
+    const { search, role, suspended, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [
+        { username: pattern },
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern },
+      ];
+    }
+    if (role && Object.values(ROLES).includes(role)) filter.role = role;
+    if (suspended === 'true') filter.isSuspended = true;
+    if (suspended === 'false') filter.isSuspended = { $ne: true };
+
+    const skip = (page - 1) * limit;
+
+    const users = await User.find(filter)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 });
+
+    const total = await User.countDocuments(filter);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      users,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Single User with listing count
+const getUserById = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.USER_NOT_FOUND,
+      });
+    }
+
+    const listingCount = await Car.countDocuments({ owner: user._id });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      user,
+      listingCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change User Role
+const changeUserRole = async (req, res, next) => {
+  try {
+    if (rejectSelfAction(req, res, 'change the role of')) return;
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role, updatedAt: Date.now() },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.USER_NOT_FOUND,
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `User role changed to ${user.role}`,
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Suspend User
+const suspendUser = async (req, res, next) => {
+  try {
+    if (rejectSelfAction(req, res, 'suspend')) return;
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        isSuspended: true,
+        suspension: {
+          reason: req.body.reason,
+          suspendedAt: Date.now(),
+          suspendedBy: req.user.userId,
+        },
+        updatedAt: Date.now(),
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.USER_NOT_FOUND,
+      });
+    }
+
+    // Sign the user out everywhere
+    await Session.revokeAllForUser(user._id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'User suspended successfully',
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reinstate User
+const reinstateUser = async (req, res, next) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        isSuspended: false,
+        $unset: { suspension: 1 },
+        updatedAt: Date.now(),
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.USER_NOT_FOUND,
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'User reinstated successfully',
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove All Listings of a User
+const removeUserListings = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.USER_NOT_FOUND,
+      });
+    }
+
+    const cars = await Car.find({ owner: user._id }).select('title images');
+    const removed = await removeCarListings(cars, req.user.userId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `${removed} listing(s) removed`,
+      removed,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reassign All Listings of a User to Another User
+const reassignUserListings = async (req, res, next) => {
+  try {
+    const { newOwnerId } = req.body;
+
+    if (newOwnerId === req.params.id) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'New owner must be a different user',
+      });
+    }
+
+    const [user, newOwner] = await Promise.all([
+      User.findById(req.params.id),
+      User.findById(newOwnerId),
+    ]);
+
+    if (!user || !newOwner) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.USER_NOT_FOUND,
+      });
+    }
+
+    const result = await Car.updateMany(
+      { owner: user._id },
+      { owner: newOwner._id, updatedAt: Date.now() }
+    );
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `${result.modifiedCount} listing(s) reassigned to ${newOwner.username}`,
+      reassigned: result.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  changeUserRole,
+  suspendUser,
+  reinstateUser,
+  removeUserListings,
+  reassignUserListings,
+};
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const CarDailyStat = require('../models/CarDailyStat');
+const Favorite = require('../models/Favorite');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const ContactReveal = require('../models/ContactReveal');
+const { HTTP_STATUS, ANALYTICS } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const METRICS = ['views', 'favorites', 'messages', 'contactReveals'];
+
+// Day key (YYYY-MM-DD, UTC) used to line up the daily series
+const toDayKey = (date) => date.toISOString().slice(0, 10);
+
+// Count documents per group key per day since `from`
+// Resolves to rows of { key, day, count } with key as a string
+const countPerDay = async (Model, match, groupField) => {
+  const rows = await Model.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          key: `$${groupField}`,
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return rows.map(row => ({ key: row._id.key.toString(), day: row._id.day, count: row.count }));
+};
+
+// Get Listing Analytics (views, favorites, messages and contact reveals per listing per day)
+const getListingAnalytics = async (req, res, next) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || ANALYTICS.DEFAULT_DAYS, 1), ANALYTICS.MAX_DAYS);
+    const ownerId = new mongoose.Types.ObjectId(req.user.userId);
+
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const from = new Date(today.getTime() - (days - 1) * DAY_MS);
+    const dayKeys = Array.from({ length: days }, (_, index) => toDayKey(new Date(from.getTime() + index * DAY_MS)));
+
+    const cars = await Car.find({ owner: ownerId })
+      .select('title status price views images createdAt')
+      .sort({ createdAt: -1 });
+    const carIds = cars.map(car => car._id);
+
+    const conversations = await Conversation.find({ car: { $in: carIds } }).select('car');
+    const conversationCars = new Map(conversations.map(conversation => [conversation._id.toString(), conversation.car.toString()]));
+
+    const [viewStats, favoriteRows, messageRows, revealRows, favoriteTotals] = await Promise.all([
+      CarDailyStat.find({ car: { $in: carIds }, day: { $gte: from } }),
+      countPerDay(Favorite, { car: { $in: carIds }, createdAt: { $gte: from } }, 'car'),
+      // Only messages from buyers; the owner's replies are not interest in the listing
+      countPerDay(Message, {
+        conversation: { $in: conversations.map(conversation => conversation._id) },
+        sender: { $ne: ownerId },
+        createdAt: { $gte: from },
+      }, 'conversation'),
+      countPerDay(ContactReveal, { car: { $in: carIds }, createdAt: { $gte: from } }, 'car'),
+      Favorite.aggregate([
+        { $match: { car: { $in: carIds } } },
+        { $group: { _id: '$car', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    // carId -> dayKey -> { views, favorites, messages, contactReveals }
+    const series = new Map(carIds.map(id => [
+      id.toString(),
+      new Map(dayKeys.map(day => [day, Object.fromEntries(METRICS.map(metric => [metric, 0]))])),
+    ]));
+    const add = (carId, day, metric, count) => {
+      const point = series.get(carId)?.get(day);
+      if (point) point[metric] += count;
+    };
+
+    viewStats.forEach(stat => add(stat.car.toString(), toDayKey(stat.day), 'views', stat.views));
+    favoriteRows.forEach(row => add(row.key, row.day, 'favorites', row.count));
+    messageRows.forEach(row => add(conversationCars.get(row.key), row.day, 'messages', row.count));
+    revealRows.forEach(row => add(row.key, row.day, 'contactReveals', row.count));
+
+    const savedCounts = new Map(favoriteTotals.map(row => [row._id.toString(), row.count]));
+    const emptyTotals = () => Object.fromEntries(METRICS.map(metric => [metric, 0]));
+    const totals = emptyTotals();
+
+    const listings = cars.map((car) => {
+      const daily = dayKeys.map(day => ({ date: day, ...series.get(car._id.toString()).get(day) }));
+      const listingTotals = daily.reduce((sum, point) => {
+        METRICS.forEach((metric) => { sum[metric] += point[metric]; });
+        return sum;
+      }, emptyTotals());
+      METRICS.forEach((metric) => { totals[metric] += listingTotals[metric]; });
+
+      return {
+        car: {
+          _id: car._id,
+          title: car.title,
+          status: car.status,
+          price: car.price,
+          cover: car.images?.[0]?.thumbnailUrl || car.images?.[0]?.url || null,
+        },
+        totals: listingTotals,
+        allTime: {
+          views: car.views,
+          favorites: savedCounts.get(car._id.toString()) || 0,
+        },
+        daily,
+      };
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      range: { from: dayKeys[0], to: dayKeys[dayKeys.length - 1], days },
+      totals,
+      listings,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getListingAnalytics,
+};
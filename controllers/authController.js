@@ -1,12 +1,61 @@
 const User = require('../models/User');
-const { generateToken } = require('../utils/jwtUtils');
-const { sendWelcomeEmail } = require('../utils/emailService');
+const Session = require('../models/Session');
+const { logger } = require('../utils/logger');
+const {
+  generateToken,
+  generateRefreshToken,
+  getRefreshTokenExpiry,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+} = require('../utils/jwtUtils');
+const { sendWelcomeEmail, sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emailService');
+const {
+  LOCKOUT_FIELDS,
+  getLockoutRetrySeconds,
+  recordFailedLogin,
+  clearFailedLogins,
+} = require('../utils/loginLockout');
 const { HTTP_STATUS, ERROR_MESSAGES } = require('../config/constants');
 
+// Reject a sign-in while the account is locked out
+const sendAccountLocked = (res, lockUntil) => {
+  res.set('Retry-After', String(getLockoutRetrySeconds({ lockUntil })));
+  return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+    success: false,
+    message: ERROR_MESSAGES.ACCOUNT_LOCKED,
+    lockedUntil: lockUntil,
+  });
+};
+
+// Start a new session for a user and issue its access and refresh tokens
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip,
+    expiresAt: getRefreshTokenExpiry(),
+  });
+
+  return {
+    token: generateToken(user._id, user.role, session._id),
+    refreshToken,
+  };
+};
+
+// Build and send the email verification link for a user
+const sendVerificationLink = (user) => {
+  const token = generateEmailVerificationToken(user._id, user.email);
+  const verificationLink = `${process.env.FRONTEND_URL || 'http://localhost:5000'}/?verifyEmail=${token}`;
+  return sendVerificationEmail(user, verificationLink);
+};
+
 // Register User
 const register = async (req, res, next) => {
   try {
-    const { username, email, password, firstName, lastName, phone } = req.body;
+    const { username, email, password, firstName, lastName, phone, locale } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ $or: [{ email }, { username }] });
@@ -25,22 +74,28 @@ const register = async (req, res, next) => {
       firstName,
       lastName,
       phone,
+      locale,
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    // Generate tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     // Send welcome email (non-blocking - don't fail registration if email fails)
-    sendWelcomeEmail(email, username, firstName).catch((emailError) => {
-      console.error('Failed to send welcome email:', emailError.message);
+    sendWelcomeEmail(user).catch((emailError) => {
+      logger.error('Failed to send welcome email', { error: emailError });
+    });
+
+    sendVerificationLink(user).catch((emailError) => {
+      logger.error('Failed to send verification email', { error: emailError });
     });
 
     res.status(HTTP_STATUS.CREATED).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: user.toJSON(),
     });
   } catch (error) {
@@ -54,7 +109,7 @@ const login = async (req, res, next) => {
     const { email, password } = req.body;
 
     // Find user by email
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findOne({ email }).select(`+password ${LOCKOUT_FIELDS}`);
     if (!user) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
         success: false,
@@ -62,22 +117,90 @@ const login = async (req, res, next) => {
       });
     }
 
+    // Locked accounts are rejected even with the right password
+    if (user.isLoginLocked()) {
+      return sendAccountLocked(res, user.lockUntil);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const lockUntil = await recordFailedLogin(user);
+      if (lockUntil) {
+        return sendAccountLocked(res, lockUntil);
+      }
+
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
         success: false,
         message: ERROR_MESSAGES.INVALID_CREDENTIALS,
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    if (user.isSuspended) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: ERROR_MESSAGES.ACCOUNT_SUSPENDED,
+      });
+    }
+
+    await clearFailedLogins(user);
+
+    // Upgrade legacy plaintext passwords (or outdated cost factors) now that we know the password
+    if (user.passwordNeedsRehash()) {
+      try {
+        user.password = password;
+        // A legacy plaintext password is set to the same value, which Mongoose would not save otherwise
+        user.markModified('password');
+        await user.save();
+      } catch (rehashError) {
+        logger.error('Failed to rehash password', { error: rehashError });
+      }
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Verify Email
+const verifyEmail = async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(req.params.token);
+    } catch (tokenError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_TOKEN,
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || user.email !== decoded.email) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_TOKEN,
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save();
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Email verified successfully',
       user: user.toJSON(),
     });
   } catch (error) {
@@ -85,7 +208,176 @@ const login = async (req, res, next) => {
   }
 };
 
+// Resend Verification Email
+const resendVerification = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    // Same response whether or not the account exists, so this can't be used to probe for emails
+    const user = await User.findOne({ email });
+    if (user && !user.isEmailVerified) {
+      sendVerificationLink(user).catch((emailError) => {
+        logger.error('Failed to send verification email', { error: emailError });
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'If an unverified account exists for this email, a new verification link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Forgot Password
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    // Same response whether or not the account exists, so this can't be used to probe for emails
+    const user = await User.findOne({ email });
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:5000'}/?resetToken=${resetToken}`;
+      sendPasswordResetEmail(user, resetLink).catch((emailError) => {
+        logger.error('Failed to send password reset email', { error: emailError });
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reset Password
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashResetToken(token),
+      passwordResetExpires: { $gt: Date.now() },
+    }).select('+password');
+
+    if (!user) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_RESET_TOKEN,
+      });
+    }
+
+    // Consume the token and invalidate every token issued before now
+    // Proving access to the inbox also lifts any sign-in lockout
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordChangedAt = Date.now();
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockUntil = undefined;
+    await user.save();
+    await Session.revokeAllForUser(user._id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Refresh Access Token
+// Refresh tokens are rotated: every use issues a new one and invalidates the old one
+const refresh = async (req, res, next) => {
+  try {
+    const refreshTokenHash = Session.hashToken(req.body.refreshToken);
+
+    const session = await Session.findOne({ refreshTokenHash });
+    if (!session || !session.isActive()) {
+      // A rotated-out token being replayed means it leaked: kill the session it belonged to
+      const reusedSession = await Session.findOne({ previousRefreshTokenHash: refreshTokenHash });
+      if (reusedSession && reusedSession.isActive()) {
+        await reusedSession.revoke();
+      }
+
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_REFRESH_TOKEN,
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || user.isSuspended) {
+      await session.revoke();
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_REFRESH_TOKEN,
+      });
+    }
+
+    // Rotate atomically so two concurrent refreshes can't both succeed with the same token
+    const refreshToken = generateRefreshToken();
+    const rotated = await Session.updateOne(
+      { _id: session._id, refreshTokenHash, revokedAt: null },
+      {
+        refreshTokenHash: Session.hashToken(refreshToken),
+        previousRefreshTokenHash: refreshTokenHash,
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || session.userAgent,
+      }
+    );
+
+    if (rotated.modifiedCount === 0) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_REFRESH_TOKEN,
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      token: generateToken(user._id, user.role, session._id),
+      refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Logout User
+const logout = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ refreshTokenHash: Session.hashToken(req.body.refreshToken) });
+    if (session && !session.revokedAt) {
+      await session.revoke();
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   register,
   login,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  sendVerificationLink,
 };
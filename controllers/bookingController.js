@@ -0,0 +1,475 @@
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const Booking = require('../models/Booking');
+const { notifyUser } = require('../utils/notifications');
+const { logger } = require('../utils/logger');
+const {
+  startOfUtcDay,
+  countRentalDays,
+  calculateRentalPrice,
+  findBookingConflict,
+  syncCarRentalStatus,
+} = require('../utils/rentals');
+const { HTTP_STATUS, ERROR_MESSAGES, ROLES, CAR_STATUS, BOOKING_STATUS, RENTAL } = require('../config/constants');
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5000';
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Template values describing a booking (car title and dates)
+const describeBooking = (booking) => ({
+  car: booking.car?.title || 'your rental',
+  startDate: formatDay(booking.startDate),
+  endDate: formatDay(booking.endDate),
+});
+
+// Notify one side of a booking, without failing the request when sending the email fails
+const notifyBookingParty = (user, type, data) => {
+  if (!user?.email) return;
+
+  notifyUser(user, type, {
+    ...data,
+    actionUrl: `${frontendUrl()}/#profileSection`,
+  }).catch((emailError) => {
+    logger.error('Failed to send booking email', { error: emailError });
+  });
+};
+
+// Bookings are returned without the parties' email addresses (or the language they get emails in)
+const toBookingResponse = (booking) => {
+  const json = booking.toJSON();
+  delete json.renter?.email;
+  delete json.renter?.locale;
+  delete json.owner?.email;
+  delete json.owner?.locale;
+  return json;
+};
+
+// Load a booking the current user takes part in, with both parties and the car populated
+// Sends a 404 (also for non-participants) and resolves to {} when not found
+const findParticipantBooking = async (req, res) => {
+  const booking = mongoose.isValidObjectId(req.params.id)
+    ? await Booking.findById(req.params.id)
+      .populate('car', 'title images status rental')
+      .populate('renter', 'username email firstName lastName locale')
+      .populate('owner', 'username email firstName lastName locale')
+    : null;
+
+  const role = booking?.renter?._id.toString() === req.user.userId ? 'renter'
+    : booking?.owner?._id.toString() === req.user.userId ? 'owner'
+      : booking && req.user.role === ROLES.ADMIN ? 'admin'
+        : null;
+
+  if (!role) {
+    res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: ERROR_MESSAGES.BOOKING_NOT_FOUND,
+    });
+    return {};
+  }
+
+  return { booking, role };
+};
+
+// Reject a state change when the booking is no longer in one of the expected statuses
+const rejectBookingStatus = (res, booking, allowed) => {
+  if (allowed.includes(booking.status)) {
+    return false;
+  }
+
+  res.status(HTTP_STATUS.CONFLICT).json({
+    success: false,
+    message: `Booking is already ${booking.status}`,
+  });
+  return true;
+};
+
+// Update Rental Settings (rates and blackout dates)
+const updateRentalSettings = async (req, res, next) => {
+  try {
+    const car = await Car.findById(req.params.id);
+
+    if (!car) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOUND,
+      });
+    }
+
+    if (car.owner.toString() !== req.user.userId && req.user.role !== ROLES.ADMIN) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'You can only manage rentals of your own car listings',
+      });
+    }
+
+    const { isRentable, dailyRate, weeklyRate, blackoutDates } = req.body;
+
+    car.rental = {
+      isRentable,
+      dailyRate: dailyRate ?? car.rental?.dailyRate,
+      weeklyRate,
+      blackoutDates: blackoutDates.map(period => ({
+        ...period,
+        startDate: startOfUtcDay(period.startDate),
+        endDate: startOfUtcDay(period.endDate),
+      })),
+    };
+    car.updatedAt = Date.now();
+    await car.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Rental settings updated successfully',
+      rental: car.rental,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Car Availability (rates, blackout dates and booked date ranges)
+const getCarAvailability = async (req, res, next) => {
+  try {
+    const car = await Car.findById(req.params.id).select('rental status');
+
+    if (!car || !car.rental?.isRentable) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_RENTABLE,
+      });
+    }
+
+    const booked = await Booking.find({
+      car: car._id,
+      status: BOOKING_STATUS.APPROVED,
+      endDate: { $gt: startOfUtcDay(new Date()) },
+    })
+      .select('startDate endDate')
+      .sort({ startDate: 1 });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      availability: {
+        dailyRate: car.rental.dailyRate,
+        weeklyRate: car.rental.weeklyRate,
+        maxDays: RENTAL.MAX_BOOKING_DAYS,
+        blackoutDates: car.rental.blackoutDates,
+        booked: booked.map(({ startDate, endDate }) => ({ startDate, endDate })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Request Booking
+const requestBooking = async (req, res, next) => {
+  try {
+    const car = await Car.findById(req.params.id).populate('owner', 'username email locale');
+
+    // Listings of deleted accounts have no owner to approve the booking
+    if (!car || !car.owner || !car.rental?.isRentable || ![CAR_STATUS.AVAILABLE, CAR_STATUS.RENTED].includes(car.status)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_RENTABLE,
+      });
+    }
+
+    if (car.owner._id.toString() === req.user.userId) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'You cannot book your own car',
+      });
+    }
+
+    const startDate = startOfUtcDay(req.body.startDate);
+    const endDate = startOfUtcDay(req.body.endDate);
+    const days = countRentalDays(startDate, endDate);
+
+    if (startDate < startOfUtcDay(new Date())) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Bookings cannot start in the past',
+      });
+    }
+
+    if (days < 1 || days > RENTAL.MAX_BOOKING_DAYS) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `Bookings must be between 1 and ${RENTAL.MAX_BOOKING_DAYS} days`,
+      });
+    }
+
+    const conflict = await findBookingConflict(car, startDate, endDate);
+    if (conflict) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: ERROR_MESSAGES.BOOKING_CONFLICT,
+        details: [{ field: 'startDate', message: conflict }],
+      });
+    }
+
+    const booking = await Booking.create({
+      car: car._id,
+      renter: req.user.userId,
+      owner: car.owner._id,
+      startDate,
+      endDate,
+      days,
+      totalPrice: calculateRentalPrice(car.rental, days),
+      message: req.body.message,
+    });
+
+    await booking.populate('renter', 'username');
+
+    notifyBookingParty(car.owner, 'booking-requested', {
+      ...describeBooking({ car, startDate, endDate }),
+      renter: booking.renter?.username,
+      days,
+      oneDay: days === 1,
+      totalPrice: `$${booking.totalPrice.toLocaleString('en-US')}`,
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Booking requested successfully',
+      booking,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Bookings (as renter or as owner)
+const getBookings = async (req, res, next) => {
+  try {
+    const { role = 'renter', status, page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { [role === 'owner' ? 'owner' : 'renter']: req.user.userId };
+    if (status && Object.values(BOOKING_STATUS).includes(status)) filter.status = status;
+
+    const bookings = await Booking.find(filter)
+      .populate('car', 'title images status')
+      .populate('renter', 'username firstName lastName')
+      .populate('owner', 'username firstName lastName')
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ startDate: -1 });
+
+    const total = await Booking.countDocuments(filter);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      bookings,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Single Booking
+const getBookingById = async (req, res, next) => {
+  try {
+    const { booking, role } = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      booking: toBookingResponse(booking),
+      role,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve Booking (owner only)
+const approveBooking = async (req, res, next) => {
+  try {
+    const { booking, role } = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    if (role !== 'owner') {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Only the owner can approve a booking',
+      });
+    }
+
+    if (rejectBookingStatus(res, booking, [BOOKING_STATUS.PENDING])) return;
+
+    // Dates may have been taken or blocked since the request was made
+    const conflict = await findBookingConflict(booking.car, booking.startDate, booking.endDate, booking._id);
+    if (conflict) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: ERROR_MESSAGES.BOOKING_CONFLICT,
+        details: [{ field: 'startDate', message: conflict }],
+      });
+    }
+
+    const approved = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: BOOKING_STATUS.PENDING },
+      { status: BOOKING_STATUS.APPROVED, decidedAt: Date.now() },
+      { new: true }
+    );
+    if (!approved) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Booking was changed by another request',
+      });
+    }
+
+    // Two overlapping requests approved at the same moment: the later one steps back
+    if (await findBookingConflict(booking.car, booking.startDate, booking.endDate, booking._id)) {
+      await Booking.updateOne({ _id: booking._id }, { status: BOOKING_STATUS.PENDING, $unset: { decidedAt: 1 } });
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: ERROR_MESSAGES.BOOKING_CONFLICT,
+      });
+    }
+
+    await syncCarRentalStatus(booking.car._id);
+
+    notifyBookingParty(booking.renter, 'booking-approved', describeBooking(booking));
+
+    booking.status = approved.status;
+    booking.decidedAt = approved.decidedAt;
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Booking approved',
+      booking: toBookingResponse(booking),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Decline Booking (owner only)
+const declineBooking = async (req, res, next) => {
+  try {
+    const { booking, role } = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    if (role !== 'owner') {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Only the owner can decline a booking',
+      });
+    }
+
+    if (rejectBookingStatus(res, booking, [BOOKING_STATUS.PENDING])) return;
+
+    const declined = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: BOOKING_STATUS.PENDING },
+      { status: BOOKING_STATUS.DECLINED, decidedAt: Date.now(), reason: req.body.reason },
+      { new: true }
+    );
+    if (!declined) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Booking was changed by another request',
+      });
+    }
+
+    booking.status = declined.status;
+    booking.decidedAt = declined.decidedAt;
+    booking.reason = declined.reason;
+
+    notifyBookingParty(booking.renter, 'booking-declined', {
+      ...describeBooking(booking),
+      reason: booking.reason,
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Booking declined',
+      booking: toBookingResponse(booking),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cancel Booking (renter or owner, before it has finished)
+const cancelBooking = async (req, res, next) => {
+  try {
+    const { booking, role } = await findParticipantBooking(req, res);
+    if (!booking) return;
+
+    if (rejectBookingStatus(res, booking, [BOOKING_STATUS.PENDING, BOOKING_STATUS.APPROVED])) return;
+
+    const now = new Date();
+    if (booking.status === BOOKING_STATUS.APPROVED && booking.endDate <= now) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Bookings cannot be cancelled after they have ended',
+      });
+    }
+
+    const cancelled = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        $or: [
+          { status: BOOKING_STATUS.PENDING },
+          { status: BOOKING_STATUS.APPROVED, endDate: { $gt: now } },
+        ],
+      },
+      {
+        status: BOOKING_STATUS.CANCELLED,
+        cancelledAt: Date.now(),
+        cancelledBy: req.user.userId,
+        reason: req.body.reason,
+      },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Booking was changed by another request',
+      });
+    }
+
+    booking.status = cancelled.status;
+    booking.cancelledAt = cancelled.cancelledAt;
+    booking.cancelledBy = cancelled.cancelledBy;
+    booking.reason = cancelled.reason;
+
+    await syncCarRentalStatus(booking.car._id);
+
+    const cancelledByRenter = role === 'renter';
+    notifyBookingParty(cancelledByRenter ? booking.owner : booking.renter, 'booking-cancelled', {
+      ...describeBooking(booking),
+      byRenter: cancelledByRenter,
+      reason: booking.reason,
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Booking cancelled',
+      booking: toBookingResponse(booking),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  updateRentalSettings,
+  getCarAvailability,
+  requestBooking,
+  getBookings,
+  getBookingById,
+  approveBooking,
+  declineBooking,
+  cancelBooking,
+};
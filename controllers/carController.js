@@ -1,21 +1,102 @@
 const Car = require('../models/Car');
-const { HTTP_STATUS, ERROR_MESSAGES, CAR_STATUS, ROLES } = require('../config/constants');
+const Favorite = require('../models/Favorite');
+const ContactReveal = require('../models/ContactReveal');
+const { notifyUser } = require('../utils/notifications');
+const { buildCarListingFilter, getCarListingSort } = require('../utils/carQuery');
+const { notifyMatchingSavedSearches } = require('../utils/savedSearchAlerts');
+const { declineOpenOffers } = require('../utils/offers');
+const { removeCarListings } = require('../utils/listingCleanup');
+const { getPriceDropPercent, notifyPriceDrop } = require('../utils/priceDropAlerts');
+const { recordCarView } = require('../utils/viewTracking');
+const { logger } = require('../utils/logger');
+const {
+  getTransitionRoles,
+  canTransitionCarStatus,
+  getAllowedTransitions,
+  statusHistoryEntry,
+} = require('../utils/carStatus');
+const { approveCarListing, rejectCarListing } = require('./moderationController');
+const { OWNER_CONTACT_FIELDS, canSeeContactField, toPublicOwner } = require('../utils/contactPrivacy');
+const { HTTP_STATUS, ERROR_MESSAGES, CAR_STATUS, PUBLIC_CAR_STATUSES, ROLES } = require('../config/constants');
+
+// New and edited listings wait for a moderator when LISTING_MODERATION=true
+const isModerationEnabled = () => process.env.LISTING_MODERATION === 'true';
+
+// Statuses an edited listing goes back to review from; sold and rented listings keep their status
+const REVIEWABLE_CAR_STATUSES = [CAR_STATUS.AVAILABLE, CAR_STATUS.REJECTED, CAR_STATUS.UNDER_REVIEW];
+
+// Moderators and admins can see and edit listings without going through review
+const isStaff = (user) => [ROLES.ADMIN, ROLES.MODERATOR].includes(user?.role);
+
+// Shape car documents for the viewer: owner contact details limited by the owner's privacy
+// settings, plus the per-user isFavorited flag (always false for guests)
+const toCarResponses = async (cars, user) => {
+  const favorited = await Favorite.findFavoritedCarIds(user?.userId, cars.map(car => car._id));
+  return cars.map(car => ({
+    ...car.toJSON(),
+    owner: toPublicOwner(car.owner, user),
+    isFavorited: favorited.has(car._id.toString()),
+    priceDropPercent: getPriceDropPercent(car.previousPrice, car.price),
+  }));
+};
+
+// Fields sellers can set when creating or editing a listing
+// Status, owner, moderation and rental data have their own endpoints
+const EDITABLE_CAR_FIELDS = [
+  'title', 'description', 'brand', 'model', 'year', 'price', 'mileage',
+  'transmission', 'fuelType', 'color', 'features', 'location',
+];
+
+const pickEditableCarFields = (body) => Object.fromEntries(
+  EDITABLE_CAR_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Send a listing (back) to the moderation queue
+const submitForReview = (car) => {
+  car.status = CAR_STATUS.UNDER_REVIEW;
+  car.moderation = { submittedAt: Date.now() };
+};
+
+// Let the seller know their listing is waiting for review
+const notifyUnderReview = (owner, car) => {
+  if (!owner?.email) return;
+
+  notifyUser(owner, 'listing-under-review', { car: car.title }).catch((emailError) => {
+    logger.error('Failed to send under review email', { error: emailError });
+  });
+};
 
 // Create Car Listing
 const createCarListing = async (req, res, next) => {
   try {
     const carData = {
-      ...req.body,
+      ...pickEditableCarFields(req.body),
       owner: req.user.userId,
     };
 
     const car = new Car(carData);
+    car.priceHistory = [{ price: car.price }];
+    const needsReview = isModerationEnabled() && !isStaff(req.user);
+    if (needsReview) {
+      submitForReview(car);
+    }
+
     await car.save();
-    await car.populate('owner', 'username email firstName lastName');
+    await car.populate('owner', 'username email firstName lastName locale');
+
+    if (needsReview) {
+      notifyUnderReview(car.owner, car);
+    } else {
+      notifyMatchingSavedSearches(car).catch((alertError) => {
+        logger.error('Failed to send saved search alerts', { error: alertError });
+      });
+    }
 
     res.status(HTTP_STATUS.CREATED).json({
       success: true,
-      message: 'Car listing created successfully',
+      message: needsReview
+        ? 'Car listing submitted for review'
+        : 'Car listing created successfully',
       car,
     });
   } catch (error) {
@@ -26,39 +107,27 @@ const createCarListing = async (req, res, next) => {
 // Get All Car Listings
 const getAllCarListings = async (req, res, next) => {
   try {
-    const { status, brand, model, minPrice, maxPrice, page = 1, limit = 10, search } = req.query;
-
-    const filter = {};
-
-    if (status) filter.status = status;
-    if (brand) filter.brand = new RegExp(brand, 'i');
-    if (model) filter.model = new RegExp(model, 'i');
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
-    }
+    const { page, limit, sort } = req.query;
 
-    if (search) {
-      filter.$text = { $search: search };
-    }
+    // Listings awaiting review or rejected by moderators are never public
+    const filter = buildCarListingFilter(req.query);
 
     const skip = (page - 1) * limit;
 
     const cars = await Car.find(filter)
-      .populate('owner', 'username email firstName lastName phone')
+      .populate('owner', OWNER_CONTACT_FIELDS)
       .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
+      .limit(limit)
+      .sort(getCarListingSort(sort));
 
     const total = await Car.countDocuments(filter);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      cars,
+      cars: await toCarResponses(cars, req.user),
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
         pages: Math.ceil(total / limit),
       },
@@ -71,22 +140,32 @@ const getAllCarListings = async (req, res, next) => {
 // Get Single Car Listing
 const getCarListingById = async (req, res, next) => {
   try {
-    const car = await Car.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { views: 1 } },
-      { new: true }
-    ).populate('owner', 'username email firstName lastName phone address');
+    const car = await Car.findById(req.params.id)
+      .populate('owner', OWNER_CONTACT_FIELDS);
 
-    if (!car) {
+    // Listings that are not public are only visible to their owner and staff
+    const canView = car && (
+      PUBLIC_CAR_STATUSES.includes(car.status)
+      || isStaff(req.user)
+      || car.owner?._id.toString() === req.user?.userId
+    );
+
+    if (!canView) {
       return res.status(HTTP_STATUS.NOT_FOUND).json({
         success: false,
         message: ERROR_MESSAGES.CAR_NOT_FOUND,
       });
     }
 
+    if (await recordCarView(car, req)) {
+      car.views += 1;
+    }
+
+    const [carResponse] = await toCarResponses([car], req.user);
+
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      car,
+      car: carResponse,
     });
   } catch (error) {
     next(error);
@@ -96,7 +175,7 @@ const getCarListingById = async (req, res, next) => {
 // Update Car Listing
 const updateCarListing = async (req, res, next) => {
   try {
-    const car = await Car.findById(req.params.id);
+    const car = await Car.findById(req.params.id).select('+priceHistory');
 
     if (!car) {
       return res.status(HTTP_STATUS.NOT_FOUND).json({
@@ -113,16 +192,64 @@ const updateCarListing = async (req, res, next) => {
       });
     }
 
-    const updatedCar = await Car.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedAt: Date.now() },
+    const update = { ...pickEditableCarFields(req.body), updatedAt: Date.now() };
+    const push = {};
+
+    const priceChanged = update.price !== undefined && update.price !== car.price;
+    if (priceChanged) {
+      update.previousPrice = car.price;
+      update.priceChangedAt = Date.now();
+      // Listings created before price tracking start their history with the price they had
+      const entries = car.priceHistory.length === 0 ? [{ price: car.price, changedAt: car.createdAt }] : [];
+      push.priceHistory = { $each: [...entries, { price: update.price }] };
+    }
+
+    // Edits by sellers go back through moderation
+    const needsReview = isModerationEnabled() && !isStaff(req.user) && REVIEWABLE_CAR_STATUSES.includes(car.status);
+    if (needsReview) {
+      update.status = CAR_STATUS.UNDER_REVIEW;
+      update.moderation = { submittedAt: Date.now() };
+      if (car.status !== CAR_STATUS.UNDER_REVIEW) {
+        push.statusHistory = statusHistoryEntry(car.status, CAR_STATUS.UNDER_REVIEW, req.user.userId, 'Listing edited');
+      }
+    }
+
+    if (Object.keys(push).length > 0) {
+      update.$push = push;
+    }
+
+    // Only apply the change if nobody else changed the status in the meantime
+    const updatedCar = await Car.findOneAndUpdate(
+      { _id: car._id, status: car.status },
+      update,
       { new: true, runValidators: true }
-    ).populate('owner', 'username email firstName lastName phone');
+    ).populate('owner', OWNER_CONTACT_FIELDS);
+
+    if (!updatedCar) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Listing status was changed by another request',
+      });
+    }
+
+    if (needsReview) {
+      notifyUnderReview(updatedCar.owner, updatedCar);
+    }
+
+    if (priceChanged) {
+      notifyPriceDrop(updatedCar, car.price).catch((alertError) => {
+        logger.error('Failed to send price drop alerts', { error: alertError });
+      });
+    }
+
+    const [carResponse] = await toCarResponses([updatedCar], req.user);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      message: 'Car listing updated successfully',
-      car: updatedCar,
+      message: needsReview
+        ? 'Car listing updated and submitted for review'
+        : 'Car listing updated successfully',
+      car: carResponse,
     });
   } catch (error) {
     next(error);
@@ -149,7 +276,7 @@ const deleteCarListing = async (req, res, next) => {
       });
     }
 
-    await Car.findByIdAndDelete(req.params.id);
+    await removeCarListings([car], req.user.userId);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
@@ -160,6 +287,196 @@ const deleteCarListing = async (req, res, next) => {
   }
 };
 
+// Get Price History (Public, for listings the viewer can see)
+const getCarPriceHistory = async (req, res, next) => {
+  try {
+    const car = await Car.findById(req.params.id).select('price status owner createdAt +priceHistory');
+
+    const canView = car && (
+      PUBLIC_CAR_STATUSES.includes(car.status)
+      || isStaff(req.user)
+      || car.owner.toString() === req.user?.userId
+    );
+
+    if (!canView) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOUND,
+      });
+    }
+
+    const history = car.priceHistory.length > 0
+      ? car.priceHistory
+      : [{ price: car.price, changedAt: car.createdAt }];
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      price: car.price,
+      history,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change Listing Status (transitions limited by CAR_STATUS_TRANSITIONS)
+const updateCarStatus = async (req, res, next) => {
+  try {
+    const { status, reason } = req.body;
+
+    const car = await Car.findById(req.params.id).select('title status owner');
+
+    const isOwner = car?.owner.toString() === req.user.userId;
+    if (!car || (!PUBLIC_CAR_STATUSES.includes(car.status) && !isOwner && !isStaff(req.user))) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOUND,
+      });
+    }
+
+    if (getTransitionRoles(car.status, status).length === 0) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: `A listing cannot go from ${car.status} to ${status}`,
+      });
+    }
+
+    if (!canTransitionCarStatus(car, status, req.user)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: ERROR_MESSAGES.STATUS_TRANSITION_NOT_ALLOWED,
+      });
+    }
+
+    // Approving and rejecting go through moderation so the seller and saved searches are notified
+    if (car.status === CAR_STATUS.UNDER_REVIEW) {
+      return status === CAR_STATUS.AVAILABLE
+        ? approveCarListing(req, res, next)
+        : rejectCarListing(req, res, next);
+    }
+
+    const update = {
+      status,
+      updatedAt: Date.now(),
+      $push: { statusHistory: statusHistoryEntry(car.status, status, req.user.userId, reason || undefined) },
+    };
+    if (status === CAR_STATUS.UNDER_REVIEW) {
+      update.moderation = { submittedAt: Date.now() };
+    }
+
+    // Only apply the change if nobody else changed the status in the meantime
+    const updatedCar = await Car.findOneAndUpdate(
+      { _id: car._id, status: car.status },
+      update,
+      { new: true }
+    ).populate('owner', OWNER_CONTACT_FIELDS);
+
+    if (!updatedCar) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: 'Listing status was changed by another request',
+      });
+    }
+
+    if (status === CAR_STATUS.SOLD) {
+      await declineOpenOffers(updatedCar, { message: 'the car was sold', type: 'offer-car-sold' });
+    }
+    if (status === CAR_STATUS.UNDER_REVIEW) {
+      notifyUnderReview(updatedCar.owner, updatedCar);
+    }
+
+    const [carResponse] = await toCarResponses([updatedCar], req.user);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `Listing marked as ${status.replace('_', ' ')}`,
+      car: carResponse,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Listing Status History (owner and admins)
+const getCarStatusHistory = async (req, res, next) => {
+  try {
+    const car = await Car.findById(req.params.id)
+      .select('status owner +statusHistory')
+      .populate('statusHistory.changedBy', 'username');
+
+    if (!car) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOUND,
+      });
+    }
+
+    if (car.owner.toString() !== req.user.userId && req.user.role !== ROLES.ADMIN) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'You can only view the history of your own car listings',
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      status: car.status,
+      allowedTransitions: getAllowedTransitions(car, req.user),
+      history: [...car.statusHistory].reverse(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reveal Seller Phone Number (logged, subject to the seller's privacy settings)
+const revealSellerPhone = async (req, res, next) => {
+  try {
+    const car = await Car.findById(req.params.id)
+      .select('owner status')
+      .populate('owner', OWNER_CONTACT_FIELDS);
+
+    const canView = car?.owner && (
+      PUBLIC_CAR_STATUSES.includes(car.status)
+      || isStaff(req.user)
+      || car.owner._id.toString() === req.user.userId
+    );
+
+    if (!canView) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOUND,
+      });
+    }
+
+    if (!car.owner.phone || !canSeeContactField(car.owner, 'phone', req.user)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: ERROR_MESSAGES.CONTACT_NOT_AVAILABLE,
+      });
+    }
+
+    // Owners looking at their own number are not logged
+    if (car.owner._id.toString() !== req.user.userId) {
+      await ContactReveal.create({
+        car: car._id,
+        owner: car.owner._id,
+        viewer: req.user.userId,
+        field: 'phone',
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || '',
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      phone: car.owner.phone,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Get User's Car Listings
 const getUserCarListings = async (req, res, next) => {
   try {
@@ -194,5 +511,9 @@ module.exports = {
   getCarListingById,
   updateCarListing,
   deleteCarListing,
+  updateCarStatus,
+  getCarStatusHistory,
+  getCarPriceHistory,
   getUserCarListings,
+  revealSellerPhone,
 };
@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { notifyUser } = require('../utils/notifications');
+const { logger } = require('../utils/logger');
+const { HTTP_STATUS, ERROR_MESSAGES, PUBLIC_CAR_STATUSES, MESSAGING } = require('../config/constants');
+
+// Load a conversation the current user takes part in
+// Sends a 404 (also for non-participants) and resolves to null when not found
+const findParticipantConversation = async (req, res) => {
+  const conversation = mongoose.isValidObjectId(req.params.id)
+    ? await Conversation.findById(req.params.id)
+    : null;
+
+  const role = conversation?.buyer.toString() === req.user.userId ? 'buyer'
+    : conversation?.seller.toString() === req.user.userId ? 'seller'
+      : null;
+
+  if (!role) {
+    res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: ERROR_MESSAGES.CONVERSATION_NOT_FOUND,
+    });
+    return {};
+  }
+
+  return { conversation, role };
+};
+
+// Store a message and update the thread preview and the other side's unread count
+const appendMessage = async (conversation, senderRole, senderId, text) => {
+  const message = await Message.create({ conversation: conversation._id, sender: senderId, text });
+  const recipientRole = senderRole === 'buyer' ? 'seller' : 'buyer';
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      lastMessage: { text: message.text, sender: senderId, createdAt: message.createdAt },
+      $inc: { [`${recipientRole}Unread`]: 1 },
+    }
+  );
+
+  return message;
+};
+
+// Email the seller about a new message, at most once per cooldown window per conversation
+const notifySeller = async (conversation, text) => {
+  const cutoff = new Date(Date.now() - MESSAGING.EMAIL_COOLDOWN_MINUTES * 60 * 1000);
+
+  // Claiming the notification slot atomically keeps concurrent messages from sending duplicates
+  const claimed = await Conversation.findOneAndUpdate(
+    {
+      _id: conversation._id,
+      $or: [{ sellerNotifiedAt: null }, { sellerNotifiedAt: { $lte: cutoff } }],
+    },
+    { sellerNotifiedAt: new Date() },
+    { new: true }
+  )
+    .populate('seller', 'email locale')
+    .populate('buyer', 'username')
+    .populate('car', 'title');
+
+  if (!claimed?.seller?.email) return;
+
+  const preview = text.length > 200 ? `${text.slice(0, 200)}...` : text;
+
+  await notifyUser(claimed.seller, 'new-message', {
+    sender: claimed.buyer?.username,
+    car: claimed.car?.title,
+    quote: preview,
+    actionUrl: `${process.env.FRONTEND_URL || 'http://localhost:5000'}/?inbox=${conversation._id}`,
+  });
+};
+
+// Start Conversation (or continue the existing one for this car)
+const startConversation = async (req, res, next) => {
+  try {
+    const { carId, text } = req.body;
+
+    const car = await Car.findOne({ _id: carId, status: { $in: PUBLIC_CAR_STATUSES } }).select('owner');
+
+    if (!car) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOUND,
+      });
+    }
+
+    if (car.owner.toString() === req.user.userId) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: ERROR_MESSAGES.CANNOT_MESSAGE_OWN_LISTING,
+      });
+    }
+
+    const thread = { car: car._id, buyer: req.user.userId };
+    let conversation;
+    try {
+      conversation = await Conversation.findOneAndUpdate(
+        thread,
+        { $setOnInsert: { ...thread, seller: car.owner } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // A concurrent request created the thread first
+      if (error.code !== 11000) throw error;
+      conversation = await Conversation.findOne(thread);
+    }
+
+    const message = await appendMessage(conversation, 'buyer', req.user.userId, text);
+
+    notifySeller(conversation, message.text).catch((emailError) => {
+      logger.error('Failed to send new message email', { error: emailError });
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Message sent successfully',
+      conversation: await Conversation.findById(conversation._id),
+      sentMessage: message,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Inbox (most recent activity first)
+const getConversations = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const filter = { $or: [{ buyer: userId }, { seller: userId }] };
+
+    const conversations = await Conversation.find(filter)
+      .populate('car', 'title price images status')
+      .populate('buyer', 'username firstName lastName')
+      .populate('seller', 'username firstName lastName')
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ 'lastMessage.createdAt': -1 });
+
+    const [total, [unread]] = await Promise.all([
+      Conversation.countDocuments(filter),
+      Conversation.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: { $cond: [{ $eq: ['$buyer', userId] }, '$buyerUnread', '$sellerUnread'] } },
+          },
+        },
+      ]),
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      conversations: conversations.map((conversation) => {
+        const role = conversation.buyer?._id.equals(userId) ? 'buyer' : 'seller';
+        const { buyerUnread, sellerUnread, sellerNotifiedAt, ...rest } = conversation.toJSON();
+        return { ...rest, role, unreadCount: role === 'buyer' ? buyerUnread : sellerUnread };
+      }),
+      unreadTotal: unread?.count || 0,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Conversation Messages (pages go back in time, each page in chronological order)
+const getConversationMessages = async (req, res, next) => {
+  try {
+    const { conversation } = await findParticipantConversation(req, res);
+    if (!conversation) return;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), 100);
+    const filter = { conversation: conversation._id };
+
+    const messages = await Message.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Message.countDocuments(filter);
+
+    await conversation.populate([
+      { path: 'car', select: 'title price images status' },
+      { path: 'buyer', select: 'username firstName lastName' },
+      { path: 'seller', select: 'username firstName lastName' },
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      conversation,
+      messages: messages.reverse(),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send Message
+const sendMessage = async (req, res, next) => {
+  try {
+    const { conversation, role } = await findParticipantConversation(req, res);
+    if (!conversation) return;
+
+    const message = await appendMessage(conversation, role, req.user.userId, req.body.text);
+
+    if (role === 'buyer') {
+      notifySeller(conversation, message.text).catch((emailError) => {
+        logger.error('Failed to send new message email', { error: emailError });
+      });
+    }
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Message sent successfully',
+      sentMessage: message,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark Conversation as Read
+const markConversationRead = async (req, res, next) => {
+  try {
+    const { conversation, role } = await findParticipantConversation(req, res);
+    if (!conversation) return;
+
+    await Conversation.updateOne({ _id: conversation._id }, { [`${role}Unread`]: 0 });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Conversation marked as read',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  startConversation,
+  getConversations,
+  getConversationMessages,
+  sendMessage,
+  markConversationRead,
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { apiVersions } = require('../routes');
+const { buildOpenApiDocument } = require('../utils/openapi');
+const { HTTP_STATUS } = require('../config/constants');
+
+// Swagger UI is loaded from a CDN, so it needs no build step or dependency
+const SWAGGER_UI_URL = 'https://unpkg.com/swagger-ui-dist@5';
+
+// Routes don't change while the server runs, build each version's document once
+const openApiDocuments = new Map();
+
+// Get OpenAPI Document (of the version requested, see versionMiddleware.js)
+const getOpenApiDocument = (req, res, next) => {
+  try {
+    const version = req.apiVersion;
+    if (!openApiDocuments.has(version)) {
+      openApiDocuments.set(version, buildOpenApiDocument(apiVersions[version], { basePath: `/api/${version}` }));
+    }
+    res.status(HTTP_STATUS.OK).json(openApiDocuments.get(version));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get API Docs (Swagger UI for the OpenAPI document)
+const getApiDocs = (req, res) => {
+  // The page's inline script is allowed by nonce, the default policy only allows same-origin scripts
+  const nonce = crypto.randomBytes(16).toString('base64');
+  res.set('Content-Security-Policy', [
+    "default-src 'self'",
+    `script-src 'self' 'nonce-${nonce}' ${SWAGGER_UI_URL}/`,
+    `style-src 'self' 'unsafe-inline' ${SWAGGER_UI_URL}/`,
+    "img-src 'self' data: https:",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "frame-ancestors 'self'",
+  ].join('; '));
+
+  res.status(HTTP_STATUS.OK).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Car Website API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+  <script nonce="${nonce}">
+    SwaggerUIBundle({ url: '${req.baseUrl}/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>
+`);
+};
+
+module.exports = {
+  getOpenApiDocument,
+  getApiDocs,
+};
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const EmailMessage = require('../models/EmailMessage');
+const { requeueEmail, isSecurityEmail } = require('../utils/emailOutbox');
+const { renderEmail, hasEmailTemplate, listEmailTemplates, getSampleData } = require('../utils/emailTemplates');
+const { HTTP_STATUS, ERROR_MESSAGES, EMAIL_STATUS } = require('../config/constants');
+
+// Get Outbox Emails (filter by status or recipient, newest first; bodies left out)
+const getEmails = async (req, res, next) => {
+  try {
+    const { status, to, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status && Object.values(EMAIL_STATUS).includes(status)) filter.status = status;
+    if (to) filter.to = String(to).trim().toLowerCase();
+
+    const skip = (page - 1) * limit;
+
+    const emails = await EmailMessage.find(filter)
+      .select('-html -text')
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 });
+
+    const [total, counts] = await Promise.all([
+      EmailMessage.countDocuments(filter),
+      EmailMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      emails,
+      counts: Object.fromEntries(Object.values(EMAIL_STATUS).map(value => [
+        value,
+        counts.find(row => row._id === value)?.count || 0,
+      ])),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Single Outbox Email with its content (security emails without it)
+const getEmailById = async (req, res, next) => {
+  try {
+    const email = mongoose.isValidObjectId(req.params.id)
+      ? await EmailMessage.findById(req.params.id)
+      : null;
+
+    if (email && isSecurityEmail(email)) {
+      email.html = undefined;
+      email.text = undefined;
+    }
+
+    if (!email) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.EMAIL_NOT_FOUND,
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      email,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resend Outbox Email (dead letters, or a sent email that never arrived)
+const resendEmail = async (req, res, next) => {
+  try {
+    const existing = mongoose.isValidObjectId(req.params.id)
+      ? await EmailMessage.findById(req.params.id).select('template')
+      : null;
+
+    if (!existing) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.EMAIL_NOT_FOUND,
+      });
+    }
+
+    // Verification and reset links are issued anew by the user instead
+    if (isSecurityEmail(existing)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: ERROR_MESSAGES.SECURITY_EMAIL_NOT_RESENDABLE,
+      });
+    }
+
+    const email = await requeueEmail(req.params.id);
+    if (!email) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: ERROR_MESSAGES.EMAIL_NOT_RESENDABLE,
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Email queued for delivery',
+      email: {
+        _id: email._id,
+        to: email.to,
+        subject: email.subject,
+        status: email.status,
+        nextAttemptAt: email.nextAttemptAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Preview Email Template rendered with sample data (?format=html|text returns the part itself)
+const previewEmailTemplate = async (req, res, next) => {
+  try {
+    const { template } = req.params;
+    const { locale, format } = req.query;
+
+    if (!(await hasEmailTemplate(template))) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.EMAIL_TEMPLATE_NOT_FOUND,
+        templates: await listEmailTemplates(),
+      });
+    }
+
+    const email = await renderEmail(template, await getSampleData(template), locale);
+
+    if (format === 'html') {
+      return res.status(HTTP_STATUS.OK).type('html').send(email.html);
+    }
+    if (format === 'text') {
+      return res.status(HTTP_STATUS.OK).type('text').send(email.text);
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      template,
+      locale,
+      ...email,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getEmails,
+  getEmailById,
+  resendEmail,
+  previewEmailTemplate,
+};
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const Favorite = require('../models/Favorite');
+const { OWNER_CONTACT_FIELDS, toPublicOwner } = require('../utils/contactPrivacy');
+const { getPriceDropPercent } = require('../utils/priceDropAlerts');
+const { HTTP_STATUS, ERROR_MESSAGES, PUBLIC_CAR_STATUSES } = require('../config/constants');
+
+// A saved car as listed to the user; cars that are no longer public (under review or rejected)
+// only keep their id so they can still be removed
+const toFavoriteResponse = (favorite, user) => {
+  if (!favorite.car) {
+    return { _id: favorite.populated('car'), car: null, unavailable: true, favoritedAt: favorite.createdAt };
+  }
+
+  return {
+    ...favorite.car.toJSON(),
+    owner: toPublicOwner(favorite.car.owner, user),
+    isFavorited: true,
+    priceDropPercent: getPriceDropPercent(favorite.car.previousPrice, favorite.car.price),
+    favoritedAt: favorite.createdAt,
+  };
+};
+
+// Get Saved Cars
+const getFavorites = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+    const filter = { user: req.user.userId };
+
+    const favorites = await Favorite.find(filter)
+      .populate({
+        path: 'car',
+        match: { status: { $in: PUBLIC_CAR_STATUSES } },
+        populate: { path: 'owner', select: OWNER_CONTACT_FIELDS },
+      })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 });
+
+    const total = await Favorite.countDocuments(filter);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      cars: favorites.map(favorite => toFavoriteResponse(favorite, req.user)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Save Car
+const addFavorite = async (req, res, next) => {
+  try {
+    const { carId } = req.params;
+
+    const car = mongoose.isValidObjectId(carId)
+      && await Car.exists({ _id: carId, status: { $in: PUBLIC_CAR_STATUSES } });
+
+    if (!car) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOUND,
+      });
+    }
+
+    // Upsert keeps the request idempotent when the car is already saved
+    await Favorite.updateOne(
+      { user: req.user.userId, car: carId },
+      { $setOnInsert: { user: req.user.userId, car: carId } },
+      { upsert: true }
+    );
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Car saved to favorites',
+      isFavorited: true,
+    });
+  } catch (error) {
+    // A concurrent request inserted the same favorite first
+    if (error.code === 11000) {
+      return res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Car saved to favorites',
+        isFavorited: true,
+      });
+    }
+    next(error);
+  }
+};
+
+// Remove Saved Car
+const removeFavorite = async (req, res, next) => {
+  try {
+    const { carId } = req.params;
+
+    if (mongoose.isValidObjectId(carId)) {
+      await Favorite.deleteOne({ user: req.user.userId, car: carId });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Car removed from favorites',
+      isFavorited: false,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getFavorites,
+  addFavorite,
+  removeFavorite,
+};
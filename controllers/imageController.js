@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const { storage, removeFilesQuietly } = require('../utils/storage');
+const { processCarImage } = require('../utils/imageProcessor');
+const { HTTP_STATUS, ERROR_MESSAGES, ROLES, IMAGE_UPLOAD } = require('../config/constants');
+
+// Load a car and make sure the current user may manage its images
+// Sends the error response itself and resolves to null when not allowed
+const findManageableCar = async (req, res) => {
+  const car = await Car.findById(req.params.id);
+
+  if (!car) {
+    res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: ERROR_MESSAGES.CAR_NOT_FOUND,
+    });
+    return null;
+  }
+
+  if (car.owner.toString() !== req.user.userId && req.user.role !== ROLES.ADMIN) {
+    res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: 'You can only manage images of your own car listings',
+    });
+    return null;
+  }
+
+  return car;
+};
+
+// Remove the stored files of an image
+const removeImageFiles = (image) => removeFilesQuietly([image.key, image.thumbnailKey]);
+
+// Upload Car Images
+const uploadCarImages = async (req, res, next) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Please attach at least one image in the "images" field',
+      });
+    }
+
+    const car = await findManageableCar(req, res);
+    if (!car) return;
+
+    if (car.images.length + files.length > IMAGE_UPLOAD.MAX_IMAGES_PER_CAR) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `A listing can have at most ${IMAGE_UPLOAD.MAX_IMAGES_PER_CAR} images`,
+      });
+    }
+
+    // Resize everything first so one bad file rejects the whole upload before anything is stored
+    const processed = await Promise.all(files.map(file => processCarImage(file.buffer)));
+
+    const images = [];
+    try {
+      for (const { full, thumbnail } of processed) {
+        const _id = new mongoose.Types.ObjectId();
+        const baseKey = `cars/${car._id}/${_id}-${crypto.randomBytes(4).toString('hex')}`;
+        const key = `${baseKey}-full.webp`;
+        const thumbnailKey = `${baseKey}-thumb.webp`;
+
+        const image = { _id, key, thumbnailKey, width: full.width, height: full.height };
+        images.push(image);
+
+        image.url = await storage.save(key, full.buffer, 'image/webp');
+        image.thumbnailUrl = await storage.save(thumbnailKey, thumbnail.buffer, 'image/webp');
+      }
+    } catch (storageError) {
+      await Promise.all(images.map(removeImageFiles));
+      throw storageError;
+    }
+
+    // $push keeps concurrent uploads from overwriting each other
+    const updatedCar = await Car.findByIdAndUpdate(
+      car._id,
+      { $push: { images: { $each: images } }, updatedAt: Date.now() },
+      { new: true }
+    );
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: `${images.length} image(s) uploaded successfully`,
+      images: updatedCar.images,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reorder Car Images
+const reorderCarImages = async (req, res, next) => {
+  try {
+    const car = await findManageableCar(req, res);
+    if (!car) return;
+
+    const { imageIds } = req.body;
+    const currentIds = car.images.map(image => image._id.toString());
+
+    // The new order must contain every existing image exactly once
+    const isPermutation = imageIds.length === currentIds.length
+      && new Set(imageIds).size === imageIds.length
+      && imageIds.every(id => currentIds.includes(id));
+
+    if (!isPermutation) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'imageIds must list every image of the listing exactly once',
+      });
+    }
+
+    car.images = imageIds.map(id => car.images.id(id));
+    car.updatedAt = Date.now();
+    await car.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Images reordered successfully',
+      images: car.images,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Set Cover Image (moves the image to the front)
+const setCarCoverImage = async (req, res, next) => {
+  try {
+    const car = await findManageableCar(req, res);
+    if (!car) return;
+
+    const image = car.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.IMAGE_NOT_FOUND,
+      });
+    }
+
+    car.images = [image, ...car.images.filter(img => !img._id.equals(image._id))];
+    car.updatedAt = Date.now();
+    await car.save();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Cover image updated successfully',
+      images: car.images,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete Car Image
+const deleteCarImage = async (req, res, next) => {
+  try {
+    const car = await findManageableCar(req, res);
+    if (!car) return;
+
+    const image = car.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.IMAGE_NOT_FOUND,
+      });
+    }
+
+    const updatedCar = await Car.findByIdAndUpdate(
+      car._id,
+      { $pull: { images: { _id: image._id } }, updatedAt: Date.now() },
+      { new: true }
+    );
+
+    await removeImageFiles(image);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Image deleted successfully',
+      images: updatedCar.images,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadCarImages,
+  reorderCarImages,
+  setCarCoverImage,
+  deleteCarImage,
+};
@@ -0,0 +1,143 @@
+const Car = require('../models/Car');
+const { sendListingConfirmationEmail } = require('../utils/emailService');
+const { createNotification, notifyUser } = require('../utils/notifications');
+const { notifyMatchingSavedSearches } = require('../utils/savedSearchAlerts');
+const { statusHistoryEntry } = require('../utils/carStatus');
+const { logger } = require('../utils/logger');
+const { HTTP_STATUS, ERROR_MESSAGES, CAR_STATUS } = require('../config/constants');
+
+// Apply a moderation decision to a listing that is still awaiting review
+// Resolves to the updated car, or null after sending the error response
+const decideCarListing = async (req, res, update) => {
+  const car = await Car.findOneAndUpdate(
+    { _id: req.params.id, status: CAR_STATUS.UNDER_REVIEW },
+    {
+      ...update,
+      'moderation.reviewedAt': Date.now(),
+      'moderation.reviewedBy': req.user.userId,
+      updatedAt: Date.now(),
+      $push: {
+        statusHistory: statusHistoryEntry(
+          CAR_STATUS.UNDER_REVIEW,
+          update.status,
+          req.user.userId,
+          update['moderation.reason'] || undefined
+        ),
+      },
+    },
+    { new: true }
+  ).populate('owner', 'username email firstName lastName locale');
+
+  if (car) {
+    return car;
+  }
+
+  const exists = await Car.exists({ _id: req.params.id });
+  res.status(exists ? HTTP_STATUS.CONFLICT : HTTP_STATUS.NOT_FOUND).json({
+    success: false,
+    message: exists ? ERROR_MESSAGES.CAR_NOT_UNDER_REVIEW : ERROR_MESSAGES.CAR_NOT_FOUND,
+  });
+  return null;
+};
+
+// Get Moderation Queue (oldest submissions first)
+const getModerationQueue = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+    const filter = { status: CAR_STATUS.UNDER_REVIEW };
+
+    const cars = await Car.find(filter)
+      .populate('owner', 'username email firstName lastName')
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ 'moderation.submittedAt': 1, createdAt: 1 });
+
+    const total = await Car.countDocuments(filter);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      cars,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve Car Listing
+const approveCarListing = async (req, res, next) => {
+  try {
+    const car = await decideCarListing(req, res, {
+      status: CAR_STATUS.AVAILABLE,
+      'moderation.decision': 'approved',
+      'moderation.reason': null,
+    });
+    if (!car) return;
+
+    if (car.owner?.email) {
+      sendListingConfirmationEmail(car.owner, car).catch((emailError) => {
+        logger.error('Failed to send listing confirmation email', { error: emailError });
+      });
+      createNotification(car.owner, 'listing-approved', {
+        car: car.title,
+        actionUrl: `${process.env.FRONTEND_URL || 'http://localhost:5000'}#cars`,
+      });
+    }
+
+    notifyMatchingSavedSearches(car).catch((alertError) => {
+      logger.error('Failed to send saved search alerts', { error: alertError });
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Car listing approved',
+      car,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject Car Listing
+const rejectCarListing = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const car = await decideCarListing(req, res, {
+      status: CAR_STATUS.REJECTED,
+      'moderation.decision': 'rejected',
+      'moderation.reason': reason,
+    });
+    if (!car) return;
+
+    if (car.owner?.email) {
+      notifyUser(car.owner, 'listing-rejected', {
+        car: car.title,
+        reason,
+        actionUrl: `${process.env.FRONTEND_URL || 'http://localhost:5000'}#profileSection`,
+      }).catch((emailError) => {
+        logger.error('Failed to send listing rejection email', { error: emailError });
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Car listing rejected',
+      car,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getModerationQueue,
+  approveCarListing,
+  rejectCarListing,
+};
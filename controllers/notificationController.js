@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { verifyUnsubscribeToken } = require('../utils/jwtUtils');
+const {
+  ALL_CATEGORIES,
+  getEmailPreferences,
+  updateEmailPreferences,
+  unsubscribeFromEmails,
+} = require('../utils/notificationPreferences');
+const { HTTP_STATUS, ERROR_MESSAGES, NOTIFICATION_CATEGORIES } = require('../config/constants');
+
+const UNSUBSCRIBE_MESSAGES = {
+  [NOTIFICATION_CATEGORIES.LISTING_CONFIRMATIONS]: 'You will no longer receive emails about your listings',
+  [NOTIFICATION_CATEGORIES.MESSAGES]: 'You will no longer receive emails about messages, offers and bookings',
+  [NOTIFICATION_CATEGORIES.PRICE_DROPS]: 'You will no longer receive price drop emails',
+  [NOTIFICATION_CATEGORIES.MARKETING]: 'You will no longer receive news and promotions',
+  [ALL_CATEGORIES]: 'You will no longer receive optional emails. Account emails such as password resets are still sent',
+};
+
+const countUnread = userId => Notification.countDocuments({ user: userId, readAt: null });
+
+// Get Notifications (newest first, ?unread=true for unread only)
+const getNotifications = async (req, res, next) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const filter = { user: req.user.userId };
+    if (unread === 'true') filter.readAt = null;
+
+    const skip = (page - 1) * limit;
+
+    const notifications = await Notification.find(filter)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 });
+
+    const [total, unreadCount] = await Promise.all([
+      Notification.countDocuments(filter),
+      countUnread(req.user.userId),
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      notifications,
+      unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Unread Notification Count (for the navbar badge)
+const getUnreadCount = async (req, res, next) => {
+  try {
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      unreadCount: await countUnread(req.user.userId),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark Notification as Read
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id)
+      ? await Notification.findOne({ _id: req.params.id, user: req.user.userId })
+      : null;
+
+    if (!notification) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.NOTIFICATION_NOT_FOUND,
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = Date.now();
+      await notification.save();
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      notification,
+      unreadCount: await countUnread(req.user.userId),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark All Notifications as Read
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.userId, readAt: null },
+      { readAt: Date.now() }
+    );
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount,
+      unreadCount: 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Notification Preferences
+const getPreferences = async (req, res, next) => {
+  try {
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      preferences: { email: await getEmailPreferences(req.user.userId) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update Notification Preferences
+const updatePreferences = async (req, res, next) => {
+  try {
+    const email = await updateEmailPreferences(req.user.userId, req.body.email);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Notification preferences updated',
+      preferences: { email },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Unsubscribe From Emails (signed link from an email, no login required)
+// Mail clients POST here with the token in the query string for one-click unsubscribe (RFC 8058)
+const unsubscribe = async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyUnsubscribeToken(req.query.token || req.body.token);
+    } catch (tokenError) {
+      decoded = null;
+    }
+
+    if (!decoded || !UNSUBSCRIBE_MESSAGES[decoded.category]) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_TOKEN,
+      });
+    }
+
+    if (!(await User.exists({ _id: decoded.userId }))) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.USER_NOT_FOUND,
+      });
+    }
+
+    const email = await unsubscribeFromEmails(decoded.userId, decoded.category);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: UNSUBSCRIBE_MESSAGES[decoded.category],
+      category: decoded.category,
+      preferences: { email },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+  unsubscribe,
+};
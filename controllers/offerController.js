@@ -0,0 +1,419 @@
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const Offer = require('../models/Offer');
+const {
+  getRespondingSide,
+  getOfferExpiry,
+  formatAmount,
+  notifyOfferParty,
+  declineOpenOffers,
+} = require('../utils/offers');
+const { statusHistoryEntry } = require('../utils/carStatus');
+const { HTTP_STATUS, ERROR_MESSAGES, ROLES, CAR_STATUS, PUBLIC_CAR_STATUSES, OFFER_STATUS, OPEN_OFFER_STATUSES } = require('../config/constants');
+
+const OFFER_PARTY_FIELDS = 'username email firstName lastName locale';
+
+// Offers are returned without the parties' email addresses (or the language they get emails in)
+const toOfferResponse = (offer) => {
+  const json = offer.toJSON();
+  delete json.buyer?.email;
+  delete json.buyer?.locale;
+  delete json.seller?.email;
+  delete json.seller?.locale;
+  return json;
+};
+
+// Load an offer on the car in the URL that the current user takes part in
+// Admins can see every offer but act on none. Sends a 404 and resolves to {} when not found
+const findParticipantOffer = async (req, res) => {
+  const offer = mongoose.isValidObjectId(req.params.offerId)
+    ? await Offer.findOne({ _id: req.params.offerId, car: req.params.id })
+      .populate('car', 'title price status')
+      .populate('buyer', OFFER_PARTY_FIELDS)
+      .populate('seller', OFFER_PARTY_FIELDS)
+    : null;
+
+  const role = offer?.buyer?._id.toString() === req.user.userId ? 'buyer'
+    : offer?.seller?._id.toString() === req.user.userId ? 'seller'
+      : offer && req.user.role === ROLES.ADMIN ? 'admin'
+        : null;
+
+  if (!role) {
+    res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: ERROR_MESSAGES.OFFER_NOT_FOUND,
+    });
+    return {};
+  }
+
+  return { offer, role };
+};
+
+// Only the side whose turn it is can accept, decline or counter an open offer
+// Sends the error response and returns true when the action is not allowed
+const rejectOfferResponse = (res, offer, role) => {
+  if (!OPEN_OFFER_STATUSES.includes(offer.status)) {
+    res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: `Offer is already ${offer.status}`,
+    });
+    return true;
+  }
+
+  if (offer.expiresAt <= new Date()) {
+    res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'Offer has expired',
+    });
+    return true;
+  }
+
+  if (role !== getRespondingSide(offer)) {
+    res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: `Waiting for the ${getRespondingSide(offer)} to respond`,
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Apply a response to an offer if nobody else changed it in the meantime
+// Resolves to the updated offer, or null after sending a 409
+const updateOpenOffer = async (res, offer, update) => {
+  const updated = await Offer.findOneAndUpdate(
+    { _id: offer._id, status: offer.status, expiresAt: { $gt: new Date() } },
+    update,
+    { new: true }
+  )
+    .populate('car', 'title price status')
+    .populate('buyer', OFFER_PARTY_FIELDS)
+    .populate('seller', OFFER_PARTY_FIELDS);
+
+  if (!updated) {
+    res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: 'Offer was changed by another request',
+    });
+  }
+
+  return updated;
+};
+
+const otherParty = (offer, role) => (role === 'buyer' ? offer.seller : offer.buyer);
+
+// Make Offer
+const makeOffer = async (req, res, next) => {
+  try {
+    const car = await Car.findOne({ _id: req.params.id, status: { $in: PUBLIC_CAR_STATUSES } })
+      .select('title status owner')
+      .populate('owner', 'email locale');
+
+    if (!car) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOUND,
+      });
+    }
+
+    if (car.owner._id.toString() === req.user.userId) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'You cannot make an offer on your own listing',
+      });
+    }
+
+    if (car.status !== CAR_STATUS.AVAILABLE) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOR_SALE,
+      });
+    }
+
+    const open = await Offer.exists({
+      car: car._id,
+      buyer: req.user.userId,
+      status: { $in: OPEN_OFFER_STATUSES },
+      expiresAt: { $gt: new Date() },
+    });
+    if (open) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: ERROR_MESSAGES.OFFER_ALREADY_OPEN,
+      });
+    }
+
+    const { amount, message } = req.body;
+
+    const offer = await Offer.create({
+      car: car._id,
+      buyer: req.user.userId,
+      seller: car.owner._id,
+      amount,
+      history: [{ by: 'buyer', action: 'offer', amount, message }],
+      expiresAt: getOfferExpiry(),
+    });
+
+    notifyOfferParty(car.owner, 'offer-received', {
+      amount: formatAmount(amount),
+      car: car.title,
+      quote: message,
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Offer sent successfully',
+      offer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Offers on a Car (all offers for the owner and admins, your own offers otherwise)
+const getCarOffers = async (req, res, next) => {
+  try {
+    const car = await Car.findById(req.params.id).select('owner');
+
+    if (!car) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOUND,
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const canSeeAll = car.owner.toString() === req.user.userId || req.user.role === ROLES.ADMIN;
+    const filter = { car: car._id };
+    if (!canSeeAll) filter.buyer = req.user.userId;
+    if (status && Object.values(OFFER_STATUS).includes(status)) filter.status = status;
+
+    const offers = await Offer.find(filter)
+      .populate('buyer', OFFER_PARTY_FIELDS)
+      .populate('seller', OFFER_PARTY_FIELDS)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ updatedAt: -1 });
+
+    const total = await Offer.countDocuments(filter);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      offers: offers.map(toOfferResponse),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Offers of the Current User (as buyer or as seller, across all listings)
+const getUserOffers = async (req, res, next) => {
+  try {
+    const { role = 'buyer', status, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { [role === 'seller' ? 'seller' : 'buyer']: req.user.userId };
+    if (status && Object.values(OFFER_STATUS).includes(status)) filter.status = status;
+
+    const offers = await Offer.find(filter)
+      .populate('car', 'title price status images')
+      .populate('buyer', OFFER_PARTY_FIELDS)
+      .populate('seller', OFFER_PARTY_FIELDS)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ updatedAt: -1 });
+
+    const total = await Offer.countDocuments(filter);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      offers: offers.map(toOfferResponse),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Single Offer with its negotiation thread
+const getOfferById = async (req, res, next) => {
+  try {
+    const { offer, role } = await findParticipantOffer(req, res);
+    if (!offer) return;
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      offer: toOfferResponse(offer),
+      role,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept Offer (marks the car as sold and declines every other open offer)
+const acceptOffer = async (req, res, next) => {
+  try {
+    const { offer, role } = await findParticipantOffer(req, res);
+    if (!offer) return;
+
+    if (rejectOfferResponse(res, offer, role)) return;
+
+    // Claim the car first so two offers cannot both be accepted
+    const car = await Car.findOneAndUpdate(
+      { _id: offer.car._id, status: CAR_STATUS.AVAILABLE },
+      {
+        status: CAR_STATUS.SOLD,
+        updatedAt: Date.now(),
+        $push: {
+          statusHistory: statusHistoryEntry(
+            CAR_STATUS.AVAILABLE,
+            CAR_STATUS.SOLD,
+            req.user.userId,
+            `Offer of ${formatAmount(offer.amount)} accepted`
+          ),
+        },
+      },
+      { new: true }
+    );
+    if (!car) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOR_SALE,
+      });
+    }
+
+    const accepted = await updateOpenOffer(res, offer, {
+      status: OFFER_STATUS.ACCEPTED,
+      closedAt: Date.now(),
+      $push: { history: { by: role, action: 'accept', amount: offer.amount } },
+    });
+    if (!accepted) {
+      // Undo the sale, including its history entry
+      await Car.updateOne(
+        { _id: car._id, status: CAR_STATUS.SOLD },
+        { status: CAR_STATUS.AVAILABLE, updatedAt: Date.now(), $pop: { statusHistory: 1 } }
+      );
+      return;
+    }
+
+    const declined = await declineOpenOffers(car, {
+      exceptOfferId: offer._id,
+      message: 'the car was sold to another buyer',
+      type: 'offer-car-sold',
+    });
+
+    notifyOfferParty(otherParty(accepted, role), 'offer-accepted', {
+      amount: formatAmount(accepted.amount),
+      car: car.title,
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Offer accepted and car marked as sold',
+      offer: toOfferResponse(accepted),
+      declined,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Decline Offer
+const declineOffer = async (req, res, next) => {
+  try {
+    const { offer, role } = await findParticipantOffer(req, res);
+    if (!offer) return;
+
+    if (rejectOfferResponse(res, offer, role)) return;
+
+    const { message } = req.body;
+
+    const declined = await updateOpenOffer(res, offer, {
+      status: OFFER_STATUS.DECLINED,
+      closedAt: Date.now(),
+      $push: { history: { by: role, action: 'decline', message } },
+    });
+    if (!declined) return;
+
+    notifyOfferParty(otherParty(declined, role), role === 'seller' ? 'offer-declined' : 'counter-offer-declined', {
+      amount: formatAmount(declined.amount),
+      car: declined.car?.title || 'a listing',
+      quote: message,
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Offer declined',
+      offer: toOfferResponse(declined),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Counter Offer (hands the turn to the other side with a new amount)
+const counterOffer = async (req, res, next) => {
+  try {
+    const { offer, role } = await findParticipantOffer(req, res);
+    if (!offer) return;
+
+    if (rejectOfferResponse(res, offer, role)) return;
+
+    if (offer.car?.status !== CAR_STATUS.AVAILABLE) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOR_SALE,
+      });
+    }
+
+    const { amount, message } = req.body;
+
+    const countered = await updateOpenOffer(res, offer, {
+      amount,
+      status: role === 'seller' ? OFFER_STATUS.COUNTERED : OFFER_STATUS.PENDING,
+      expiresAt: getOfferExpiry(),
+      $push: { history: { by: role, action: 'counter', amount, message } },
+    });
+    if (!countered) return;
+
+    notifyOfferParty(otherParty(countered, role), 'counter-offer-received', {
+      amount: formatAmount(amount),
+      car: countered.car?.title || 'a listing',
+      bySeller: role === 'seller',
+      quote: message,
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Counter-offer sent',
+      offer: toOfferResponse(countered),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  makeOffer,
+  getCarOffers,
+  getUserOffers,
+  getOfferById,
+  acceptOffer,
+  declineOffer,
+  counterOffer,
+};
@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const Car = require('../models/Car');
+const User = require('../models/User');
+const { HTTP_STATUS, ERROR_MESSAGES } = require('../config/constants');
+
+// Pipeline stage that recalculates the average rating from the reviews array
+// Runs inside the same update as the review change, so rating never drifts from the reviews
+const recalculateRatingStage = {
+  $set: {
+    rating: { $round: [{ $ifNull: [{ $avg: '$reviews.rating' }, 0] }, 1] },
+    reviewCount: { $size: '$reviews' },
+  },
+};
+
+// Find the review written by a user in a car document
+const findUserReview = (car, userId) => car.reviews.find(review => review.userId?.toString() === userId);
+
+// Respond with the right error when a review update matched nothing
+const sendReviewConflict = async (req, res, { requireExisting }) => {
+  const car = await Car.findById(req.params.id).select('owner reviews.userId');
+
+  if (!car) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: ERROR_MESSAGES.CAR_NOT_FOUND,
+    });
+  }
+
+  if (!requireExisting && car.owner.toString() === req.user.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: ERROR_MESSAGES.CANNOT_REVIEW_OWN_LISTING,
+    });
+  }
+
+  if (requireExisting) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: ERROR_MESSAGES.REVIEW_NOT_FOUND,
+    });
+  }
+
+  return res.status(HTTP_STATUS.CONFLICT).json({
+    success: false,
+    message: ERROR_MESSAGES.REVIEW_ALREADY_EXISTS,
+  });
+};
+
+// Get Car Reviews
+const getCarReviews = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOUND,
+      });
+    }
+
+    const [car] = await Car.aggregate([
+      { $match: { _id: new mongoose.Types.ObjectId(req.params.id) } },
+      {
+        $project: {
+          rating: 1,
+          total: { $size: '$reviews' },
+          // Reviews are appended in order, so reversing gives newest first
+          reviews: { $slice: [{ $reverseArray: '$reviews' }, (page - 1) * limit, limit] },
+        },
+      },
+    ]);
+
+    if (!car) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.CAR_NOT_FOUND,
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      rating: car.rating,
+      reviews: car.reviews,
+      pagination: {
+        page,
+        limit,
+        total: car.total,
+        pages: Math.ceil(car.total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create Car Review
+const createCarReview = async (req, res, next) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const user = await User.findById(userId).select('username');
+
+    const review = {
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      username: user?.username,
+      rating: req.body.rating,
+      comment: req.body.comment || '',
+      createdAt: new Date(),
+    };
+
+    // Owner and one-review-per-user rules are part of the filter, so concurrent requests can't bypass them
+    const car = await Car.findOneAndUpdate(
+      { _id: req.params.id, owner: { $ne: userId }, 'reviews.userId': { $ne: userId } },
+      [
+        { $set: { reviews: { $concatArrays: [{ $ifNull: ['$reviews', []] }, [{ $literal: review }]] } } },
+        recalculateRatingStage,
+      ],
+      { new: true }
+    );
+
+    if (!car) {
+      return sendReviewConflict(req, res, { requireExisting: false });
+    }
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Review added successfully',
+      review: findUserReview(car, req.user.userId),
+      rating: car.rating,
+      reviewCount: car.reviewCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update Car Review
+const updateCarReview = async (req, res, next) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const changes = {
+      rating: req.body.rating,
+      comment: req.body.comment || '',
+      updatedAt: new Date(),
+    };
+
+    const car = await Car.findOneAndUpdate(
+      { _id: req.params.id, 'reviews.userId': userId },
+      [
+        {
+          $set: {
+            reviews: {
+              $map: {
+                input: '$reviews',
+                as: 'review',
+                in: {
+                  $cond: [
+                    { $eq: ['$$review.userId', userId] },
+                    { $mergeObjects: ['$$review', { $literal: changes }] },
+                    '$$review',
+                  ],
+                },
+              },
+            },
+          },
+        },
+        recalculateRatingStage,
+      ],
+      { new: true }
+    );
+
+    if (!car) {
+      return sendReviewConflict(req, res, { requireExisting: true });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Review updated successfully',
+      review: findUserReview(car, req.user.userId),
+      rating: car.rating,
+      reviewCount: car.reviewCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete Car Review
+const deleteCarReview = async (req, res, next) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+
+    const car = await Car.findOneAndUpdate(
+      { _id: req.params.id, 'reviews.userId': userId },
+      [
+        {
+          $set: {
+            reviews: {
+              $filter: {
+                input: '$reviews',
+                as: 'review',
+                cond: { $ne: ['$$review.userId', userId] },
+              },
+            },
+          },
+        },
+        recalculateRatingStage,
+      ],
+      { new: true }
+    );
+
+    if (!car) {
+      return sendReviewConflict(req, res, { requireExisting: true });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Review deleted successfully',
+      rating: car.rating,
+      reviewCount: car.reviewCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCarReviews,
+  createCarReview,
+  updateCarReview,
+  deleteCarReview,
+};
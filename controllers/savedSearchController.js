@@ -0,0 +1,133 @@
+const SavedSearch = require('../models/SavedSearch');
+const { verifySavedSearchUnsubscribeToken } = require('../utils/jwtUtils');
+const { HTTP_STATUS, ERROR_MESSAGES, SAVED_SEARCH } = require('../config/constants');
+
+// Get Saved Searches
+const getSavedSearches = async (req, res, next) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user.userId }).sort({ createdAt: -1 });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      searches,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create Saved Search
+const createSavedSearch = async (req, res, next) => {
+  try {
+    const count = await SavedSearch.countDocuments({ user: req.user.userId });
+    if (count >= SAVED_SEARCH.MAX_PER_USER) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `You can save at most ${SAVED_SEARCH.MAX_PER_USER} searches`,
+      });
+    }
+
+    const search = await SavedSearch.create({
+      ...req.body,
+      user: req.user.userId,
+      // Only listings published from now on trigger alerts
+      lastNotifiedAt: new Date(),
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Search saved successfully',
+      search,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update Saved Search
+const updateSavedSearch = async (req, res, next) => {
+  try {
+    const { name, filters, frequency, isActive } = req.body;
+
+    const search = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.searchId, user: req.user.userId },
+      { name, filters, frequency, isActive },
+      { new: true, runValidators: true }
+    );
+
+    if (!search) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.SAVED_SEARCH_NOT_FOUND,
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Saved search updated successfully',
+      search,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete Saved Search
+const deleteSavedSearch = async (req, res, next) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.searchId, user: req.user.userId });
+
+    if (!search) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.SAVED_SEARCH_NOT_FOUND,
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Saved search deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Unsubscribe From Saved Search Alerts (link from the alert email, no login required)
+const unsubscribeSavedSearch = async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifySavedSearchUnsubscribeToken(req.params.token);
+    } catch (tokenError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_TOKEN,
+      });
+    }
+
+    const search = await SavedSearch.findByIdAndUpdate(decoded.searchId, { isActive: false }, { new: true });
+
+    if (!search) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.SAVED_SEARCH_NOT_FOUND,
+      });
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: `You will no longer receive alerts for "${search.name}"`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  unsubscribeSavedSearch,
+};
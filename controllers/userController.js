@@ -1,4 +1,12 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Favorite = require('../models/Favorite');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const { sendVerificationLink } = require('./authController');
+const { logger } = require('../utils/logger');
 const { HTTP_STATUS, ERROR_MESSAGES } = require('../config/constants');
 
 // Get User Profile
@@ -25,7 +33,23 @@ const getUserProfile = async (req, res, next) => {
 // Update User Profile
 const updateUserProfile = async (req, res, next) => {
   try {
-    const { username, email, firstName, lastName, phone, address } = req.body;
+    const { username, email, firstName, lastName, phone, locale, address, contactPrivacy = {} } = req.body;
+
+    // Update privacy settings per field so omitted ones keep their current value
+    const privacyUpdates = Object.fromEntries(
+      Object.entries(contactPrivacy).map(([field, visibility]) => [`contactPrivacy.${field}`, visibility])
+    );
+
+    const currentUser = await User.findById(req.user.userId).select('email');
+    if (!currentUser) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.USER_NOT_FOUND,
+      });
+    }
+
+    // A new address has to be verified again
+    const emailChanged = Boolean(email) && email.toLowerCase() !== currentUser.email;
 
     const user = await User.findByIdAndUpdate(
       req.user.userId,
@@ -35,7 +59,10 @@ const updateUserProfile = async (req, res, next) => {
         firstName,
         lastName,
         phone,
+        locale,
         address,
+        ...privacyUpdates,
+        ...(emailChanged && { isEmailVerified: false }),
         updatedAt: Date.now(),
       },
       { new: true, runValidators: true }
@@ -48,6 +75,12 @@ const updateUserProfile = async (req, res, next) => {
       });
     }
 
+    if (emailChanged) {
+      sendVerificationLink(user).catch((emailError) => {
+        logger.error('Failed to send verification email', { error: emailError });
+      });
+    }
+
     res.status(HTTP_STATUS.OK).json({
       success: true,
       message: 'Profile updated successfully',
@@ -70,6 +103,12 @@ const deleteUserAccount = async (req, res, next) => {
       });
     }
 
+    await Session.deleteMany({ user: user._id });
+    await Favorite.deleteMany({ user: user._id });
+    await SavedSearch.deleteMany({ user: user._id });
+    await Notification.deleteMany({ user: user._id });
+    await NotificationPreference.deleteMany({ user: user._id });
+
     res.status(HTTP_STATUS.OK).json({
       success: true,
       message: 'Account deleted successfully',
@@ -79,8 +118,77 @@ const deleteUserAccount = async (req, res, next) => {
   }
 };
 
+// Get Active Sessions
+const getUserSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.user.sessionId,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke a Single Session
+const revokeUserSession = async (req, res, next) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.sessionId)
+      ? await Session.findOne({ _id: req.params.sessionId, user: req.user.userId })
+      : null;
+
+    if (!session || !session.isActive()) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.SESSION_NOT_FOUND,
+      });
+    }
+
+    await session.revoke();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke All Other Sessions
+const revokeOtherUserSessions = async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.userId, req.user.sessionId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'All other sessions revoked successfully',
+      revoked: result.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getUserProfile,
   updateUserProfile,
   deleteUserAccount,
+  getUserSessions,
+  revokeUserSession,
+  revokeOtherUserSessions,
 };
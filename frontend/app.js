@@ -4,14 +4,20 @@
 
 // API Configuration
 const API_BASE_URL = window.location.hostname === 'localhost' 
-  ? 'http://localhost:5000/api' 
-  : `${window.location.protocol}//${window.location.host}/api`;
+  ? 'http://localhost:5000/api/v1' 
+  : `${window.location.protocol}//${window.location.host}/api/v1`;
 
 // State Management
 const state = {
   user: null,
   token: localStorage.getItem('token'),
+  refreshToken: localStorage.getItem('refreshToken'),
+  resetToken: null,
   cars: [],
+  savedSearches: [],
+  activeConversationId: null,
+  notificationTimer: null,
+  reviewsPage: 1,
   pagination: { page: 1, limit: 10, total: 0, pages: 0 },
   filters: {
     brand: '',
@@ -19,7 +25,8 @@ const state = {
     fuelType: '',
     minPrice: '',
     maxPrice: '',
-    search: ''
+    search: '',
+    sort: 'newest'
   }
 };
 
@@ -72,6 +79,13 @@ function formatDate(dateString) {
   });
 }
 
+// Escape user-written text before putting it into HTML (also safe inside quoted attributes)
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 // Get initials from name
 function getInitials(firstName, lastName) {
   const f = firstName ? firstName[0] : '';
@@ -100,13 +114,25 @@ function getCarEmoji(fuelType, brand) {
   return brandEmojis[brand] || fuelEmojis[fuelType] || '🚗';
 }
 
+// Resolve image URLs served by the API (e.g. /api/uploads/...) against the API host
+function resolveImageUrl(url) {
+  if (!url || !url.startsWith('/')) return url;
+  return `${API_BASE_URL.replace(/\/api\/v\d+$/, '')}${url}`;
+}
+
 // API request helper
-async function apiRequest(endpoint, options = {}) {
+// Expired access tokens are renewed once through the refresh token before giving up
+async function apiRequest(endpoint, options = {}, retry = true) {
   const headers = {
     'Content-Type': 'application/json',
     ...options.headers
   };
   
+  // Let the browser set the multipart boundary for file uploads
+  if (options.body instanceof FormData) {
+    delete headers['Content-Type'];
+  }
+  
   if (state.token) {
     headers['Authorization'] = `Bearer ${state.token}`;
   }
@@ -117,6 +143,12 @@ async function apiRequest(endpoint, options = {}) {
       headers
     });
     
+    if (response.status === 401 && retry && state.refreshToken && !endpoint.startsWith('/auth/')) {
+      if (await refreshSession()) {
+        return apiRequest(endpoint, options, false);
+      }
+    }
+    
     const data = await response.json();
     
     if (!response.ok) {
@@ -130,6 +162,38 @@ async function apiRequest(endpoint, options = {}) {
   }
 }
 
+// Save tokens returned by login, register and refresh
+function saveTokens(token, refreshToken) {
+  state.token = token;
+  state.refreshToken = refreshToken;
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+}
+
+// Exchange the refresh token for a new token pair
+// Concurrent callers share the same request, since each refresh token is single-use
+let refreshPromise = null;
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: state.refreshToken })
+    })
+      .then(async (response) => {
+        if (!response.ok) return false;
+        const data = await response.json();
+        saveTokens(data.token, data.refreshToken);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
 // ============================================
 // AUTHENTICATION
 // ============================================
@@ -159,9 +223,8 @@ async function login(email, password) {
       body: JSON.stringify({ email, password })
     });
     
-    state.token = data.token;
+    saveTokens(data.token, data.refreshToken);
     state.user = data.user;
-    localStorage.setItem('token', data.token);
     
     closeModal();
     updateUIForUser();
@@ -179,23 +242,118 @@ async function register(userData) {
       body: JSON.stringify(userData)
     });
     
-    state.token = data.token;
+    saveTokens(data.token, data.refreshToken);
     state.user = data.user;
-    localStorage.setItem('token', data.token);
     
     closeModal();
     updateUIForUser();
-    showToast('Account created successfully! Welcome to AutoPrime.', 'success');
+    showToast('Account created successfully! Check your inbox to verify your email.', 'success');
   } catch (error) {
     showToast(error.message || 'Registration failed. Please try again.', 'error');
   }
 }
 
+// Verify email from the link sent by email (?verifyEmail=<token>)
+async function verifyEmailFromLink() {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('verifyEmail');
+  if (!token) return;
+  
+  // Remove the token from the address bar
+  params.delete('verifyEmail');
+  const query = params.toString();
+  window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  
+  try {
+    await apiRequest(`/auth/verify-email/${encodeURIComponent(token)}`);
+    if (state.user) state.user.isEmailVerified = true;
+    showToast('Your email has been verified. Thank you!', 'success');
+  } catch (error) {
+    showToast(error.message || 'Verification link is invalid or has expired.', 'error');
+  }
+}
+
+// Resend verification email
+async function resendVerificationEmail() {
+  if (!state.user) return;
+  
+  try {
+    const data = await apiRequest('/auth/resend-verification', {
+      method: 'POST',
+      body: JSON.stringify({ email: state.user.email })
+    });
+    showToast(data.message, 'success');
+  } catch (error) {
+    showToast(error.message || 'Failed to resend verification email.', 'error');
+  }
+}
+
+// Request a password reset link
+async function forgotPassword(email) {
+  try {
+    const data = await apiRequest('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+    
+    showAuthForm('login');
+    showToast(data.message, 'success');
+  } catch (error) {
+    showToast(error.message || 'Failed to send reset link. Please try again.', 'error');
+  }
+}
+
+// Open the reset password form from the emailed link (?resetToken=<token>)
+function openResetPasswordFromLink() {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('resetToken');
+  if (!token) return;
+  
+  // Keep the token in memory only and remove it from the address bar
+  state.resetToken = token;
+  params.delete('resetToken');
+  const query = params.toString();
+  window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  
+  openModal('reset');
+}
+
+// Set a new password using the reset token
+async function resetPassword(password, confirmPassword) {
+  try {
+    const data = await apiRequest('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token: state.resetToken, password, confirmPassword })
+    });
+    
+    state.resetToken = null;
+    document.getElementById('resetPasswordFormSubmit').reset();
+    
+    // Every existing session was invalidated by the reset
+    if (state.token) logout();
+    
+    openModal('login');
+    showToast(data.message, 'success');
+  } catch (error) {
+    showToast(error.message || 'Failed to reset password. Please try again.', 'error');
+  }
+}
+
 // Logout
 function logout() {
+  // Revoke the session server-side so the refresh token can't be reused
+  if (state.refreshToken) {
+    apiRequest('/auth/logout', {
+      method: 'POST',
+      body: JSON.stringify({ refreshToken: state.refreshToken })
+    }).catch(() => {});
+  }
+  
   state.token = null;
+  state.refreshToken = null;
   state.user = null;
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
   updateUIForGuest();
   hideProfileSection();
   showToast('You have been signed out.', 'info');
@@ -226,6 +384,9 @@ function updateUIForUser() {
     // Show car form, hide login prompt
     if (loginPrompt) loginPrompt.classList.add('hidden');
     if (createCarForm) createCarForm.classList.remove('hidden');
+    document.getElementById('saveSearchBtn').classList.remove('hidden');
+    fetchInboxUnread();
+    startNotificationPolling();
   }
 }
 
@@ -247,6 +408,8 @@ function updateUIForGuest() {
   
   if (loginPrompt) loginPrompt.classList.remove('hidden');
   if (createCarForm) createCarForm.classList.add('hidden');
+  document.getElementById('saveSearchBtn').classList.add('hidden');
+  stopNotificationPolling();
 }
 
 // Toggle user dropdown
@@ -259,20 +422,25 @@ function toggleUserDropdown() {
 // MODAL HANDLING
 // ============================================
 
+const AUTH_FORMS = {
+  login: 'loginForm',
+  register: 'registerForm',
+  forgot: 'forgotPasswordForm',
+  reset: 'resetPasswordForm'
+};
+
 function openModal(type) {
   const modal = document.getElementById('authModal');
-  const loginForm = document.getElementById('loginForm');
-  const registerForm = document.getElementById('registerForm');
   
   modal.classList.add('active');
-  
-  if (type === 'login') {
-    loginForm.classList.remove('hidden');
-    registerForm.classList.add('hidden');
-  } else {
-    loginForm.classList.add('hidden');
-    registerForm.classList.remove('hidden');
-  }
+  showAuthForm(type);
+}
+
+// Show one form inside the auth modal and hide the others
+function showAuthForm(type) {
+  Object.entries(AUTH_FORMS).forEach(([formType, formId]) => {
+    document.getElementById(formId).classList.toggle('hidden', formType !== type);
+  });
 }
 
 function closeModal() {
@@ -304,6 +472,7 @@ async function fetchCars() {
     if (state.filters.minPrice) params.append('minPrice', state.filters.minPrice);
     if (state.filters.maxPrice) params.append('maxPrice', state.filters.maxPrice);
     if (state.filters.search) params.append('search', state.filters.search);
+    if (state.filters.sort) params.append('sort', state.filters.sort);
     
     const data = await apiRequest(`/cars?${params.toString()}`);
     
@@ -362,15 +531,27 @@ function createCarCard(car) {
   
   const emoji = getCarEmoji(car.fuelType, car.brand);
   const statusClass = car.status || 'available';
+  const cover = car.images?.[0];
+  const ownerId = car.owner?._id || car.owner;
+  const canFavorite = state.user && ownerId !== state.user._id;
   
   card.innerHTML = `
     <div class="car-image">
-      ${emoji}
-      <span class="car-status ${statusClass}">${statusClass}</span>
+      ${canFavorite ? `
+        <button class="favorite-btn ${car.isFavorited ? 'active' : ''}" title="${car.isFavorited ? 'Remove from saved cars' : 'Save car'}">
+          ${car.isFavorited ? '♥' : '♡'}
+        </button>
+      ` : ''}
+      ${cover ? `<img src="${resolveImageUrl(cover.thumbnailUrl || cover.url)}" alt="${car.title}" loading="lazy" />` : emoji}
+      ${car.images?.length > 1 ? `<span class="car-photo-count">📷 ${car.images.length}</span>` : ''}
+      <span class="car-status ${statusClass}">${statusClass.replace('_', ' ')}</span>
     </div>
     <div class="car-content">
       <h3 class="car-title">${car.title}</h3>
-      <div class="car-price">${formatPrice(car.price)}</div>
+      <div class="car-price">
+        ${formatPrice(car.price)}
+        ${car.priceDropPercent > 0 ? `<span class="price-drop-badge">Price dropped ${car.priceDropPercent}%</span>` : ''}
+      </div>
       <div class="car-specs">
         <span class="car-spec">📅 ${car.year}</span>
         <span class="car-spec">⚙️ ${car.transmission || 'Auto'}</span>
@@ -386,9 +567,33 @@ function createCarCard(car) {
     </div>
   `;
   
+  card.querySelector('.favorite-btn')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleFavorite(car, e.currentTarget);
+  });
+  
   return card;
 }
 
+// Save or unsave a car from its card
+async function toggleFavorite(car, button) {
+  const method = car.isFavorited ? 'DELETE' : 'POST';
+  button.disabled = true;
+  
+  try {
+    const data = await apiRequest(`/users/favorites/${car._id}`, { method });
+    car.isFavorited = data.isFavorited;
+    button.classList.toggle('active', car.isFavorited);
+    button.textContent = car.isFavorited ? '♥' : '♡';
+    button.title = car.isFavorited ? 'Remove from saved cars' : 'Save car';
+    showToast(data.message, 'success');
+  } catch (error) {
+    showToast(error.message || 'Failed to update saved cars.', 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
 // Render pagination
 function renderPagination() {
   const pagination = document.getElementById('pagination');
@@ -452,11 +657,23 @@ async function openCarDetail(carId) {
     const emoji = getCarEmoji(car.fuelType, car.brand);
     const ownerInitials = getInitials(car.owner?.firstName, car.owner?.lastName);
     
+    const isOwner = state.user && car.owner?._id === state.user._id;
+    
     content.innerHTML = `
-      <div class="car-detail-image">${emoji}</div>
+      <div class="car-detail-gallery">
+        <div class="car-detail-image" id="galleryMain">${emoji}</div>
+        <div class="car-gallery-thumbs" id="galleryThumbs"></div>
+        ${isOwner ? `
+          <div class="gallery-upload">
+            <label class="btn btn-ghost btn-sm" for="galleryUploadInput">+ Add photos</label>
+            <input type="file" id="galleryUploadInput" accept="image/jpeg,image/png,image/webp" multiple hidden />
+          </div>
+        ` : ''}
+      </div>
       <div class="car-detail-info">
         <h2>${car.title}</h2>
         <div class="car-detail-price">${formatPrice(car.price)}</div>
+        <div class="price-history" id="priceHistory"></div>
         
         <div class="car-detail-specs">
           <div class="detail-spec">
@@ -489,10 +706,17 @@ async function openCarDetail(carId) {
           </div>
           <div class="detail-spec">
             <span class="detail-spec-label">Status</span>
-            <span class="detail-spec-value" style="text-transform: capitalize">${car.status}</span>
+            <span class="detail-spec-value" style="text-transform: capitalize">${car.status.replace('_', ' ')}</span>
           </div>
         </div>
         
+        ${car.status === 'rejected' && car.moderation?.reason ? `
+          <div class="car-detail-description">
+            <h4>Not approved by moderators</h4>
+            <p>${escapeHtml(car.moderation.reason)}</p>
+          </div>
+        ` : ''}
+        
         <div class="car-detail-description">
           <h4>Description</h4>
           <p>${car.description}</p>
@@ -513,147 +737,1466 @@ async function openCarDetail(carId) {
             <h5>${car.owner?.username || 'Seller'}</h5>
             <span>Listed on ${formatDate(car.createdAt)}</span>
           </div>
+          ${state.user && !isOwner ? '<button class="btn btn-primary btn-sm" id="messageSellerBtn">Message seller</button>' : ''}
+        </div>
+        
+        <div class="owner-contact">
+          ${car.owner?.email ? `<span>✉️ ${car.owner.email}</span>` : ''}
+          ${car.owner?.address?.city ? `<span>📍 ${[car.owner.address.city, car.owner.address.country].filter(Boolean).join(', ')}</span>` : ''}
+          ${car.owner?.phoneAvailable && !isOwner ? '<button class="btn btn-ghost btn-sm" id="revealPhoneBtn">📞 Show phone number</button>' : ''}
+        </div>
+        
+        ${state.user && !isOwner ? `
+          <form class="message-seller-form hidden" id="messageSellerForm">
+            <div class="form-group">
+              <textarea id="messageSellerText" rows="3" maxlength="2000" placeholder="Hi, is this car still available?" required></textarea>
+            </div>
+            <button type="submit" class="btn btn-primary btn-sm">Send message</button>
+          </form>
+        ` : ''}
+        
+        ${isOwner || state.user?.role === 'admin' ? '<div class="car-detail-rental" id="carStatus"></div>' : ''}
+        
+        ${state.user && !isOwner && car.status === 'available' ? '<div class="car-detail-rental" id="carOffer"></div>' : ''}
+        
+        ${car.rental?.isRentable || isOwner ? '<div class="car-detail-rental" id="carRental"></div>' : ''}
+        
+        <div class="car-detail-reviews">
+          <h4>Reviews <span class="reviews-summary" id="reviewsSummary"></span></h4>
+          <div id="reviewFormContainer"></div>
+          <div class="reviews-list" id="reviewsList"></div>
+          <button class="btn btn-ghost btn-sm hidden" id="loadMoreReviews">Load more reviews</button>
         </div>
       </div>
     `;
+    
+    renderGallery(car, isOwner);
+    loadPriceHistory(car._id);
+    document.getElementById('revealPhoneBtn')?.addEventListener('click', (e) => revealSellerPhone(car._id, e.currentTarget));
+    if (state.user && !isOwner) {
+      document.getElementById('messageSellerBtn').addEventListener('click', () => {
+        document.getElementById('messageSellerForm').classList.toggle('hidden');
+        document.getElementById('messageSellerText').focus();
+      });
+      document.getElementById('messageSellerForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        messageSeller(car._id, document.getElementById('messageSellerText').value);
+      });
+    }
+    if (isOwner) {
+      document.getElementById('galleryUploadInput').addEventListener('change', async (e) => {
+        const images = await uploadCarImages(car._id, e.target.files);
+        if (images) {
+          car.images = images;
+          renderGallery(car, isOwner);
+          fetchCars();
+        }
+      });
+    }
+    
+    if (isOwner) {
+      renderRentalSettings(car);
+    } else if (car.rental?.isRentable) {
+      loadCarAvailability(car);
+    }
+    if (document.getElementById('carOffer')) {
+      loadMyOffer(car);
+    }
+    if (document.getElementById('carStatus')) {
+      loadCarStatus(car);
+    }
+    
+    renderReviewSummary(car.rating, car.reviewCount ?? car.reviews?.length ?? 0);
+    renderReviewForm(car);
+    document.getElementById('loadMoreReviews').addEventListener('click', () => {
+      loadCarReviews(car._id, state.reviewsPage + 1);
+    });
+    loadCarReviews(car._id, 1);
   } catch (error) {
     content.innerHTML = '<div class="empty-state"><span class="empty-icon">❌</span><h3>Failed to load car details</h3></div>';
   }
 }
 
-// Close car detail modal
-function closeCarDetailModal() {
-  const modal = document.getElementById('carDetailModal');
-  modal.classList.remove('active');
+// Date input value (YYYY-MM-DD) for a stored UTC-midnight date
+function toDateInput(dateString) {
+  return dateString ? new Date(dateString).toISOString().slice(0, 10) : '';
 }
 
-// Create car listing
-async function createCarListing(carData) {
+function formatRentalRates(rental) {
+  return `${formatPrice(rental.dailyRate)} / day${rental.weeklyRate ? ` · ${formatPrice(rental.weeklyRate)} / week` : ''}`;
+}
+
+// Show rates, unavailable dates and the booking form to other users
+async function loadCarAvailability(car) {
+  const container = document.getElementById('carRental');
+  
   try {
-    const data = await apiRequest('/cars', {
-      method: 'POST',
-      body: JSON.stringify(carData)
-    });
-    
-    showToast('Car listing created successfully!', 'success');
-    
-    // Reset form
-    document.getElementById('createCarForm').reset();
+    const { availability } = await apiRequest(`/cars/${car._id}/availability`);
+    const unavailable = [...availability.blackoutDates, ...availability.booked]
+      .filter(period => new Date(period.endDate) > new Date())
+      .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+    const today = toDateInput(new Date());
     
-    // Refresh cars list
-    fetchCars();
+    container.innerHTML = `
+      <h4>Rent this car</h4>
+      <p class="rental-rates">${formatRentalRates(availability)}</p>
+      ${unavailable.length > 0 ? `
+        <p class="session-meta">Unavailable: ${unavailable.map(period => `${formatDate(period.startDate)} – ${formatDate(period.endDate)}`).join(', ')}</p>
+      ` : ''}
+      ${state.user ? `
+        <form class="booking-form" id="bookingForm">
+          <div class="form-row">
+            <div class="form-group">
+              <label for="bookingStart">Pick-up</label>
+              <input type="date" id="bookingStart" min="${today}" required />
+            </div>
+            <div class="form-group">
+              <label for="bookingEnd">Return</label>
+              <input type="date" id="bookingEnd" min="${today}" required />
+            </div>
+          </div>
+          <div class="form-group">
+            <textarea id="bookingMessage" rows="2" maxlength="1000" placeholder="Message to the owner (optional)"></textarea>
+          </div>
+          <button type="submit" class="btn btn-primary btn-sm">Request booking</button>
+        </form>
+      ` : '<p class="session-meta">Sign in to request a booking.</p>'}
+    `;
     
-    // Scroll to cars section
-    document.getElementById('cars').scrollIntoView({ behavior: 'smooth' });
+    document.getElementById('bookingForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      requestBooking(car._id, {
+        startDate: document.getElementById('bookingStart').value,
+        endDate: document.getElementById('bookingEnd').value,
+        message: document.getElementById('bookingMessage').value
+      });
+    });
   } catch (error) {
-    showToast(error.message || 'Failed to create listing. Please try again.', 'error');
+    container.innerHTML = '';
   }
 }
 
-// ============================================
-// PROFILE MANAGEMENT
-// ============================================
+async function requestBooking(carId, bookingData) {
+  try {
+    const data = await apiRequest(`/cars/${carId}/bookings`, {
+      method: 'POST',
+      body: JSON.stringify(bookingData)
+    });
+    showToast(`Booking requested: ${data.booking.days} day(s) for ${formatPrice(data.booking.totalPrice)}.`, 'success');
+    document.getElementById('bookingForm').reset();
+  } catch (error) {
+    showToast(error.message || 'Failed to request booking.', 'error');
+  }
+}
 
-function showProfileSection() {
-  const profileSection = document.getElementById('profileSection');
-  const sellSection = document.getElementById('sell');
-  
-  profileSection.classList.remove('hidden');
-  sellSection.classList.add('hidden');
-  
-  updateProfileDisplay();
-  fetchUserListings();
+// Earlier asking prices under the price in the car detail (hidden when it never changed)
+async function loadPriceHistory(carId) {
+  const container = document.getElementById('priceHistory');
   
-  // Scroll to profile
-  profileSection.scrollIntoView({ behavior: 'smooth' });
+  try {
+    const { history } = await apiRequest(`/cars/${carId}/price-history`);
+    if (history.length < 2) return;
+    
+    container.innerHTML = history.slice(0, -1).reverse().map(entry => `
+      <span class="price-history-entry">${formatPrice(entry.price)} on ${formatDate(entry.changedAt)}</span>
+    `).join('');
+  } catch (error) {
+    container.innerHTML = '';
+  }
 }
 
-function hideProfileSection() {
-  const profileSection = document.getElementById('profileSection');
-  const sellSection = document.getElementById('sell');
+// Status controls and history for the owner and admins
+async function loadCarStatus(car) {
+  const container = document.getElementById('carStatus');
+  const labels = { available: 'Mark as available', sold: 'Mark as sold', rented: 'Mark as rented', under_review: 'Send to review', rejected: 'Reject' };
   
-  profileSection.classList.add('hidden');
-  sellSection.classList.remove('hidden');
+  try {
+    const data = await apiRequest(`/cars/${car._id}/status-history`);
+    
+    container.innerHTML = `
+      <h4>Listing status</h4>
+      <div class="saved-search-actions">
+        ${data.allowedTransitions.map(status => `
+          <button class="btn btn-ghost btn-sm" data-status="${status}">${labels[status] || status}</button>
+        `).join('')}
+      </div>
+      <div class="sessions-list">
+        ${data.history.map(entry => `
+          <div class="session-item">
+            <span class="session-meta">
+              ${formatDate(entry.changedAt)} · ${entry.from.replace('_', ' ')} → ${entry.to.replace('_', ' ')}
+              · ${escapeHtml(entry.changedBy?.username || 'System')}${entry.reason ? ` · ${escapeHtml(entry.reason)}` : ''}
+            </span>
+          </div>
+        `).join('') || '<p class="session-meta">No status changes yet.</p>'}
+      </div>
+    `;
+    
+    container.querySelectorAll('[data-status]').forEach(button => {
+      button.addEventListener('click', () => changeCarStatus(car, button.dataset.status));
+    });
+  } catch (error) {
+    container.innerHTML = '';
+  }
 }
 
-function updateProfileDisplay() {
-  if (!state.user) return;
-  
-  const initials = getInitials(state.user.firstName, state.user.lastName);
-  const fullName = `${state.user.firstName || ''} ${state.user.lastName || ''}`.trim() || state.user.username;
-  
-  document.getElementById('profileAvatar').textContent = initials;
-  document.getElementById('profileName').textContent = fullName;
-  document.getElementById('profileRole').textContent = state.user.role || 'user';
-  document.getElementById('profileEmail').textContent = state.user.email;
-  document.getElementById('profilePhone').textContent = state.user.phone || 'Not provided';
-  document.getElementById('profileUsername').textContent = state.user.username;
-  document.getElementById('profileSince').textContent = formatDate(state.user.createdAt);
+async function changeCarStatus(car, status) {
+  const reason = prompt(status === 'rejected' ? 'Reason for rejecting:' : 'Reason (optional):');
+  if (reason === null) return;
   
-  // Pre-fill edit form
-  document.getElementById('editFirstName').value = state.user.firstName || '';
-  document.getElementById('editLastName').value = state.user.lastName || '';
-  document.getElementById('editPhone').value = state.user.phone || '';
-  document.getElementById('editCity').value = state.user.address?.city || '';
-  document.getElementById('editCountry').value = state.user.address?.country || '';
+  try {
+    const data = await apiRequest(`/cars/${car._id}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status, reason })
+    });
+    showToast(data.message, 'success');
+    car.status = data.car.status;
+    loadCarStatus(car);
+    fetchCars();
+  } catch (error) {
+    showToast(error.message || 'Failed to change status.', 'error');
+  }
 }
 
-async function fetchUserListings() {
-  const grid = document.getElementById('myListingsGrid');
-  grid.innerHTML = '<div class="loading-state"><div class="loader"></div><p>Loading your listings...</p></div>';
+// The side that has to respond next: the seller to an offer, the buyer to a counter-offer
+function getOfferTurn(offer) {
+  return offer.status === 'countered' ? 'buyer' : 'seller';
+}
+
+function describeOfferEvent(event) {
+  const labels = { offer: 'offered', counter: 'countered with', accept: 'accepted', decline: 'declined', expire: 'let it expire' };
+  const who = event.by === 'buyer' ? 'Buyer' : 'Seller';
+  return `${who} ${labels[event.action]}${event.amount && event.action !== 'accept' ? ` ${formatPrice(event.amount)}` : ''}${event.message ? `: "${escapeHtml(event.message)}"` : ''}`;
+}
+
+// Negotiation thread of an offer, with accept/decline/counter buttons when it is the user's turn
+function renderOfferThread(offer, role) {
+  const isOpen = ['pending', 'countered'].includes(offer.status);
+  const myTurn = isOpen && getOfferTurn(offer) === role;
+  const carId = offer.car?._id || offer.car;
+  
+  return `
+    <div class="session-item">
+      <div class="session-info">
+        <span class="session-device">
+          ${offer.car?.title ? `${escapeHtml(offer.car.title)} · ` : ''}${formatPrice(offer.amount)}
+          ${role === 'seller' ? ` · from ${escapeHtml(offer.buyer?.username || 'buyer')}` : ''}
+        </span>
+        ${(offer.history || []).map(event => `<span class="session-meta">${describeOfferEvent(event)}</span>`).join('')}
+        ${isOpen ? `<span class="session-meta">${myTurn ? 'Respond' : 'Waiting for a response'} by ${formatDate(offer.expiresAt)}</span>` : ''}
+      </div>
+      <div class="saved-search-actions">
+        <span class="booking-status booking-status-${offer.status}">${offer.status}</span>
+        ${myTurn ? `
+          <button class="btn btn-primary btn-sm" onclick="respondToOffer('${carId}', '${offer._id}', 'accept')">Accept</button>
+          <button class="btn btn-ghost btn-sm" onclick="respondToOffer('${carId}', '${offer._id}', 'counter')">Counter</button>
+          <button class="btn btn-ghost btn-sm" onclick="respondToOffer('${carId}', '${offer._id}', 'decline')">Decline</button>
+        ` : ''}
+      </div>
+    </div>
+  `;
+}
+
+// Show the user's latest offer on a car, or the form to make one
+async function loadMyOffer(car) {
+  const container = document.getElementById('carOffer');
   
   try {
-    const data = await apiRequest('/cars/user/listings');
-    const cars = data.cars || [];
+    const data = await apiRequest(`/cars/${car._id}/offers?limit=1`);
+    const offer = data.offers?.[0];
+    const hasOpenOffer = offer && ['pending', 'countered'].includes(offer.status);
     
-    if (cars.length === 0) {
-      grid.innerHTML = '<div class="empty-state"><span class="empty-icon">🚗</span><h3>No listings yet</h3><p>Create your first car listing to get started!</p></div>';
-      return;
-    }
+    container.innerHTML = `
+      <h4>Make an offer</h4>
+      ${offer ? `<div class="sessions-list">${renderOfferThread(offer, 'buyer')}</div>` : ''}
+      ${hasOpenOffer ? '' : `
+        <form class="booking-form" id="offerForm">
+          <div class="form-row">
+            <div class="form-group">
+              <input type="number" id="offerAmount" min="1" step="1" placeholder="Your offer ($)" required />
+            </div>
+            <div class="form-group">
+              <input type="text" id="offerMessage" maxlength="1000" placeholder="Message (optional)" />
+            </div>
+          </div>
+          <button type="submit" class="btn btn-primary btn-sm">Send offer</button>
+        </form>
+      `}
+    `;
     
-    grid.innerHTML = '';
-    cars.forEach(car => {
-      const card = createCarCard(car);
-      grid.appendChild(card);
+    document.getElementById('offerForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      makeOffer(car, {
+        amount: Number(document.getElementById('offerAmount').value),
+        message: document.getElementById('offerMessage').value
+      });
     });
   } catch (error) {
-    grid.innerHTML = '<div class="empty-state"><span class="empty-icon">❌</span><h3>Failed to load listings</h3></div>';
+    container.innerHTML = '';
   }
 }
 
-async function updateProfile(profileData) {
+async function makeOffer(car, offerData) {
   try {
-    const data = await apiRequest('/users/profile', {
-      method: 'PUT',
-      body: JSON.stringify(profileData)
+    await apiRequest(`/cars/${car._id}/offers`, {
+      method: 'POST',
+      body: JSON.stringify(offerData)
     });
-    
-    state.user = data.user;
-    updateProfileDisplay();
-    updateUIForUser();
-    
-    document.getElementById('editProfileCard').classList.add('hidden');
-    showToast('Profile updated successfully!', 'success');
+    showToast('Offer sent to the seller.', 'success');
+    loadMyOffer(car);
   } catch (error) {
-    showToast(error.message || 'Failed to update profile.', 'error');
+    showToast(error.message || 'Failed to send offer.', 'error');
   }
 }
 
-// ============================================
-// EVENT LISTENERS
-// ============================================
-
-document.addEventListener('DOMContentLoaded', () => {
-  // Check authentication status
-  checkAuth();
-  
-  // Fetch initial cars
-  fetchCars();
-  
-  // Animate stats on load
-  animateStats();
+// Accept, decline or counter an offer (countering asks for a new amount)
+async function respondToOffer(carId, offerId, action) {
+  const body = {};
+  if (action === 'counter') {
+    const amount = prompt('Counter-offer amount ($):');
+    if (!amount) return;
+    body.amount = Number(amount);
+  } else if (action === 'decline') {
+    const message = prompt('Message (optional):');
+    if (message === null) return;
+    body.message = message;
+  } else if (!confirm('Accept this offer? The car will be marked as sold.')) {
+    return;
+  }
   
-  // Navbar scroll effect
+  try {
+    const data = await apiRequest(`/cars/${carId}/offers/${offerId}/${action}`, {
+      method: 'POST',
+      body: JSON.stringify(body)
+    });
+    showToast(data.message, 'success');
+    if (document.getElementById('carOffer')) {
+      loadMyOffer({ _id: carId });
+    }
+    if (!document.getElementById('profileSection').classList.contains('hidden')) {
+      fetchOffers();
+    }
+    if (action === 'accept') {
+      fetchCars();
+    }
+  } catch (error) {
+    showToast(error.message || 'Failed to update offer.', 'error');
+  }
+}
+
+// Rental settings form for the owner (rates and blocked dates)
+function renderRentalSettings(car) {
+  const container = document.getElementById('carRental');
+  const rental = car.rental || {};
+  const blackoutDates = [...(rental.blackoutDates || [])];
+  
+  container.innerHTML = `
+    <h4>Rental</h4>
+    <form class="booking-form" id="rentalSettingsForm">
+      <label class="rental-toggle">
+        <input type="checkbox" id="rentalEnabled" ${rental.isRentable ? 'checked' : ''} />
+        Offer this car for rent
+      </label>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="rentalDailyRate">Daily rate ($)</label>
+          <input type="number" id="rentalDailyRate" min="0" value="${rental.dailyRate ?? ''}" />
+        </div>
+        <div class="form-group">
+          <label for="rentalWeeklyRate">Weekly rate ($, optional)</label>
+          <input type="number" id="rentalWeeklyRate" min="0" value="${rental.weeklyRate ?? ''}" />
+        </div>
+      </div>
+      <div class="form-section-title">Blocked dates</div>
+      <div id="blackoutList"></div>
+      <div class="form-row">
+        <div class="form-group">
+          <input type="date" id="blackoutStart" />
+        </div>
+        <div class="form-group">
+          <input type="date" id="blackoutEnd" />
+        </div>
+      </div>
+      <button type="button" class="btn btn-ghost btn-sm" id="addBlackoutBtn">+ Block dates</button>
+      <button type="submit" class="btn btn-primary btn-sm">Save rental settings</button>
+    </form>
+  `;
+  
+  const renderBlackouts = () => {
+    document.getElementById('blackoutList').innerHTML = blackoutDates.length === 0
+      ? '<p class="session-meta">No blocked dates.</p>'
+      : blackoutDates.map((period, index) => `
+        <div class="session-item">
+          <span class="session-meta">${formatDate(period.startDate)} – ${formatDate(period.endDate)}</span>
+          <button type="button" class="btn btn-ghost btn-sm" data-blackout-index="${index}">Remove</button>
+        </div>
+      `).join('');
+  };
+  renderBlackouts();
+  
+  document.getElementById('blackoutList').addEventListener('click', (e) => {
+    const index = e.target.dataset.blackoutIndex;
+    if (index === undefined) return;
+    blackoutDates.splice(Number(index), 1);
+    renderBlackouts();
+  });
+  
+  document.getElementById('addBlackoutBtn').addEventListener('click', () => {
+    const startDate = document.getElementById('blackoutStart').value;
+    const endDate = document.getElementById('blackoutEnd').value;
+    if (!startDate || !endDate || endDate <= startDate) {
+      showToast('Choose a start date and a later end date.', 'error');
+      return;
+    }
+    blackoutDates.push({ startDate, endDate });
+    renderBlackouts();
+  });
+  
+  document.getElementById('rentalSettingsForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const dailyRate = document.getElementById('rentalDailyRate').value;
+    const weeklyRate = document.getElementById('rentalWeeklyRate').value;
+    
+    try {
+      const data = await apiRequest(`/cars/${car._id}/rental`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          isRentable: document.getElementById('rentalEnabled').checked,
+          ...(dailyRate !== '' && { dailyRate: Number(dailyRate) }),
+          ...(weeklyRate !== '' && { weeklyRate: Number(weeklyRate) }),
+          blackoutDates: blackoutDates.map(({ startDate, endDate, reason }) => ({
+            startDate: toDateInput(startDate),
+            endDate: toDateInput(endDate),
+            ...(reason && { reason })
+          }))
+        })
+      });
+      car.rental = data.rental;
+      showToast('Rental settings saved.', 'success');
+    } catch (error) {
+      showToast(error.message || 'Failed to save rental settings.', 'error');
+    }
+  });
+}
+
+// Render the car image gallery, with cover/delete controls for the owner
+function renderGallery(car, isOwner, activeIndex = 0) {
+  const main = document.getElementById('galleryMain');
+  const thumbs = document.getElementById('galleryThumbs');
+  const images = car.images || [];
+  
+  if (images.length === 0) {
+    main.innerHTML = getCarEmoji(car.fuelType, car.brand);
+    thumbs.innerHTML = '';
+    return;
+  }
+  
+  const active = images[activeIndex] || images[0];
+  main.innerHTML = `<img src="${resolveImageUrl(active.url)}" alt="${car.title}" />`;
+  
+  thumbs.innerHTML = images.map((image, index) => `
+    <div class="gallery-thumb ${image === active ? 'active' : ''}" data-index="${index}">
+      <img src="${resolveImageUrl(image.thumbnailUrl || image.url)}" alt="${car.title} photo ${index + 1}" loading="lazy" />
+      ${isOwner ? `
+        <div class="gallery-thumb-actions">
+          ${index > 0 ? `<button type="button" data-action="cover" data-id="${image._id}" title="Make cover">★</button>` : ''}
+          <button type="button" data-action="delete" data-id="${image._id}" title="Delete photo">✕</button>
+        </div>
+      ` : ''}
+    </div>
+  `).join('');
+  
+  thumbs.querySelectorAll('.gallery-thumb').forEach(thumb => {
+    thumb.addEventListener('click', (e) => {
+      const action = e.target.dataset.action;
+      if (action) {
+        e.stopPropagation();
+        manageCarImage(car, isOwner, action, e.target.dataset.id);
+        return;
+      }
+      renderGallery(car, isOwner, parseInt(thumb.dataset.index));
+    });
+  });
+}
+
+// Set an image as cover or delete it
+async function manageCarImage(car, isOwner, action, imageId) {
+  try {
+    const data = action === 'cover'
+      ? await apiRequest(`/cars/${car._id}/images/${imageId}/cover`, { method: 'PUT' })
+      : await apiRequest(`/cars/${car._id}/images/${imageId}`, { method: 'DELETE' });
+    
+    car.images = data.images;
+    renderGallery(car, isOwner);
+    fetchCars();
+    showToast(data.message, 'success');
+  } catch (error) {
+    showToast(error.message || 'Failed to update photos.', 'error');
+  }
+}
+
+// Upload photos for a car listing
+async function uploadCarImages(carId, files) {
+  if (!files || files.length === 0) return null;
+  
+  const formData = new FormData();
+  Array.from(files).forEach(file => formData.append('images', file));
+  
+  try {
+    const data = await apiRequest(`/cars/${carId}/images`, {
+      method: 'POST',
+      body: formData
+    });
+    showToast(data.message, 'success');
+    return data.images;
+  } catch (error) {
+    showToast(error.message || 'Failed to upload photos.', 'error');
+    return null;
+  }
+}
+
+// Render star rating
+function renderStars(rating) {
+  const rounded = Math.round(rating || 0);
+  return '★'.repeat(rounded) + '☆'.repeat(5 - rounded);
+}
+
+// Render average rating and review count
+function renderReviewSummary(rating, count) {
+  const summary = document.getElementById('reviewsSummary');
+  summary.textContent = count > 0 ? `${renderStars(rating)} ${rating} (${count})` : 'No reviews yet';
+}
+
+// Load a page of reviews for a car
+async function loadCarReviews(carId, page) {
+  const list = document.getElementById('reviewsList');
+  const loadMoreBtn = document.getElementById('loadMoreReviews');
+  
+  try {
+    const data = await apiRequest(`/cars/${carId}/reviews?page=${page}&limit=5`);
+    
+    const html = data.reviews.map(review => `
+      <div class="review-item">
+        <div class="review-header">
+          <span class="review-author">${escapeHtml(review.username || 'User')} <span class="review-stars">${renderStars(review.rating)}</span></span>
+          <span class="review-date">${formatDate(review.createdAt)}</span>
+        </div>
+        ${review.comment ? `<p class="review-comment">${escapeHtml(review.comment)}</p>` : ''}
+      </div>
+    `).join('');
+    
+    list.innerHTML = page === 1 ? html : list.innerHTML + html;
+    state.reviewsPage = page;
+    loadMoreBtn.classList.toggle('hidden', page >= data.pagination.pages);
+  } catch (error) {
+    list.innerHTML = '<p class="review-comment">Failed to load reviews.</p>';
+  }
+}
+
+// Render the review form for signed-in users who don't own the listing
+function renderReviewForm(car) {
+  const container = document.getElementById('reviewFormContainer');
+  
+  if (!state.user) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  if (car.owner?._id === state.user._id) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const ownReview = (car.reviews || []).find(review => review.userId === state.user._id);
+  
+  container.innerHTML = `
+    <form class="review-form" id="reviewForm">
+      <div class="form-group">
+        <label for="reviewRating">${ownReview ? 'Your review' : 'Leave a review'}</label>
+        <select id="reviewRating" required>
+          ${[5, 4, 3, 2, 1].map(value => `
+            <option value="${value}" ${ownReview?.rating === value ? 'selected' : ''}>${renderStars(value)}</option>
+          `).join('')}
+        </select>
+      </div>
+      <div class="form-group">
+        <textarea id="reviewComment" rows="3" maxlength="1000" placeholder="Share your experience with this car">${escapeHtml(ownReview?.comment || '')}</textarea>
+      </div>
+      <div class="form-actions">
+        <button type="submit" class="btn btn-primary btn-sm">${ownReview ? 'Update Review' : 'Submit Review'}</button>
+        ${ownReview ? '<button type="button" class="btn btn-ghost btn-sm" id="deleteReviewBtn">Delete</button>' : ''}
+      </div>
+    </form>
+  `;
+  
+  document.getElementById('reviewForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveReview(car, !!ownReview, {
+      rating: parseInt(document.getElementById('reviewRating').value),
+      comment: document.getElementById('reviewComment').value.trim()
+    });
+  });
+  
+  if (ownReview) {
+    document.getElementById('deleteReviewBtn').addEventListener('click', () => deleteReview(car));
+  }
+}
+
+// Create or update the current user's review
+async function saveReview(car, isUpdate, reviewData) {
+  try {
+    const data = await apiRequest(`/cars/${car._id}/reviews`, {
+      method: isUpdate ? 'PUT' : 'POST',
+      body: JSON.stringify(reviewData)
+    });
+    
+    car.reviews = (car.reviews || []).filter(review => review.userId !== state.user._id).concat(data.review);
+    renderReviewSummary(data.rating, data.reviewCount);
+    renderReviewForm(car);
+    loadCarReviews(car._id, 1);
+    showToast(data.message, 'success');
+  } catch (error) {
+    showToast(error.message || 'Failed to save review.', 'error');
+  }
+}
+
+// Delete the current user's review
+async function deleteReview(car) {
+  try {
+    const data = await apiRequest(`/cars/${car._id}/reviews`, { method: 'DELETE' });
+    
+    car.reviews = (car.reviews || []).filter(review => review.userId !== state.user._id);
+    renderReviewSummary(data.rating, data.reviewCount);
+    renderReviewForm(car);
+    loadCarReviews(car._id, 1);
+    showToast(data.message, 'success');
+  } catch (error) {
+    showToast(error.message || 'Failed to delete review.', 'error');
+  }
+}
+
+// Close car detail modal
+function closeCarDetailModal() {
+  const modal = document.getElementById('carDetailModal');
+  modal.classList.remove('active');
+}
+
+// Reveal the seller's phone number (each reveal is logged server-side)
+async function revealSellerPhone(carId, button) {
+  try {
+    const data = await apiRequest(`/cars/${carId}/contact/phone`, { method: 'POST' });
+    const link = document.createElement('a');
+    link.href = `tel:${data.phone}`;
+    link.textContent = `📞 ${data.phone}`;
+    button.replaceWith(link);
+  } catch (error) {
+    showToast(error.message || 'Phone number is not available.', 'error');
+  }
+}
+
+// ============================================
+// MESSAGING
+// ============================================
+
+// Start (or continue) a conversation with the seller of a car
+async function messageSeller(carId, text) {
+  try {
+    const data = await apiRequest('/conversations', {
+      method: 'POST',
+      body: JSON.stringify({ carId, text })
+    });
+    
+    document.getElementById('messageSellerForm').reset();
+    document.getElementById('messageSellerForm').classList.add('hidden');
+    showToast('Message sent to the seller.', 'success');
+    closeCarDetailModal();
+    openInbox(data.conversation._id);
+  } catch (error) {
+    showToast(error.message || 'Failed to send message.', 'error');
+  }
+}
+
+function openInbox(conversationId = null) {
+  document.getElementById('inboxModal').classList.add('active');
+  loadInbox().then(() => {
+    if (conversationId) openConversation(conversationId);
+  });
+}
+
+function closeInbox() {
+  document.getElementById('inboxModal').classList.remove('active');
+  state.activeConversationId = null;
+}
+
+// Show the total unread count next to "Messages" in the user menu
+function updateInboxBadge(count) {
+  const badge = document.getElementById('inboxUnreadBadge');
+  badge.textContent = count > 99 ? '99+' : count;
+  badge.classList.toggle('hidden', !count);
+}
+
+async function fetchInboxUnread() {
+  try {
+    const data = await apiRequest('/conversations?limit=1');
+    updateInboxBadge(data.unreadTotal);
+  } catch (error) {
+    // The badge is not essential, ignore failures
+  }
+}
+
+async function loadInbox() {
+  const list = document.getElementById('inboxList');
+  list.innerHTML = '<div class="loading-state"><div class="loader"></div></div>';
+  
+  try {
+    const data = await apiRequest('/conversations?limit=50');
+    const conversations = data.conversations || [];
+    updateInboxBadge(data.unreadTotal);
+    
+    if (conversations.length === 0) {
+      list.innerHTML = '<p class="inbox-placeholder">No messages yet. Use "Message seller" on any listing to start a conversation.</p>';
+      return;
+    }
+    
+    list.innerHTML = conversations.map(conversation => {
+      const other = conversation.role === 'buyer' ? conversation.seller : conversation.buyer;
+      return `
+        <div class="inbox-item ${conversation._id === state.activeConversationId ? 'active' : ''} ${conversation.unreadCount ? 'unread' : ''}"
+             onclick="openConversation('${conversation._id}')">
+          <div class="inbox-item-header">
+            <span class="inbox-item-name">${escapeHtml(other?.username || 'Deleted user')}</span>
+            ${conversation.unreadCount ? `<span class="dropdown-badge">${conversation.unreadCount}</span>` : ''}
+          </div>
+          <span class="inbox-item-car">${escapeHtml(conversation.car?.title || 'Listing removed')}</span>
+          <span class="inbox-item-preview">${escapeHtml(conversation.lastMessage?.text || '')}</span>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    list.innerHTML = '<div class="empty-state"><span class="empty-icon">❌</span><h3>Failed to load messages</h3></div>';
+  }
+}
+
+async function openConversation(conversationId) {
+  const thread = document.getElementById('inboxThread');
+  state.activeConversationId = conversationId;
+  thread.innerHTML = '<div class="loading-state"><div class="loader"></div></div>';
+  
+  try {
+    const data = await apiRequest(`/conversations/${conversationId}/messages`);
+    const { conversation, messages } = data;
+    
+    thread.innerHTML = `
+      <div class="inbox-thread-header">
+        <h4>${escapeHtml(conversation.car?.title || 'Listing removed')}</h4>
+        ${conversation.car ? `<span>${formatPrice(conversation.car.price)}</span>` : ''}
+      </div>
+      <div class="inbox-messages" id="inboxMessages">
+        ${messages.map(message => `
+          <div class="inbox-message ${message.sender === state.user._id ? 'own' : ''}">
+            <p>${escapeHtml(message.text)}</p>
+            <span>${new Date(message.createdAt).toLocaleString()}</span>
+          </div>
+        `).join('')}
+      </div>
+      <form class="inbox-reply" id="inboxReplyForm">
+        <textarea id="inboxReplyText" rows="2" maxlength="2000" placeholder="Write a message..." required></textarea>
+        <button type="submit" class="btn btn-primary btn-sm">Send</button>
+      </form>
+    `;
+    
+    const messagesEl = document.getElementById('inboxMessages');
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+    
+    document.getElementById('inboxReplyForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      replyToConversation(conversationId, document.getElementById('inboxReplyText').value);
+    });
+    
+    await apiRequest(`/conversations/${conversationId}/read`, { method: 'POST' });
+    loadInbox();
+  } catch (error) {
+    thread.innerHTML = '<div class="empty-state"><span class="empty-icon">❌</span><h3>Failed to load conversation</h3></div>';
+  }
+}
+
+async function replyToConversation(conversationId, text) {
+  try {
+    await apiRequest(`/conversations/${conversationId}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({ text })
+    });
+    openConversation(conversationId);
+  } catch (error) {
+    showToast(error.message || 'Failed to send message.', 'error');
+  }
+}
+
+// Open the inbox from the emailed link (?inbox=<conversationId>)
+function openInboxFromLink() {
+  const params = new URLSearchParams(window.location.search);
+  const conversationId = params.get('inbox');
+  if (!conversationId) return;
+  
+  params.delete('inbox');
+  const query = params.toString();
+  window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  
+  if (state.user) {
+    openInbox(conversationId);
+  } else {
+    openModal('login');
+    showToast('Sign in to read your messages.', 'info');
+  }
+}
+
+// Create car listing
+async function createCarListing(carData) {
+  try {
+    const data = await apiRequest('/cars', {
+      method: 'POST',
+      body: JSON.stringify(carData)
+    });
+    
+    showToast(data.message || 'Car listing created successfully!', 'success');
+    
+    // Upload photos once the listing exists
+    await uploadCarImages(data.car._id, document.getElementById('carImages').files);
+    
+    // Reset form
+    document.getElementById('createCarForm').reset();
+    
+    // Refresh cars list
+    fetchCars();
+    
+    // Scroll to cars section
+    document.getElementById('cars').scrollIntoView({ behavior: 'smooth' });
+  } catch (error) {
+    showToast(error.message || 'Failed to create listing. Please try again.', 'error');
+  }
+}
+
+// ============================================
+// NOTIFICATIONS
+// ============================================
+
+const NOTIFICATION_POLL_MS = 60 * 1000;
+
+function updateNotificationBadge(count) {
+  const badge = document.getElementById('notificationBadge');
+  badge.textContent = count > 99 ? '99+' : count;
+  badge.classList.toggle('hidden', !count);
+}
+
+async function fetchNotificationCount() {
+  try {
+    const data = await apiRequest('/notifications/unread-count');
+    updateNotificationBadge(data.unreadCount);
+  } catch (error) {
+    // The badge is not essential, ignore failures
+  }
+}
+
+// Show the bell and keep its badge up to date while signed in
+function startNotificationPolling() {
+  document.getElementById('notificationBell').classList.remove('hidden');
+  fetchNotificationCount();
+  
+  if (!state.notificationTimer) {
+    state.notificationTimer = setInterval(fetchNotificationCount, NOTIFICATION_POLL_MS);
+  }
+}
+
+function stopNotificationPolling() {
+  clearInterval(state.notificationTimer);
+  state.notificationTimer = null;
+  document.getElementById('notificationBell').classList.add('hidden');
+  document.getElementById('notificationPanel').classList.remove('active');
+}
+
+async function loadNotifications() {
+  const list = document.getElementById('notificationList');
+  list.innerHTML = '<div class="loading-state"><div class="loader"></div></div>';
+  
+  try {
+    const data = await apiRequest('/notifications?limit=20');
+    const notifications = data.notifications || [];
+    updateNotificationBadge(data.unreadCount);
+    
+    if (notifications.length === 0) {
+      list.innerHTML = '<p class="inbox-placeholder">No notifications yet.</p>';
+      return;
+    }
+    
+    list.innerHTML = notifications.map(notification => `
+      <a href="#" class="notification-item ${notification.readAt ? '' : 'unread'}" data-id="${notification._id}" data-link="${escapeHtml(notification.link || '')}">
+        <span class="notification-title">${escapeHtml(notification.title)}</span>
+        ${notification.body ? `<span class="notification-body">${escapeHtml(notification.body)}</span>` : ''}
+        <span class="notification-time">${formatDate(notification.createdAt)}</span>
+      </a>
+    `).join('');
+    
+    list.querySelectorAll('.notification-item').forEach(item => {
+      item.addEventListener('click', (e) => {
+        e.preventDefault();
+        openNotification(item.dataset.id, item.dataset.link);
+      });
+    });
+  } catch (error) {
+    list.innerHTML = `<p class="inbox-placeholder">${escapeHtml(error.message || 'Failed to load notifications.')}</p>`;
+  }
+}
+
+// Mark a notification as read and follow its link
+async function openNotification(notificationId, link) {
+  try {
+    const data = await apiRequest(`/notifications/${notificationId}/read`, { method: 'POST' });
+    updateNotificationBadge(data.unreadCount);
+  } catch (error) {
+    // Still follow the link
+  }
+  
+  document.getElementById('notificationPanel').classList.remove('active');
+  if (link) {
+    window.location.href = link;
+  } else {
+    loadNotifications();
+  }
+}
+
+async function markAllNotificationsRead() {
+  try {
+    await apiRequest('/notifications/read-all', { method: 'POST' });
+    updateNotificationBadge(0);
+    loadNotifications();
+  } catch (error) {
+    showToast(error.message || 'Failed to mark notifications as read.', 'error');
+  }
+}
+
+function toggleNotificationPanel() {
+  const panel = document.getElementById('notificationPanel');
+  document.getElementById('userDropdown').classList.remove('active');
+  
+  if (panel.classList.toggle('active')) {
+    loadNotifications();
+  }
+}
+
+// Fill the email notification settings in the edit profile form
+async function fetchNotificationPreferences() {
+  try {
+    const data = await apiRequest('/notifications/preferences');
+    const { email } = data.preferences;
+    document.getElementById('prefListingConfirmations').value = String(email.listingConfirmations);
+    document.getElementById('prefMessages').value = String(email.messages);
+    document.getElementById('prefPriceDrops').value = String(email.priceDrops);
+    document.getElementById('prefMarketing').value = String(email.marketing);
+  } catch (error) {
+    // Leave the defaults in place
+  }
+}
+
+async function updateNotificationPreferences() {
+  const email = {
+    listingConfirmations: document.getElementById('prefListingConfirmations').value === 'true',
+    messages: document.getElementById('prefMessages').value === 'true',
+    priceDrops: document.getElementById('prefPriceDrops').value === 'true',
+    marketing: document.getElementById('prefMarketing').value === 'true'
+  };
+  
+  await apiRequest('/notifications/preferences', {
+    method: 'PUT',
+    body: JSON.stringify({ email })
+  });
+}
+
+// Turn off emails from the signed link in an email footer (?unsubscribe=<token>)
+async function unsubscribeFromLink() {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('unsubscribe');
+  if (!token) return;
+  
+  // Remove the token from the address bar
+  params.delete('unsubscribe');
+  const query = params.toString();
+  window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  
+  try {
+    const data = await apiRequest('/notifications/unsubscribe', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    });
+    showToast(data.message, 'success');
+  } catch (error) {
+    showToast(error.message || 'Unsubscribe link is invalid.', 'error');
+  }
+}
+
+// ============================================
+// PROFILE MANAGEMENT
+// ============================================
+
+function showProfileSection() {
+  const profileSection = document.getElementById('profileSection');
+  const sellSection = document.getElementById('sell');
+  
+  profileSection.classList.remove('hidden');
+  sellSection.classList.add('hidden');
+  
+  updateProfileDisplay();
+  fetchNotificationPreferences();
+  fetchUserSessions();
+  fetchUserListings();
+  fetchListingAnalytics();
+  fetchSavedCars();
+  fetchSavedSearches();
+  fetchBookings();
+  fetchOffers();
+  
+  // Scroll to profile
+  profileSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+function hideProfileSection() {
+  const profileSection = document.getElementById('profileSection');
+  const sellSection = document.getElementById('sell');
+  
+  profileSection.classList.add('hidden');
+  sellSection.classList.remove('hidden');
+}
+
+function updateProfileDisplay() {
+  if (!state.user) return;
+  
+  const initials = getInitials(state.user.firstName, state.user.lastName);
+  const fullName = `${state.user.firstName || ''} ${state.user.lastName || ''}`.trim() || state.user.username;
+  
+  document.getElementById('profileAvatar').textContent = initials;
+  document.getElementById('profileName').textContent = fullName;
+  document.getElementById('profileRole').textContent = state.user.role || 'user';
+  document.getElementById('profileEmail').textContent = state.user.email;
+  document.getElementById('profilePhone').textContent = state.user.phone || 'Not provided';
+  document.getElementById('profileUsername').textContent = state.user.username;
+  document.getElementById('profileEmailStatus').textContent = state.user.isEmailVerified ? 'Verified' : 'Not verified';
+  document.getElementById('resendVerificationBtn').classList.toggle('hidden', !!state.user.isEmailVerified);
+  document.getElementById('profileSince').textContent = formatDate(state.user.createdAt);
+  
+  // Pre-fill edit form
+  document.getElementById('editFirstName').value = state.user.firstName || '';
+  document.getElementById('editLastName').value = state.user.lastName || '';
+  document.getElementById('editPhone').value = state.user.phone || '';
+  document.getElementById('editLocale').value = state.user.locale || 'en';
+  document.getElementById('editCity').value = state.user.address?.city || '';
+  document.getElementById('editCountry').value = state.user.address?.country || '';
+  document.getElementById('privacyEmail').value = state.user.contactPrivacy?.email || 'users';
+  document.getElementById('privacyPhone').value = state.user.contactPrivacy?.phone || 'users';
+  document.getElementById('privacyAddress').value = state.user.contactPrivacy?.address || 'nobody';
+}
+
+async function fetchUserListings() {
+  const grid = document.getElementById('myListingsGrid');
+  grid.innerHTML = '<div class="loading-state"><div class="loader"></div><p>Loading your listings...</p></div>';
+  
+  try {
+    const data = await apiRequest('/cars/user/listings');
+    const cars = data.cars || [];
+    
+    if (cars.length === 0) {
+      grid.innerHTML = '<div class="empty-state"><span class="empty-icon">🚗</span><h3>No listings yet</h3><p>Create your first car listing to get started!</p></div>';
+      return;
+    }
+    
+    grid.innerHTML = '';
+    cars.forEach(car => {
+      const card = createCarCard(car);
+      grid.appendChild(card);
+    });
+  } catch (error) {
+    grid.innerHTML = '<div class="empty-state"><span class="empty-icon">❌</span><h3>Failed to load listings</h3></div>';
+  }
+}
+
+// Bar chart of one metric per day (bar heights relative to the busiest day)
+function renderAnalyticsChart(daily, metric) {
+  const max = Math.max(...daily.map(point => point[metric]), 1);
+  
+  return `
+    <div class="analytics-chart">
+      ${daily.map(point => `
+        <span class="analytics-bar" style="height: ${Math.round((point[metric] / max) * 100)}%" title="${point.date}: ${point[metric]}"></span>
+      `).join('')}
+    </div>
+  `;
+}
+
+function renderAnalyticsTotals(totals) {
+  return `
+    <div class="analytics-totals">
+      <span>👁️ ${totals.views} views</span>
+      <span>♥ ${totals.favorites} saves</span>
+      <span>✉️ ${totals.messages} messages</span>
+      <span>📞 ${totals.contactReveals} phone reveals</span>
+    </div>
+  `;
+}
+
+async function fetchListingAnalytics() {
+  const content = document.getElementById('analyticsContent');
+  const days = document.getElementById('analyticsDays').value;
+  content.innerHTML = '<div class="loading-state"><div class="loader"></div><p>Loading analytics...</p></div>';
+  
+  try {
+    const data = await apiRequest(`/cars/user/analytics?days=${days}`);
+    
+    if (data.listings.length === 0) {
+      content.innerHTML = '<p class="session-meta">Analytics appear here once you have listings.</p>';
+      return;
+    }
+    
+    content.innerHTML = `
+      ${renderAnalyticsTotals(data.totals)}
+      ${data.listings.map(listing => `
+        <div class="analytics-listing">
+          <div class="analytics-listing-header">
+            <span class="session-device">${escapeHtml(listing.car.title)}</span>
+            <span class="session-meta">${listing.allTime.views} views all time · ${listing.allTime.favorites} saved</span>
+          </div>
+          ${renderAnalyticsTotals(listing.totals)}
+          ${renderAnalyticsChart(listing.daily, 'views')}
+        </div>
+      `).join('')}
+    `;
+  } catch (error) {
+    content.innerHTML = '<div class="empty-state"><span class="empty-icon">❌</span><h3>Failed to load analytics</h3></div>';
+  }
+}
+
+async function fetchSavedCars() {
+  const grid = document.getElementById('savedCarsGrid');
+  grid.innerHTML = '<div class="loading-state"><div class="loader"></div><p>Loading saved cars...</p></div>';
+  
+  try {
+    const data = await apiRequest('/users/favorites?limit=50');
+    // Saved cars that went back under review have no details to show
+    const cars = (data.cars || []).filter(car => !car.unavailable);
+    
+    if (cars.length === 0) {
+      grid.innerHTML = '<div class="empty-state"><span class="empty-icon">♡</span><h3>No saved cars yet</h3><p>Tap the heart on any listing to save it here.</p></div>';
+      return;
+    }
+    
+    grid.innerHTML = '';
+    cars.forEach(car => {
+      const card = createCarCard(car);
+      grid.appendChild(card);
+    });
+  } catch (error) {
+    grid.innerHTML = '<div class="empty-state"><span class="empty-icon">❌</span><h3>Failed to load saved cars</h3></div>';
+  }
+}
+
+// Filters from state.filters that a saved search can store (empty values dropped)
+function getSearchableFilters() {
+  const { brand, transmission, fuelType, minPrice, maxPrice, search } = state.filters;
+  const filters = { brand, transmission, fuelType, minPrice, maxPrice, search };
+  
+  Object.keys(filters).forEach(key => {
+    if (filters[key] === '' || filters[key] === undefined) delete filters[key];
+  });
+  if (filters.minPrice) filters.minPrice = Number(filters.minPrice);
+  if (filters.maxPrice) filters.maxPrice = Number(filters.maxPrice);
+  
+  return filters;
+}
+
+// Human-readable summary of a filter set, used as the default search name
+function describeFilters(filters) {
+  const parts = [];
+  if (filters.search) parts.push(`"${filters.search}"`);
+  if (filters.brand) parts.push(filters.brand);
+  if (filters.transmission) parts.push([].concat(filters.transmission).join('/'));
+  if (filters.fuelType) parts.push([].concat(filters.fuelType).join('/'));
+  if (filters.minPrice) parts.push(`from ${formatPrice(filters.minPrice)}`);
+  if (filters.maxPrice) parts.push(`under ${formatPrice(filters.maxPrice)}`);
+  return parts.join(' · ') || 'All cars';
+}
+
+async function saveCurrentSearch() {
+  const filters = getSearchableFilters();
+  
+  try {
+    const data = await apiRequest('/users/saved-searches', {
+      method: 'POST',
+      body: JSON.stringify({ name: describeFilters(filters), filters, frequency: 'instant' })
+    });
+    showToast(`${data.message}. We'll email you when new matching cars are listed.`, 'success');
+  } catch (error) {
+    showToast(error.message || 'Failed to save search.', 'error');
+  }
+}
+
+async function fetchSavedSearches() {
+  const list = document.getElementById('savedSearchesList');
+  list.innerHTML = '<div class="loading-state"><div class="loader"></div><p>Loading saved searches...</p></div>';
+  
+  try {
+    const data = await apiRequest('/users/saved-searches');
+    const searches = data.searches || [];
+    
+    if (searches.length === 0) {
+      list.innerHTML = '<p class="session-meta">No saved searches yet. Use "Save Search" next to the filters to get email alerts.</p>';
+      return;
+    }
+    
+    state.savedSearches = searches;
+    list.innerHTML = searches.map(search => `
+      <div class="session-item">
+        <div class="session-info">
+          <span class="session-device">${escapeHtml(search.name)}</span>
+          <span class="session-meta">
+            ${search.isActive ? 'Alerts on' : 'Alerts paused'} · Saved ${formatDate(search.createdAt)}
+          </span>
+        </div>
+        <div class="saved-search-actions">
+          <select class="filter-select" onchange="updateSavedSearch('${search._id}', { frequency: this.value })">
+            <option value="instant" ${search.frequency === 'instant' ? 'selected' : ''}>Instant</option>
+            <option value="daily" ${search.frequency === 'daily' ? 'selected' : ''}>Daily digest</option>
+          </select>
+          <button class="btn btn-ghost btn-sm" onclick="updateSavedSearch('${search._id}', { isActive: ${!search.isActive} })">
+            ${search.isActive ? 'Pause' : 'Resume'}
+          </button>
+          <button class="btn btn-ghost btn-sm" onclick="deleteSavedSearch('${search._id}')">Delete</button>
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    list.innerHTML = '<div class="empty-state"><span class="empty-icon">❌</span><h3>Failed to load saved searches</h3></div>';
+  }
+}
+
+async function updateSavedSearch(searchId, changes) {
+  const search = state.savedSearches.find(item => item._id === searchId);
+  if (!search) return;
+  
+  try {
+    await apiRequest(`/users/saved-searches/${searchId}`, {
+      method: 'PUT',
+      body: JSON.stringify({
+        name: search.name,
+        filters: search.filters,
+        frequency: search.frequency,
+        isActive: search.isActive,
+        ...changes
+      })
+    });
+    showToast('Saved search updated.', 'success');
+    fetchSavedSearches();
+  } catch (error) {
+    showToast(error.message || 'Failed to update saved search.', 'error');
+  }
+}
+
+async function deleteSavedSearch(searchId) {
+  try {
+    await apiRequest(`/users/saved-searches/${searchId}`, { method: 'DELETE' });
+    showToast('Saved search deleted.', 'success');
+    fetchSavedSearches();
+  } catch (error) {
+    showToast(error.message || 'Failed to delete saved search.', 'error');
+  }
+}
+
+// Stop alerts for a saved search from the emailed link (?unsubscribeSearch=<token>)
+async function unsubscribeSearchFromLink() {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('unsubscribeSearch');
+  if (!token) return;
+  
+  // Remove the token from the address bar
+  params.delete('unsubscribeSearch');
+  const query = params.toString();
+  window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  
+  try {
+    const data = await apiRequest(`/users/saved-searches/unsubscribe/${encodeURIComponent(token)}`);
+    showToast(data.message, 'success');
+  } catch (error) {
+    showToast(error.message || 'Unsubscribe link is invalid.', 'error');
+  }
+}
+
+async function fetchOffers() {
+  const list = document.getElementById('offersList');
+  const role = document.getElementById('offersRole').value;
+  list.innerHTML = '<div class="loading-state"><div class="loader"></div><p>Loading offers...</p></div>';
+  
+  try {
+    const data = await apiRequest(`/cars/user/offers?role=${role}&limit=50`);
+    const offers = data.offers || [];
+    
+    if (offers.length === 0) {
+      list.innerHTML = `<p class="session-meta">${role === 'seller' ? 'No offers on your cars yet.' : 'You have not made any offers yet.'}</p>`;
+      return;
+    }
+    
+    list.innerHTML = offers.map(offer => renderOfferThread(offer, role)).join('');
+  } catch (error) {
+    list.innerHTML = '<div class="empty-state"><span class="empty-icon">❌</span><h3>Failed to load offers</h3></div>';
+  }
+}
+
+async function fetchBookings() {
+  const list = document.getElementById('bookingsList');
+  const role = document.getElementById('bookingsRole').value;
+  list.innerHTML = '<div class="loading-state"><div class="loader"></div><p>Loading bookings...</p></div>';
+  
+  try {
+    const data = await apiRequest(`/bookings?role=${role}&limit=50`);
+    const bookings = data.bookings || [];
+    
+    if (bookings.length === 0) {
+      list.innerHTML = `<p class="session-meta">${role === 'owner' ? 'No booking requests for your cars yet.' : 'You have not booked any cars yet.'}</p>`;
+      return;
+    }
+    
+    list.innerHTML = bookings.map(booking => {
+      const other = role === 'owner' ? booking.renter : booking.owner;
+      const canDecide = role === 'owner' && booking.status === 'pending';
+      const canCancel = ['pending', 'approved'].includes(booking.status);
+      
+      return `
+        <div class="session-item">
+          <div class="session-info">
+            <span class="session-device">${escapeHtml(booking.car?.title || 'Removed listing')}</span>
+            <span class="session-meta">
+              ${formatDate(booking.startDate)} – ${formatDate(booking.endDate)} · ${booking.days} day(s) · ${formatPrice(booking.totalPrice)}
+              · ${role === 'owner' ? 'Renter' : 'Owner'}: ${escapeHtml(other?.username || 'Unknown')}
+            </span>
+            ${booking.message ? `<span class="session-meta">"${escapeHtml(booking.message)}"</span>` : ''}
+            ${booking.reason ? `<span class="session-meta">Reason: ${escapeHtml(booking.reason)}</span>` : ''}
+          </div>
+          <div class="saved-search-actions">
+            <span class="booking-status booking-status-${booking.status}">${booking.status}</span>
+            ${canDecide ? `
+              <button class="btn btn-primary btn-sm" onclick="updateBooking('${booking._id}', 'approve')">Approve</button>
+              <button class="btn btn-ghost btn-sm" onclick="updateBooking('${booking._id}', 'decline')">Decline</button>
+            ` : ''}
+            ${canCancel ? `<button class="btn btn-ghost btn-sm" onclick="updateBooking('${booking._id}', 'cancel')">Cancel</button>` : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    list.innerHTML = '<div class="empty-state"><span class="empty-icon">❌</span><h3>Failed to load bookings</h3></div>';
+  }
+}
+
+// Approve, decline or cancel a booking (declining and cancelling ask for an optional reason)
+async function updateBooking(bookingId, action) {
+  const body = {};
+  if (action !== 'approve') {
+    const reason = prompt('Reason (optional):');
+    if (reason === null) return;
+    body.reason = reason;
+  }
+  
+  try {
+    const data = await apiRequest(`/bookings/${bookingId}/${action}`, {
+      method: 'POST',
+      body: JSON.stringify(body)
+    });
+    showToast(data.message, 'success');
+    fetchBookings();
+  } catch (error) {
+    showToast(error.message || 'Failed to update booking.', 'error');
+  }
+}
+
+async function fetchUserSessions() {
+  const list = document.getElementById('sessionsList');
+  list.innerHTML = '<div class="loading-state"><div class="loader"></div><p>Loading sessions...</p></div>';
+  
+  try {
+    const data = await apiRequest('/users/sessions');
+    const sessions = data.sessions || [];
+    
+    list.innerHTML = sessions.map(session => `
+      <div class="session-item">
+        <div class="session-info">
+          <span class="session-device">${escapeHtml(session.userAgent || 'Unknown device')}</span>
+          <span class="session-meta">
+            ${session.current ? '<span class="session-current">This device</span> · ' : ''}
+            ${session.ip || 'Unknown IP'} · Last active ${formatDate(session.lastUsedAt)}
+          </span>
+        </div>
+        ${session.current ? '' : `<button class="btn btn-ghost btn-sm" onclick="revokeSession('${session._id}')">Sign out</button>`}
+      </div>
+    `).join('');
+  } catch (error) {
+    list.innerHTML = '<div class="empty-state"><span class="empty-icon">❌</span><h3>Failed to load sessions</h3></div>';
+  }
+}
+
+async function revokeSession(sessionId) {
+  try {
+    await apiRequest(`/users/sessions/${sessionId}`, { method: 'DELETE' });
+    showToast('Device signed out.', 'success');
+    fetchUserSessions();
+  } catch (error) {
+    showToast(error.message || 'Failed to sign out device.', 'error');
+  }
+}
+
+async function revokeOtherSessions() {
+  try {
+    await apiRequest('/users/sessions', { method: 'DELETE' });
+    showToast('All other devices have been signed out.', 'success');
+    fetchUserSessions();
+  } catch (error) {
+    showToast(error.message || 'Failed to sign out other devices.', 'error');
+  }
+}
+
+async function updateProfile(profileData) {
+  try {
+    const data = await apiRequest('/users/profile', {
+      method: 'PUT',
+      body: JSON.stringify(profileData)
+    });
+    
+    state.user = data.user;
+    updateProfileDisplay();
+    updateUIForUser();
+    
+    document.getElementById('editProfileCard').classList.add('hidden');
+    showToast('Profile updated successfully!', 'success');
+  } catch (error) {
+    showToast(error.message || 'Failed to update profile.', 'error');
+  }
+}
+
+// ============================================
+// EVENT LISTENERS
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  // Check authentication status, then open the inbox if the page came from a message email
+  checkAuth().then(openInboxFromLink);
+  
+  // Handle email verification, password reset and unsubscribe links
+  verifyEmailFromLink();
+  openResetPasswordFromLink();
+  unsubscribeSearchFromLink();
+  unsubscribeFromLink();
+  
+  // Fetch initial cars
+  fetchCars();
+  
+  // Animate stats on load
+  animateStats();
+  
+  // Navbar scroll effect
   window.addEventListener('scroll', () => {
     const navbar = document.getElementById('navbar');
     if (window.scrollY > 50) {
@@ -672,14 +2215,25 @@ document.addEventListener('DOMContentLoaded', () => {
   // Auth form switches
   document.getElementById('showRegister').addEventListener('click', (e) => {
     e.preventDefault();
-    document.getElementById('loginForm').classList.add('hidden');
-    document.getElementById('registerForm').classList.remove('hidden');
+    showAuthForm('register');
   });
   
   document.getElementById('showLogin').addEventListener('click', (e) => {
     e.preventDefault();
-    document.getElementById('loginForm').classList.remove('hidden');
-    document.getElementById('registerForm').classList.add('hidden');
+    showAuthForm('login');
+  });
+  
+  document.getElementById('showForgotPassword').addEventListener('click', (e) => {
+    e.preventDefault();
+    document.getElementById('forgotEmail').value = document.getElementById('loginEmail').value;
+    showAuthForm('forgot');
+  });
+  
+  document.querySelectorAll('.show-login-link').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      showAuthForm('login');
+    });
   });
   
   // Login form submit
@@ -690,6 +2244,21 @@ document.addEventListener('DOMContentLoaded', () => {
     login(email, password);
   });
   
+  // Forgot password form submit
+  document.getElementById('forgotPasswordFormSubmit').addEventListener('submit', (e) => {
+    e.preventDefault();
+    forgotPassword(document.getElementById('forgotEmail').value);
+  });
+  
+  // Reset password form submit
+  document.getElementById('resetPasswordFormSubmit').addEventListener('submit', (e) => {
+    e.preventDefault();
+    resetPassword(
+      document.getElementById('resetPassword').value,
+      document.getElementById('resetConfirmPassword').value
+    );
+  });
+  
   // Register form submit
   document.getElementById('registerFormSubmit').addEventListener('submit', (e) => {
     e.preventDefault();
@@ -709,6 +2278,10 @@ document.addEventListener('DOMContentLoaded', () => {
     if (lastName) userData.lastName = lastName;
     if (phone) userData.phone = phone;
     
+    // Emails go out in the browser's language when we have templates for it
+    const browserLocale = (navigator.language || '').slice(0, 2).toLowerCase();
+    if (['en', 'ru'].includes(browserLocale)) userData.locale = browserLocale;
+    
     register(userData);
   });
   
@@ -733,6 +2306,40 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('myListingsSection').scrollIntoView({ behavior: 'smooth' });
   });
   
+  // Messages
+  document.getElementById('openInbox').addEventListener('click', (e) => {
+    e.preventDefault();
+    document.getElementById('userDropdown').classList.remove('active');
+    openInbox();
+  });
+  document.getElementById('inboxClose').addEventListener('click', closeInbox);
+  document.getElementById('inboxModal').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) closeInbox();
+  });
+  
+  // Saved cars
+  document.getElementById('savedCars').addEventListener('click', (e) => {
+    e.preventDefault();
+    document.getElementById('userDropdown').classList.remove('active');
+    showProfileSection();
+    document.getElementById('savedCarsSection').scrollIntoView({ behavior: 'smooth' });
+  });
+  
+  // Resend verification email
+  document.getElementById('resendVerificationBtn').addEventListener('click', resendVerificationEmail);
+  
+  // Sign out other devices
+  document.getElementById('revokeOtherSessionsBtn').addEventListener('click', revokeOtherSessions);
+  
+  // Bookings
+  document.getElementById('bookingsRole').addEventListener('change', fetchBookings);
+  
+  // Offers
+  document.getElementById('offersRole').addEventListener('change', fetchOffers);
+  
+  // Listing analytics
+  document.getElementById('analyticsDays').addEventListener('change', fetchListingAnalytics);
+  
   // Edit profile
   document.getElementById('editProfileBtn').addEventListener('click', () => {
     document.getElementById('editProfileCard').classList.toggle('hidden');
@@ -749,12 +2356,21 @@ document.addEventListener('DOMContentLoaded', () => {
       firstName: document.getElementById('editFirstName').value,
       lastName: document.getElementById('editLastName').value,
       phone: document.getElementById('editPhone').value,
+      locale: document.getElementById('editLocale').value,
       address: {
         city: document.getElementById('editCity').value,
         country: document.getElementById('editCountry').value
+      },
+      contactPrivacy: {
+        email: document.getElementById('privacyEmail').value,
+        phone: document.getElementById('privacyPhone').value,
+        address: document.getElementById('privacyAddress').value
       }
     };
     updateProfile(profileData);
+    updateNotificationPreferences().catch((error) => {
+      showToast(error.message || 'Failed to update notification settings.', 'error');
+    });
   });
   
   // Add new listing button (in profile)
@@ -809,17 +2425,21 @@ document.addEventListener('DOMContentLoaded', () => {
     state.filters.fuelType = document.getElementById('filterFuel').value;
     state.filters.minPrice = document.getElementById('minPrice').value;
     state.filters.maxPrice = document.getElementById('maxPrice').value;
+    state.filters.sort = document.getElementById('filterSort').value;
     state.pagination.page = 1;
     fetchCars();
   });
   
+  document.getElementById('saveSearchBtn').addEventListener('click', saveCurrentSearch);
+  
   document.getElementById('clearFilters').addEventListener('click', () => {
-    state.filters = { brand: '', transmission: '', fuelType: '', minPrice: '', maxPrice: '', search: '' };
+    state.filters = { brand: '', transmission: '', fuelType: '', minPrice: '', maxPrice: '', search: '', sort: 'newest' };
     document.getElementById('filterBrand').value = '';
     document.getElementById('filterTransmission').value = '';
     document.getElementById('filterFuel').value = '';
     document.getElementById('minPrice').value = '';
     document.getElementById('maxPrice').value = '';
+    document.getElementById('filterSort').value = 'newest';
     document.getElementById('heroSearch').value = '';
     state.pagination.page = 1;
     fetchCars();
@@ -859,14 +2479,23 @@ document.addEventListener('DOMContentLoaded', () => {
     document.querySelector('.nav-actions').classList.toggle('active');
   });
   
-  // Close dropdown when clicking outside
+  // Notification bell
+  document.getElementById('notificationBell').addEventListener('click', toggleNotificationPanel);
+  document.getElementById('markAllNotificationsRead').addEventListener('click', markAllNotificationsRead);
+  
+  // Close dropdowns when clicking outside
   document.addEventListener('click', (e) => {
     const dropdown = document.getElementById('userDropdown');
     const registerBtn = document.getElementById('registerBtn');
+    const notificationPanel = document.getElementById('notificationPanel');
+    const notificationBell = document.getElementById('notificationBell');
     
     if (!dropdown.contains(e.target) && e.target !== registerBtn && !registerBtn.contains(e.target)) {
       dropdown.classList.remove('active');
     }
+    if (!notificationPanel.contains(e.target) && !notificationBell.contains(e.target)) {
+      notificationPanel.classList.remove('active');
+    }
   });
   
   // Smooth scroll for nav links
@@ -1,8 +1,29 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
 const { verifyToken } = require('../utils/jwtUtils');
 const { HTTP_STATUS, ERROR_MESSAGES, ROLES } = require('../config/constants');
 
+// Load the user behind a verified token payload
+// Resolves to null when the token no longer grants access (password reset, revoked or expired session)
+const resolveTokenUser = async (decoded) => {
+  // Tokens issued before a password reset are no longer valid
+  const user = await User.findById(decoded.userId).select('+passwordChangedAt');
+  if (!user || user.changedPasswordAfter(decoded.iat)) {
+    return null;
+  }
+
+  // Reject tokens whose session was revoked (logout, session kill) or has expired
+  const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+  if (!session || !session.isActive() || session.user.toString() !== decoded.userId) {
+    return null;
+  }
+
+  return user;
+};
+
 // Verify JWT Token Middleware
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
+  let decoded;
   try {
     const token = req.header('Authorization')?.split(' ')[1];
 
@@ -13,9 +34,7 @@ const authenticate = (req, res, next) => {
       });
     }
 
-    const decoded = verifyToken(token);
-    req.user = decoded;
-    next();
+    decoded = verifyToken(token);
   } catch (error) {
     return res.status(HTTP_STATUS.UNAUTHORIZED).json({
       success: false,
@@ -23,11 +42,61 @@ const authenticate = (req, res, next) => {
       error: error.message,
     });
   }
+
+  try {
+    const user = await resolveTokenUser(decoded);
+    if (!user) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_TOKEN,
+      });
+    }
+
+    if (user.isSuspended) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: ERROR_MESSAGES.ACCOUNT_SUSPENDED,
+      });
+    }
+
+    // Take the role from the database so role changes apply without waiting for a new token
+    req.user = { ...decoded, role: user.role, isEmailVerified: user.isEmailVerified };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Optional JWT Token Middleware
+// For public routes that show more to signed-in users: sets req.user when a valid token is sent,
+// otherwise continues as a guest instead of rejecting the request
+const optionalAuthenticate = async (req, res, next) => {
+  const token = req.header('Authorization')?.split(' ')[1];
+  if (!token) {
+    return next();
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    return next();
+  }
+
+  try {
+    const user = await resolveTokenUser(decoded);
+    if (user && !user.isSuspended) {
+      req.user = { ...decoded, role: user.role, isEmailVerified: user.isEmailVerified };
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
 // Role-Based Authorization Middleware
 const authorize = (...allowedRoles) => {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     if (!req.user) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
         success: false,
@@ -44,9 +113,45 @@ const authorize = (...allowedRoles) => {
 
     next();
   };
+
+  // Listed in the OpenAPI document
+  middleware.allowedRoles = allowedRoles;
+  return middleware;
+};
+
+// Verified Email Middleware
+// Only enforced when REQUIRE_EMAIL_VERIFICATION=true, so unverified users can still list cars by default
+const requireVerifiedEmail = async (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.user.userId).select('isEmailVerified');
+
+    if (!user) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.UNAUTHORIZED,
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: ERROR_MESSAGES.EMAIL_NOT_VERIFIED,
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
 module.exports = {
   authenticate,
+  optionalAuthenticate,
   authorize,
+  requireVerifiedEmail,
 };
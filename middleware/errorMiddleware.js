@@ -1,8 +1,23 @@
+const { logger, redactUrl } = require('../utils/logger');
 const { HTTP_STATUS, ERROR_MESSAGES } = require('../config/constants');
 
+// Errors caused by the request rather than the server
+const CLIENT_ERROR_NAMES = ['ValidationError', 'MulterError', 'JsonWebTokenError', 'TokenExpiredError'];
+
+const isClientError = err => CLIENT_ERROR_NAMES.includes(err.name)
+  || err.code === 11000
+  || (err.statusCode >= 400 && err.statusCode < 500);
+
 // Global Error Handling Middleware
+// Error responses get the request ID added by assignRequestId (see requestMiddleware.js)
 const errorHandler = (err, req, res, next) => {
-  console.error('Error:', err);
+  // Errors raised in stream callbacks (body parsing) can land outside the request's log context
+  const meta = { requestId: req.id, method: req.method, url: redactUrl(req.originalUrl) };
+  if (isClientError(err)) {
+    logger.warn('Request failed', { ...meta, error: { name: err.name, message: err.message } });
+  } else {
+    logger.error('Unhandled error', { ...meta, error: err });
+  }
 
   // Mongoose Validation Error
   if (err.name === 'ValidationError') {
@@ -27,6 +42,14 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Multer Upload Errors
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? HTTP_STATUS.PAYLOAD_TOO_LARGE : HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: err.message,
+    });
+  }
+
   // JWT Errors
   if (err.name === 'JsonWebTokenError') {
     return res.status(HTTP_STATUS.UNAUTHORIZED).json({
@@ -50,11 +73,11 @@ const errorHandler = (err, req, res, next) => {
   });
 };
 
-// Not Found Middleware
+// Not Found Middleware (also mounted under /api/<version>, hence the base URL)
 const notFound = (req, res) => {
   res.status(HTTP_STATUS.NOT_FOUND).json({
     success: false,
-    message: `Route ${req.method} ${req.path} not found`,
+    message: `Route ${req.method} ${req.baseUrl}${req.path} not found`,
   });
 };
 
@@ -0,0 +1,182 @@
+const { rateLimitStore } = require('../utils/rateLimit');
+const { verifyToken } = require('../utils/jwtUtils');
+const { logger } = require('../utils/logger');
+const { HTTP_STATUS, ERROR_MESSAGES, RATE_LIMIT } = require('../config/constants');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Key Generators
+const ipKey = (req) => `ip:${req.ip}`;
+
+// Signed-in users are limited per account (wherever they connect from), guests per IP
+// Runs before authenticate on app-wide limiters, so the token is only verified here, not looked up
+const accountOrIpKey = (req) => {
+  if (req.user?.userId) {
+    return `user:${req.user.userId}`;
+  }
+
+  const token = req.header('Authorization')?.split(' ')[1];
+  if (token) {
+    try {
+      return `user:${verifyToken(token).userId}`;
+    } catch (error) {
+      // Invalid tokens fall back to the IP; authenticate rejects them later
+    }
+  }
+  return ipKey(req);
+};
+
+// Login attempts are counted per email address, whichever IP they come from
+const loginEmailKey = (req) => {
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return email ? `email:${email}` : null;
+};
+
+// Report the tightest limit the request is subject to in the RateLimit-* headers
+const setRateLimitHeaders = (res, { limit, remaining, resetSeconds, windowSeconds }) => {
+  const current = res.locals.rateLimit;
+  if (current && current.remaining <= remaining) return;
+
+  res.locals.rateLimit = { limit, remaining };
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${limit};w=${windowSeconds}`,
+  });
+};
+
+/**
+ * Create a fixed-window rate limiting middleware
+ *
+ * @param {Object} options
+ * @param {string} options.name - Namespace for the limiter's counters
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMinutes - Window length
+ * @param {Function} [options.keyGenerator] - req -> key to count under (null skips the limiter)
+ * @param {Function} [options.skip] - req -> true to not count the request
+ * @param {boolean} [options.countFailedOnly] - Only count requests that end with a 4xx/5xx status
+ * @param {string} [options.message] - Error message once the limit is reached
+ */
+const createRateLimiter = ({
+  name,
+  limit,
+  windowMinutes,
+  keyGenerator = ipKey,
+  skip = () => false,
+  countFailedOnly = false,
+  message = ERROR_MESSAGES.TOO_MANY_REQUESTS,
+}) => {
+  const windowMs = windowMinutes * 60 * 1000;
+
+  return async (req, res, next) => {
+    if (skip(req)) return next();
+
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    const storeKey = `${name}:${key}`;
+    let hits;
+    try {
+      hits = await rateLimitStore.increment(storeKey, windowMs);
+    } catch (error) {
+      // Don't take the API down with the store: let the request through unlimited
+      logger.error('Rate limit store failed', { limiter: name, error });
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((hits.resetAt.getTime() - Date.now()) / 1000), 0);
+    setRateLimitHeaders(res, {
+      limit,
+      remaining: Math.max(limit - hits.count, 0),
+      resetSeconds,
+      windowSeconds: windowMinutes * 60,
+    });
+
+    if (hits.count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+        success: false,
+        message,
+      });
+    }
+
+    if (countFailedOnly) {
+      res.on('finish', () => {
+        if (res.statusCode < 400) {
+          rateLimitStore.decrement(storeKey).catch((error) => {
+            logger.error('Rate limit store failed', { limiter: name, error });
+          });
+        }
+      });
+    }
+
+    next();
+  };
+};
+
+// Every API request, per IP
+const apiLimiter = createRateLimiter({
+  name: 'api',
+  limit: RATE_LIMIT.API.LIMIT,
+  windowMinutes: RATE_LIMIT.API.WINDOW_MINUTES,
+});
+
+// Requests that change data, per account
+const writeLimiter = createRateLimiter({
+  name: 'write',
+  limit: RATE_LIMIT.WRITE.LIMIT,
+  windowMinutes: RATE_LIMIT.WRITE.WINDOW_MINUTES,
+  keyGenerator: accountOrIpKey,
+  skip: req => READ_METHODS.includes(req.method),
+});
+
+// New car listings, per account (mounted after authenticate)
+const carCreateLimiter = createRateLimiter({
+  name: 'car-create',
+  limit: RATE_LIMIT.CAR_CREATE.LIMIT,
+  windowMinutes: RATE_LIMIT.CAR_CREATE.WINDOW_MINUTES,
+  keyGenerator: accountOrIpKey,
+  message: 'You have created too many listings recently, please try again later',
+});
+
+// Login attempts, per IP
+const loginLimiter = createRateLimiter({
+  name: 'login',
+  limit: RATE_LIMIT.LOGIN.LIMIT,
+  windowMinutes: RATE_LIMIT.LOGIN.WINDOW_MINUTES,
+});
+
+// Failed login attempts, per email address (successful logins don't count)
+const loginAccountLimiter = createRateLimiter({
+  name: 'login-account',
+  limit: RATE_LIMIT.LOGIN_ACCOUNT.LIMIT,
+  windowMinutes: RATE_LIMIT.LOGIN_ACCOUNT.WINDOW_MINUTES,
+  keyGenerator: loginEmailKey,
+  countFailedOnly: true,
+});
+
+// Sign-ups, per IP
+const registerLimiter = createRateLimiter({
+  name: 'register',
+  limit: RATE_LIMIT.REGISTER.LIMIT,
+  windowMinutes: RATE_LIMIT.REGISTER.WINDOW_MINUTES,
+});
+
+// Verification and password reset emails, per IP
+const emailRequestLimiter = createRateLimiter({
+  name: 'email-request',
+  limit: RATE_LIMIT.EMAIL_REQUEST.LIMIT,
+  windowMinutes: RATE_LIMIT.EMAIL_REQUEST.WINDOW_MINUTES,
+});
+
+module.exports = {
+  createRateLimiter,
+  apiLimiter,
+  writeLimiter,
+  carCreateLimiter,
+  loginLimiter,
+  loginAccountLimiter,
+  registerLimiter,
+  emailRequestLimiter,
+};
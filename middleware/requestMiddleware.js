@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { logger, redactUrl, runWithRequestContext } = require('../utils/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Accept the caller's ID (load balancer, client, another service) only if it is safe to log and echo
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const accessLogger = logger.child({ component: 'http' });
+
+// Assign Request ID Middleware
+// Uses X-Request-Id when the caller sent one, echoes it back, and tags every log line of the request with it
+// Error payloads ({ success: false }) carry it as requestId so users can quote it to support
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === 'object' && body.success === false && !body.requestId) {
+      return json({ ...body, requestId: req.id });
+    }
+    return json(body);
+  };
+
+  runWithRequestContext({ requestId: req.id }, next);
+};
+
+// Access Log Middleware
+// One line per request once the response is sent (or the client hangs up), with latency and the signed-in user
+const logAccess = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  let logged = false;
+
+  const log = () => {
+    if (logged) return;
+    logged = true;
+
+    // Listeners don't run inside the request's context, so the ID is added explicitly
+    const entry = {
+      requestId: req.id,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e3) / 1e3,
+      contentLength: parseInt(res.get('Content-Length'), 10) || 0,
+      userId: req.user?.userId || null,
+      apiVersion: req.apiVersion || null,
+      // Calls to deprecated endpoints (or the unversioned alias), to see which clients still need to move
+      ...(res.get('Deprecation') && { deprecated: true }),
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || '',
+      ...(!res.writableFinished && { aborted: true }),
+    };
+
+    if (res.statusCode >= 500) {
+      accessLogger.error('Request completed', entry);
+    } else if (res.statusCode >= 400) {
+      accessLogger.warn('Request completed', entry);
+    } else {
+      accessLogger.info('Request completed', entry);
+    }
+  };
+
+  res.on('finish', log);
+  res.on('close', log);
+  next();
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  assignRequestId,
+  logAccess,
+};
@@ -0,0 +1,26 @@
+const multer = require('multer');
+const { HTTP_STATUS, IMAGE_UPLOAD } = require('../config/constants');
+
+// Images are kept in memory only long enough to be resized and handed to the storage backend
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMAGE_UPLOAD.MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: IMAGE_UPLOAD.MAX_FILES_PER_REQUEST,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_UPLOAD.ALLOWED_TYPES.includes(file.mimetype)) {
+      const error = new Error(`Unsupported image type. Allowed types: ${IMAGE_UPLOAD.ALLOWED_TYPES.join(', ')}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+// Accept up to MAX_FILES_PER_REQUEST files in the "images" field
+const handleImageUpload = upload.array('images', IMAGE_UPLOAD.MAX_FILES_PER_REQUEST);
+
+module.exports = {
+  handleImageUpload,
+};
@@ -1,4 +1,31 @@
-const { validateUserRegistration, validateUserLogin, validateUserProfileUpdate, validateCarListing } = require('../utils/validators');
+const {
+  validateUserRegistration,
+  validateUserLogin,
+  validateEmailOnly,
+  validatePasswordReset,
+  validateRefreshToken,
+  validateUserProfileUpdate,
+  validateCarListing,
+  validateCarListingQuery,
+  validateCarStatusChange,
+  validateSavedSearchData,
+  validateNotificationPreferencesData,
+  validateConversationStart,
+  validateMessageData,
+  validateRentalSettingsData,
+  validateBookingRequestData,
+  validateBookingReason,
+  validateOfferData,
+  validateOfferDeclineData,
+  validateCarReview,
+  validateCarImageOrder,
+  validateModerationRejection,
+  validateRoleChange,
+  validateSuspension,
+  validateListingReassignment,
+  validateEmailPreviewQuery,
+  schemas,
+} = require('../utils/validators');
 const { HTTP_STATUS, ERROR_MESSAGES } = require('../config/constants');
 
 // Validate User Registration
@@ -39,6 +66,63 @@ const validateLogin = (req, res, next) => {
   next();
 };
 
+// Validate Email Only
+const validateEmail = (req, res, next) => {
+  const { error, value } = validateEmailOnly(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Password Reset
+const validateResetPassword = (req, res, next) => {
+  const { error, value } = validatePasswordReset(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Refresh Token
+const validateRefresh = (req, res, next) => {
+  const { error, value } = validateRefreshToken(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
 // Validate Car Listing
 const validateCar = (req, res, next) => {
   const { error, value } = validateCarListing(req.body);
@@ -58,6 +142,348 @@ const validateCar = (req, res, next) => {
   next();
 };
 
+// Validate Car Listing Query
+const validateCarQuery = (req, res, next) => {
+  const { error, value } = validateCarListingQuery(req.query);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.query = value;
+  next();
+};
+
+// Validate Car Status Change
+const validateCarStatus = (req, res, next) => {
+  const { error, value } = validateCarStatusChange(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Saved Search
+const validateSavedSearch = (req, res, next) => {
+  const { error, value } = validateSavedSearchData(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Notification Preferences
+const validateNotificationPreferences = (req, res, next) => {
+  const { error, value } = validateNotificationPreferencesData(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate New Conversation
+const validateConversation = (req, res, next) => {
+  const { error, value } = validateConversationStart(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Message
+const validateMessage = (req, res, next) => {
+  const { error, value } = validateMessageData(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Rental Settings
+const validateRentalSettings = (req, res, next) => {
+  const { error, value } = validateRentalSettingsData(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Booking Request
+const validateBookingRequest = (req, res, next) => {
+  const { error, value } = validateBookingRequestData(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Booking Decline/Cancel Reason
+const validateBookingDecision = (req, res, next) => {
+  const { error, value } = validateBookingReason(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Offer / Counter-Offer
+const validateOffer = (req, res, next) => {
+  const { error, value } = validateOfferData(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Offer Decline
+const validateOfferDecline = (req, res, next) => {
+  const { error, value } = validateOfferDeclineData(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Car Review
+const validateReview = (req, res, next) => {
+  const { error, value } = validateCarReview(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Car Image Order
+const validateImageOrder = (req, res, next) => {
+  const { error, value } = validateCarImageOrder(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Moderation Rejection
+const validateRejection = (req, res, next) => {
+  const { error, value } = validateModerationRejection(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Role Change
+const validateRole = (req, res, next) => {
+  const { error, value } = validateRoleChange(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Suspension
+const validateSuspend = (req, res, next) => {
+  const { error, value } = validateSuspension(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Listing Reassignment
+const validateReassign = (req, res, next) => {
+  const { error, value } = validateListingReassignment(req.body);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Validate Email Preview Query
+const validateEmailPreview = (req, res, next) => {
+  const { error, value } = validateEmailPreviewQuery(req.query);
+
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      details: error.details.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    });
+  }
+
+  req.query = value;
+  next();
+};
+
 // Validate User Profile Update
 const validateProfileUpdate = (req, res, next) => {
   const { error, value } = validateUserProfileUpdate(req.body);
@@ -77,9 +503,61 @@ const validateProfileUpdate = (req, res, next) => {
   next();
 };
 
+// What each middleware validates (part of the request and schema), for the OpenAPI document
+// A validation middleware missing here fails `npm run check:openapi`
+const requestSchemas = new Map([
+  [validateRegistration, { body: schemas.userRegistration }],
+  [validateLogin, { body: schemas.userLogin }],
+  [validateEmail, { body: schemas.emailOnly }],
+  [validateResetPassword, { body: schemas.passwordReset }],
+  [validateRefresh, { body: schemas.refreshToken }],
+  [validateCar, { body: schemas.carListing }],
+  [validateCarQuery, { query: schemas.carListingQuery }],
+  [validateCarStatus, { body: schemas.carStatusChange }],
+  [validateSavedSearch, { body: schemas.savedSearch }],
+  [validateNotificationPreferences, { body: schemas.notificationPreferences }],
+  [validateConversation, { body: schemas.conversationStart }],
+  [validateMessage, { body: schemas.message }],
+  [validateRentalSettings, { body: schemas.rentalSettings }],
+  [validateBookingRequest, { body: schemas.bookingRequest }],
+  [validateBookingDecision, { body: schemas.bookingReason }],
+  [validateOffer, { body: schemas.offer }],
+  [validateOfferDecline, { body: schemas.offerDecline }],
+  [validateReview, { body: schemas.carReview }],
+  [validateImageOrder, { body: schemas.carImageOrder }],
+  [validateRejection, { body: schemas.moderationRejection }],
+  [validateRole, { body: schemas.roleChange }],
+  [validateSuspend, { body: schemas.suspension }],
+  [validateReassign, { body: schemas.listingReassignment }],
+  [validateEmailPreview, { query: schemas.emailPreviewQuery }],
+  [validateProfileUpdate, { body: schemas.userProfileUpdate }],
+]);
+
 module.exports = {
+  requestSchemas,
   validateRegistration,
   validateLogin,
+  validateEmail,
+  validateResetPassword,
+  validateRefresh,
   validateCar,
+  validateCarQuery,
+  validateCarStatus,
+  validateSavedSearch,
+  validateNotificationPreferences,
+  validateConversation,
+  validateMessage,
+  validateRentalSettings,
+  validateBookingRequest,
+  validateBookingDecision,
+  validateOffer,
+  validateOfferDecline,
+  validateReview,
+  validateImageOrder,
+  validateRejection,
+  validateRole,
+  validateSuspend,
+  validateReassign,
+  validateEmailPreview,
   validateProfileUpdate,
 };
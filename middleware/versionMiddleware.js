@@ -0,0 +1,91 @@
+const { HTTP_STATUS, ERROR_MESSAGES, API_VERSIONING } = require('../config/constants');
+
+const API_VERSION_HEADER = 'API-Version';
+const ACCEPT_VERSION_HEADER = 'Accept-Version';
+const VERSION_PATH_PATTERN = /^\/v\d+(\/|$)/;
+
+// Accept-Version value to a version name: "v1", "1" and "1.0" all mean v1
+const parseVersion = (value) => {
+  const match = String(value).trim().match(/^v?(\d+)(\.\d+)*$/i);
+  return match ? `v${parseInt(match[1], 10)}` : null;
+};
+
+// Unsupported Version Response
+const unsupportedVersion = (res, status) => res.status(status).json({
+  success: false,
+  message: ERROR_MESSAGES.UNSUPPORTED_API_VERSION,
+  supportedVersions: API_VERSIONING.VERSIONS,
+});
+
+// Deprecation takes a structured date (@<unix seconds>, RFC 9745), Sunset an HTTP date (RFC 8594)
+const setDeprecationHeaders = (res, { since, sunset, link }) => {
+  res.set('Deprecation', `@${Math.floor(new Date(since).getTime() / 1000)}`);
+  if (sunset) res.set('Sunset', new Date(sunset).toUTCString());
+  if (link) res.append('Link', `<${link}>; rel="successor-version"`);
+};
+
+// Versioned API Middleware (mounted at /api/<version>)
+// The version in the path wins over Accept-Version
+const useApiVersion = version => (req, res, next) => {
+  req.apiVersion = version;
+  res.set(API_VERSION_HEADER, version);
+  next();
+};
+
+// API Version Negotiation Middleware (the unversioned /api alias)
+// Serves the version asked for in Accept-Version; without the header, the default version with
+// Deprecation / Sunset headers pointing clients to /api/<version>
+const negotiateApiVersion = (req, res, next) => {
+  // Supported versions are mounted before the alias, so a version in the path here doesn't exist
+  if (VERSION_PATH_PATTERN.test(req.path)) {
+    return unsupportedVersion(res, HTTP_STATUS.NOT_FOUND);
+  }
+
+  res.vary(ACCEPT_VERSION_HEADER);
+  const requested = req.get(ACCEPT_VERSION_HEADER);
+
+  if (requested) {
+    const version = parseVersion(requested);
+    if (!API_VERSIONING.VERSIONS.includes(version)) {
+      return unsupportedVersion(res, HTTP_STATUS.BAD_REQUEST);
+    }
+    req.apiVersion = version;
+  } else {
+    req.apiVersion = API_VERSIONING.DEFAULT_VERSION;
+    setDeprecationHeaders(res, {
+      since: API_VERSIONING.ALIAS_DEPRECATED_AT,
+      sunset: API_VERSIONING.ALIAS_SUNSET,
+      link: `${req.baseUrl}/${req.apiVersion}${req.path}`,
+    });
+  }
+
+  res.set(API_VERSION_HEADER, req.apiVersion);
+  next();
+};
+
+/**
+ * Announce that an endpoint will be removed: its responses carry Deprecation, Sunset and Link headers,
+ * and the OpenAPI document marks it as deprecated
+ *
+ * @param {Object} options
+ * @param {string} options.since - Date the endpoint was deprecated (YYYY-MM-DD)
+ * @param {string} [options.sunset] - Date it will be removed
+ * @param {string} [options.link] - Endpoint to use instead
+ */
+const deprecate = ({ since, sunset, link }) => {
+  const middleware = (req, res, next) => {
+    setDeprecationHeaders(res, { since, sunset, link });
+    next();
+  };
+
+  // Listed in the OpenAPI document
+  middleware.deprecation = { since, sunset, link };
+  return middleware;
+};
+
+module.exports = {
+  API_VERSION_HEADER,
+  useApiVersion,
+  negotiateApiVersion,
+  deprecate,
+};
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { BOOKING_STATUS } = require('../config/constants');
+
+const bookingSchema = new mongoose.Schema(
+  {
+    car: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Car',
+      required: true,
+    },
+    renter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Pick-up day and return day (UTC midnight); the return day is not charged
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(BOOKING_STATUS),
+      default: BOOKING_STATUS.PENDING,
+    },
+    // Price quoted when the booking was requested
+    days: Number,
+    totalPrice: Number,
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Message cannot exceed 1000 characters'],
+    },
+    decidedAt: Date,
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Reason given when declining or cancelling
+    reason: String,
+  },
+  { timestamps: true }
+);
+
+bookingSchema.index({ car: 1, status: 1, startDate: 1, endDate: 1 });
+bookingSchema.index({ renter: 1, createdAt: -1 });
+bookingSchema.index({ owner: 1, createdAt: -1 });
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
@@ -35,6 +35,22 @@ const carSchema = new mongoose.Schema(
       required: [true, 'Please provide price'],
       min: [0, 'Price cannot be negative'],
     },
+    // Price before the latest change, used for the "price dropped" badge
+    previousPrice: Number,
+    priceChangedAt: Date,
+    // Every asking price, oldest first; only returned by GET /cars/:id/price-history
+    priceHistory: {
+      type: [
+        {
+          price: Number,
+          changedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      select: false,
+    },
     mileage: {
       type: Number,
       required: [true, 'Please provide mileage'],
@@ -64,15 +80,79 @@ const carSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Latest moderation decision, only used when LISTING_MODERATION is enabled
+    moderation: {
+      submittedAt: Date,
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      decision: {
+        type: String,
+        enum: ['approved', 'rejected'],
+      },
+      reason: String,
+    },
+    // Every status change, oldest first (changedBy is empty for automatic changes)
+    // Only returned by GET /cars/:id/status-history, to the owner and admins
+    statusHistory: {
+      type: [
+        {
+          from: String,
+          to: String,
+          changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+          },
+          reason: String,
+          changedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      select: false,
+    },
+    // The first image is the cover
     images: [
       {
         url: String,
+        thumbnailUrl: String,
+        // Storage keys, used to remove the files when the image is deleted
+        key: String,
+        thumbnailKey: String,
+        width: Number,
+        height: Number,
         uploadedAt: {
           type: Date,
           default: Date.now,
         },
       },
     ],
+    // Rental settings, set by the owner through PUT /cars/:id/rental
+    rental: {
+      isRentable: {
+        type: Boolean,
+        default: false,
+      },
+      dailyRate: {
+        type: Number,
+        min: [0, 'Daily rate cannot be negative'],
+      },
+      weeklyRate: {
+        type: Number,
+        min: [0, 'Weekly rate cannot be negative'],
+      },
+      // Periods the owner does not rent the car out (endDate is exclusive)
+      blackoutDates: [
+        {
+          startDate: Date,
+          endDate: Date,
+          reason: String,
+        },
+      ],
+    },
     features: [String],
     location: {
       city: String,
@@ -89,6 +169,10 @@ const carSchema = new mongoose.Schema(
       min: [0, 'Rating cannot be less than 0'],
       max: [5, 'Rating cannot be more than 5'],
     },
+    reviewCount: {
+      type: Number,
+      default: 0,
+    },
     reviews: [
       {
         userId: mongoose.Schema.Types.ObjectId,
@@ -99,6 +183,7 @@ const carSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        updatedAt: Date,
       },
     ],
     createdAt: {
@@ -117,7 +202,13 @@ const carSchema = new mongoose.Schema(
 carSchema.index({ title: 'text', description: 'text', brand: 'text', model: 'text' });
 carSchema.index({ owner: 1 });
 carSchema.index({ status: 1 });
+carSchema.index({ status: 1, 'moderation.submittedAt': 1 });
 carSchema.index({ createdAt: -1 });
+carSchema.index({ status: 1, price: 1 });
+carSchema.index({ status: 1, year: -1 });
+carSchema.index({ status: 1, mileage: 1 });
+carSchema.index({ 'reviews.userId': 1 });
+carSchema.index({ 'rental.isRentable': 1, status: 1 });
 
 const Car = mongoose.model('Car', carSchema);
 
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Per-listing daily counters for the owner analytics (day is UTC midnight)
+const carDailyStatSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  day: {
+    type: Date,
+    required: true,
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+});
+
+carDailyStatSchema.index({ car: 1, day: 1 }, { unique: true });
+carDailyStatSchema.index({ owner: 1, day: 1 });
+
+const CarDailyStat = mongoose.model('CarDailyStat', carDailyStatSchema);
+
+module.exports = CarDailyStat;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Marks a viewer as counted for a listing until expiresAt, so repeat views in the window are ignored
+// Viewers are identified by user id, or by a hash of IP and user agent for guests
+const carViewSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true,
+  },
+  viewerKey: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+carViewSchema.index({ car: 1, viewerKey: 1 }, { unique: true });
+// MongoDB removes markers after they expire
+carViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CarView = mongoose.model('CarView', carViewSchema);
+
+module.exports = CarView;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Audit log of seller contact details revealed to other users
+const contactRevealSchema = new mongoose.Schema(
+  {
+    car: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Car',
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    viewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    field: {
+      type: String,
+      enum: ['phone'],
+      required: true,
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
+
+contactRevealSchema.index({ car: 1, createdAt: -1 });
+contactRevealSchema.index({ owner: 1, createdAt: -1 });
+contactRevealSchema.index({ viewer: 1, createdAt: -1 });
+
+const ContactReveal = mongoose.model('ContactReveal', contactRevealSchema);
+
+module.exports = ContactReveal;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema(
+  {
+    car: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Car',
+      required: true,
+    },
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    lastMessage: {
+      text: String,
+      sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      createdAt: Date,
+    },
+    // Messages each side has not read yet
+    buyerUnread: {
+      type: Number,
+      default: 0,
+    },
+    sellerUnread: {
+      type: Number,
+      default: 0,
+    },
+    // Last new-message email to the seller, used to rate-limit notifications
+    sellerNotifiedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// One thread per buyer per listing
+conversationSchema.index({ car: 1, buyer: 1 }, { unique: true });
+conversationSchema.index({ buyer: 1, 'lastMessage.createdAt': -1 });
+conversationSchema.index({ seller: 1, 'lastMessage.createdAt': -1 });
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
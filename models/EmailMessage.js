@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { EMAIL_STATUS } = require('../config/constants');
+
+// Outbox entry: every email is stored here first and delivered by the worker in utils/emailOutbox.js
+const emailMessageSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    from: {
+      type: String,
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    // Template the email was rendered from (see utils/emailTemplates.js)
+    template: String,
+    html: String,
+    text: String,
+    // Extra headers, e.g. List-Unsubscribe
+    headers: {
+      type: Map,
+      of: String,
+    },
+    status: {
+      type: String,
+      enum: Object.values(EMAIL_STATUS),
+      default: EMAIL_STATUS.PENDING,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // When the worker may (re)try; pushed back exponentially after each failure
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // When the worker claimed the message, to recover messages left behind by a crash
+    lockedAt: Date,
+    lastError: String,
+    messageId: String,
+    sentAt: Date,
+    failedAt: Date,
+    // Set when the message is sent or dead; it is deleted then (see EMAIL_OUTBOX.RETENTION_DAYS)
+    expiresAt: Date,
+  },
+  { timestamps: true }
+);
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ createdAt: -1 });
+emailMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+
+module.exports = EmailMessage;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const favoriteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    car: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Car',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A car can be saved only once per user
+favoriteSchema.index({ user: 1, car: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, createdAt: -1 });
+favoriteSchema.index({ car: 1 });
+
+// Return the ids (as strings) of the given cars that the user has saved
+favoriteSchema.statics.findFavoritedCarIds = async function (userId, carIds) {
+  if (!userId || carIds.length === 0) {
+    return new Set();
+  }
+
+  const favorites = await this.find({ user: userId, car: { $in: carIds } }).select('car').lean();
+  return new Set(favorites.map(favorite => favorite.car.toString()));
+};
+
+const Favorite = mongoose.model('Favorite', favoriteSchema);
+
+module.exports = Favorite;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { MESSAGING } = require('../config/constants');
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    text: {
+      type: String,
+      required: [true, 'Message cannot be empty'],
+      trim: true,
+      maxlength: [MESSAGING.MAX_MESSAGE_LENGTH, `Message cannot exceed ${MESSAGING.MAX_MESSAGE_LENGTH} characters`],
+    },
+  },
+  { timestamps: true }
+);
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
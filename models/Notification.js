@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { NOTIFICATIONS } = require('../config/constants');
+
+// In-app notification, rendered in the user's locale when it is created
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Notification type from templates/emails/<locale>/notifications.json, e.g. 'offer-received'
+    type: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    body: String,
+    // Where clicking the notification leads
+    link: String,
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+// MongoDB removes old notifications by itself
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATIONS.RETENTION_DAYS * 24 * 60 * 60 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
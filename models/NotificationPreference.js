@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_CATEGORIES } = require('../config/constants');
+
+// Every category is on until the user turns it off
+const emailPreferenceFields = Object.fromEntries(
+  Object.values(NOTIFICATION_CATEGORIES).map(category => [category, { type: Boolean, default: true }])
+);
+
+// Which optional emails a user gets; users without a document get every category
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    email: emailPreferenceFields,
+  },
+  { timestamps: true }
+);
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+module.exports = NotificationPreference;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { OFFER_STATUS } = require('../config/constants');
+
+const offerEventSchema = new mongoose.Schema(
+  {
+    by: {
+      type: String,
+      enum: ['buyer', 'seller'],
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['offer', 'counter', 'accept', 'decline', 'expire'],
+      required: true,
+    },
+    amount: Number,
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Message cannot exceed 1000 characters'],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const offerSchema = new mongoose.Schema(
+  {
+    car: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Car',
+      required: true,
+    },
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Amount currently on the table (the latest offer or counter-offer)
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, 'Offer must be at least 1'],
+    },
+    status: {
+      type: String,
+      enum: Object.values(OFFER_STATUS),
+      default: OFFER_STATUS.PENDING,
+    },
+    // The negotiation thread, oldest first
+    history: [offerEventSchema],
+    // Deadline for a response (seller while pending, buyer while countered)
+    expiresAt: Date,
+    closedAt: Date,
+  },
+  { timestamps: true }
+);
+
+offerSchema.index({ car: 1, status: 1 });
+offerSchema.index({ car: 1, buyer: 1, createdAt: -1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+
+const Offer = mongoose.model('Offer', offerSchema);
+
+module.exports = Offer;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { SAVED_SEARCH } = require('../config/constants');
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a name for the search'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    // Validated GET /cars filters (see validateSavedSearchData)
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    frequency: {
+      type: String,
+      enum: SAVED_SEARCH.FREQUENCIES,
+      default: 'instant',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Last time an alert or digest was sent; daily digests include cars published after it
+    lastNotifiedAt: Date,
+  },
+  { timestamps: true }
+);
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1, frequency: 1, lastNotifiedAt: 1 });
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
@@ -1,6 +1,22 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const { ROLES } = require('../config/constants');
+const crypto = require('crypto');
+const { ROLES, CONTACT_VISIBILITY, SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../config/constants');
+
+// bcrypt cost factor, configurable per environment
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 10;
+
+// Matches bcrypt hashes ($2a$, $2b$ or $2y$ prefix, cost, 53 char salt + digest)
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+const isHashedPassword = (password) => typeof password === 'string' && BCRYPT_HASH_PATTERN.test(password);
+
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(SALT_ROUNDS);
+  return bcrypt.hash(password, salt);
+};
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const userSchema = new mongoose.Schema(
   {
@@ -46,10 +62,55 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    isSuspended: {
+      type: Boolean,
+      default: false,
+    },
+    suspension: {
+      reason: String,
+      suspendedAt: Date,
+      suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+    passwordChangedAt: {
+      type: Date,
+      select: false,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Progressive lockout after repeated failed logins (see utils/loginLockout.js)
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockUntil: {
+      type: Date,
+      select: false,
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
     profilePicture: {
       type: String,
       default: null,
     },
+    // Language of the emails the user receives
+    locale: {
+      type: String,
+      enum: SUPPORTED_LOCALES,
+      default: DEFAULT_LOCALE,
+    },
     address: {
       street: String,
       city: String,
@@ -57,6 +118,25 @@ const userSchema = new mongoose.Schema(
       zipCode: String,
       country: String,
     },
+    // Who can see each contact detail on the user's listings
+    // The phone number is never part of listing responses, it is revealed on request (see revealSellerPhone)
+    contactPrivacy: {
+      email: {
+        type: String,
+        enum: Object.values(CONTACT_VISIBILITY),
+        default: CONTACT_VISIBILITY.USERS,
+      },
+      phone: {
+        type: String,
+        enum: Object.values(CONTACT_VISIBILITY),
+        default: CONTACT_VISIBILITY.USERS,
+      },
+      address: {
+        type: String,
+        enum: Object.values(CONTACT_VISIBILITY),
+        default: CONTACT_VISIBILITY.NOBODY,
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -70,32 +150,77 @@ const userSchema = new mongoose.Schema(
 );
 
 // Hash password before saving
-// TEMPORARILY DISABLED FOR TESTING - RE-ENABLE BEFORE PRODUCTION!
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
     return next();
   }
-  // try {
-  //   const salt = await bcrypt.genSalt(10);
-  //   this.password = await bcrypt.hash(this.password, salt);
-  //   next();
-  // } catch (error) {
-  //   next(error);
-  // }
-  next(); // Skip hashing for now
+  try {
+    this.password = await hashPassword(this.password);
+    next();
+  } catch (error) {
+    next(error);
+  }
 });
 
 // Method to compare passwords
-// TEMPORARILY DISABLED FOR TESTING - RE-ENABLE BEFORE PRODUCTION!
+// Accounts created before hashing was enabled still hold plaintext passwords;
+// those are compared in constant time and flagged for rehashing by passwordNeedsRehash()
 userSchema.methods.comparePassword = async function (enteredPassword) {
-  // return await bcrypt.compare(enteredPassword, this.password);
-  return enteredPassword === this.password; // Plain text comparison for testing
+  if (isHashedPassword(this.password)) {
+    return bcrypt.compare(enteredPassword, this.password);
+  }
+
+  const entered = Buffer.from(String(enteredPassword));
+  const stored = Buffer.from(String(this.password || ''));
+  return entered.length === stored.length && crypto.timingSafeEqual(entered, stored);
+};
+
+// Method to check whether the stored password is plaintext or uses an outdated cost factor
+userSchema.methods.passwordNeedsRehash = function () {
+  if (!isHashedPassword(this.password)) {
+    return true;
+  }
+  return bcrypt.getRounds(this.password) !== SALT_ROUNDS;
+};
+
+// Method to check whether the password was changed after a token was issued
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return tokenIssuedAt < Math.floor(this.passwordChangedAt.getTime() / 1000);
 };
 
+// Method to create a single-use password reset token
+// Only the SHA-256 hash is stored, the raw token is returned to be emailed
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+
+  this.passwordResetToken = hashResetToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Method to check whether sign-in is locked after too many failed attempts
+userSchema.methods.isLoginLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+userSchema.statics.hashPassword = hashPassword;
+userSchema.statics.hashResetToken = hashResetToken;
+userSchema.statics.isHashedPassword = isHashedPassword;
+
 // Remove password from response
 userSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.passwordResetToken;
+  delete obj.passwordResetExpires;
+  delete obj.failedLoginAttempts;
+  delete obj.lockUntil;
+  delete obj.lockoutCount;
   return obj;
 };
 
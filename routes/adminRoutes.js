@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  getUserById,
+  changeUserRole,
+  suspendUser,
+  reinstateUser,
+  removeUserListings,
+  reassignUserListings,
+} = require('../controllers/adminController');
+const { getEmails, getEmailById, resendEmail, previewEmailTemplate } = require('../controllers/emailOutboxController');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { validateRole, validateSuspend, validateReassign, validateEmailPreview } = require('../middleware/validationMiddleware');
+const { ROLES } = require('../config/constants');
+
+// Admin Routes
+router.use(authenticate, authorize(ROLES.ADMIN));
+
+router.get('/users', getUsers);
+router.get('/users/:id', getUserById);
+router.patch('/users/:id/role', validateRole, changeUserRole);
+router.post('/users/:id/suspend', validateSuspend, suspendUser);
+router.post('/users/:id/reinstate', reinstateUser);
+router.delete('/users/:id/listings', removeUserListings);
+router.post('/users/:id/listings/reassign', validateReassign, reassignUserListings);
+
+// Email Outbox
+router.get('/emails', getEmails);
+router.get('/emails/preview/:template', validateEmailPreview, previewEmailTemplate);
+router.get('/emails/:id', getEmailById);
+router.post('/emails/:id/resend', resendEmail);
+
+module.exports = router;
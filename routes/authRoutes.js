@@ -1,10 +1,37 @@
 const express = require('express');
 const router = express.Router();
-const { register, login } = require('../controllers/authController');
-const { validateRegistration, validateLogin } = require('../middleware/validationMiddleware');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+} = require('../controllers/authController');
+const {
+  validateRegistration,
+  validateLogin,
+  validateEmail,
+  validateResetPassword,
+  validateRefresh,
+} = require('../middleware/validationMiddleware');
+const {
+  loginLimiter,
+  loginAccountLimiter,
+  registerLimiter,
+  emailRequestLimiter,
+} = require('../middleware/rateLimitMiddleware');
 
 // Public Routes
-router.post('/register', validateRegistration, register);
-router.post('/login', validateLogin, login);
+router.post('/register', registerLimiter, validateRegistration, register);
+router.post('/login', loginLimiter, validateLogin, loginAccountLimiter, login);
+router.post('/refresh', validateRefresh, refresh);
+router.post('/logout', validateRefresh, logout);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', emailRequestLimiter, validateEmail, resendVerification);
+router.post('/forgot-password', emailRequestLimiter, validateEmail, forgotPassword);
+router.post('/reset-password', validateResetPassword, resetPassword);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBookings,
+  getBookingById,
+  approveBooking,
+  declineBooking,
+  cancelBooking,
+} = require('../controllers/bookingController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { validateBookingDecision } = require('../middleware/validationMiddleware');
+
+// Private Routes
+router.use(authenticate);
+
+router.get('/', getBookings);
+router.get('/:id', getBookingById);
+router.post('/:id/approve', approveBooking);
+router.post('/:id/decline', validateBookingDecision, declineBooking);
+router.post('/:id/cancel', validateBookingDecision, cancelBooking);
+
+module.exports = router;
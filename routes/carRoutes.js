@@ -6,20 +6,86 @@ const {
   getCarListingById,
   updateCarListing,
   deleteCarListing,
+  updateCarStatus,
+  getCarStatusHistory,
+  getCarPriceHistory,
   getUserCarListings,
+  revealSellerPhone,
 } = require('../controllers/carController');
-const { authenticate, authorize } = require('../middleware/authMiddleware');
-const { validateCar } = require('../middleware/validationMiddleware');
+const {
+  getCarReviews,
+  createCarReview,
+  updateCarReview,
+  deleteCarReview,
+} = require('../controllers/reviewController');
+const {
+  uploadCarImages,
+  reorderCarImages,
+  setCarCoverImage,
+  deleteCarImage,
+} = require('../controllers/imageController');
+const {
+  updateRentalSettings,
+  getCarAvailability,
+  requestBooking,
+} = require('../controllers/bookingController');
+const {
+  makeOffer,
+  getCarOffers,
+  getUserOffers,
+  getOfferById,
+  acceptOffer,
+  declineOffer,
+  counterOffer,
+} = require('../controllers/offerController');
+const { getListingAnalytics } = require('../controllers/analyticsController');
+const { authenticate, optionalAuthenticate, authorize, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const {
+  validateCar,
+  validateCarQuery,
+  validateCarStatus,
+  validateReview,
+  validateImageOrder,
+  validateRentalSettings,
+  validateBookingRequest,
+  validateOffer,
+  validateOfferDecline,
+} = require('../middleware/validationMiddleware');
+const { handleImageUpload } = require('../middleware/uploadMiddleware');
+const { carCreateLimiter } = require('../middleware/rateLimitMiddleware');
 const { ROLES } = require('../config/constants');
 
 // Public Routes
-router.get('/', getAllCarListings);
-router.get('/:id', getCarListingById);
+router.get('/', optionalAuthenticate, validateCarQuery, getAllCarListings);
+router.get('/:id', optionalAuthenticate, getCarListingById);
+router.get('/:id/reviews', getCarReviews);
+router.get('/:id/price-history', optionalAuthenticate, getCarPriceHistory);
+router.get('/:id/availability', getCarAvailability);
 
 // Private Routes
-router.post('/', authenticate, validateCar, createCarListing);
+router.post('/', authenticate, requireVerifiedEmail, carCreateLimiter, validateCar, createCarListing);
 router.put('/:id', authenticate, validateCar, updateCarListing);
 router.delete('/:id', authenticate, deleteCarListing);
+router.patch('/:id/status', authenticate, validateCarStatus, updateCarStatus);
+router.get('/:id/status-history', authenticate, getCarStatusHistory);
 router.get('/user/listings', authenticate, getUserCarListings);
+router.get('/user/offers', authenticate, getUserOffers);
+router.get('/user/analytics', authenticate, getListingAnalytics);
+router.post('/:id/contact/phone', authenticate, revealSellerPhone);
+router.post('/:id/reviews', authenticate, validateReview, createCarReview);
+router.put('/:id/reviews', authenticate, validateReview, updateCarReview);
+router.delete('/:id/reviews', authenticate, deleteCarReview);
+router.post('/:id/images', authenticate, handleImageUpload, uploadCarImages);
+router.put('/:id/images/order', authenticate, validateImageOrder, reorderCarImages);
+router.put('/:id/images/:imageId/cover', authenticate, setCarCoverImage);
+router.delete('/:id/images/:imageId', authenticate, deleteCarImage);
+router.put('/:id/rental', authenticate, validateRentalSettings, updateRentalSettings);
+router.post('/:id/bookings', authenticate, validateBookingRequest, requestBooking);
+router.get('/:id/offers', authenticate, getCarOffers);
+router.post('/:id/offers', authenticate, validateOffer, makeOffer);
+router.get('/:id/offers/:offerId', authenticate, getOfferById);
+router.post('/:id/offers/:offerId/accept', authenticate, acceptOffer);
+router.post('/:id/offers/:offerId/decline', authenticate, validateOfferDecline, declineOffer);
+router.post('/:id/offers/:offerId/counter', authenticate, validateOffer, counterOffer);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  startConversation,
+  getConversations,
+  getConversationMessages,
+  sendMessage,
+  markConversationRead,
+} = require('../controllers/conversationController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { validateConversation, validateMessage } = require('../middleware/validationMiddleware');
+
+// Private Routes
+router.use(authenticate);
+
+router.get('/', getConversations);
+router.post('/', validateConversation, startConversation);
+router.get('/:id/messages', getConversationMessages);
+router.post('/:id/messages', validateMessage, sendMessage);
+router.post('/:id/read', markConversationRead);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getOpenApiDocument, getApiDocs } = require('../controllers/docsController');
+
+// Public Routes
+router.get('/openapi.json', getOpenApiDocument);
+router.get('/docs', getApiDocs);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const authRoutes = require('./authRoutes');
+const userRoutes = require('./userRoutes');
+const carRoutes = require('./carRoutes');
+const moderationRoutes = require('./moderationRoutes');
+const adminRoutes = require('./adminRoutes');
+const conversationRoutes = require('./conversationRoutes');
+const bookingRoutes = require('./bookingRoutes');
+const notificationRoutes = require('./notificationRoutes');
+
+// API routers and where they are mounted (under /api/<version>), also used to build the OpenAPI document
+const apiRoutes = [
+  { path: '/auth', router: authRoutes, tag: 'Auth' },
+  { path: '/users', router: userRoutes, tag: 'Users' },
+  { path: '/cars', router: carRoutes, tag: 'Cars' },
+  { path: '/moderation', router: moderationRoutes, tag: 'Moderation' },
+  { path: '/admin', router: adminRoutes, tag: 'Admin' },
+  { path: '/conversations', router: conversationRoutes, tag: 'Conversations' },
+  { path: '/bookings', router: bookingRoutes, tag: 'Bookings' },
+  { path: '/notifications', router: notificationRoutes, tag: 'Notifications' },
+];
+
+// Routes of each API version (see API_VERSIONING); a version with breaking changes gets its own list
+const apiVersions = {
+  v1: apiRoutes,
+};
+
+// One router per version, mounted at /api/<version> and behind the /api alias
+const versionRouters = Object.fromEntries(Object.entries(apiVersions).map(([version, routes]) => {
+  const router = express.Router();
+  routes.forEach(({ path, router: routesRouter }) => router.use(path, routesRouter));
+  return [version, router];
+}));
+
+module.exports = {
+  apiRoutes,
+  apiVersions,
+  versionRouters,
+};
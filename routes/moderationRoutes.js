@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getModerationQueue,
+  approveCarListing,
+  rejectCarListing,
+} = require('../controllers/moderationController');
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { validateRejection } = require('../middleware/validationMiddleware');
+const { ROLES } = require('../config/constants');
+
+// Moderator Routes
+router.use(authenticate, authorize(ROLES.MODERATOR, ROLES.ADMIN));
+
+router.get('/queue', getModerationQueue);
+router.post('/cars/:id/approve', approveCarListing);
+router.post('/cars/:id/reject', validateRejection, rejectCarListing);
+
+module.exports = router;
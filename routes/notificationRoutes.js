@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+  unsubscribe,
+} = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { validateNotificationPreferences } = require('../middleware/validationMiddleware');
+
+// Public Routes (signed unsubscribe link from emails)
+router.post('/unsubscribe', unsubscribe);
+
+// Private Routes
+router.use(authenticate);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.post('/read-all', markAllNotificationsRead);
+router.post('/:id/read', markNotificationRead);
+router.get('/preferences', getPreferences);
+router.put('/preferences', validateNotificationPreferences, updatePreferences);
+
+module.exports = router;
@@ -1,12 +1,40 @@
 const express = require('express');
 const router = express.Router();
-const { getUserProfile, updateUserProfile, deleteUserAccount } = require('../controllers/userController');
+const {
+  getUserProfile,
+  updateUserProfile,
+  deleteUserAccount,
+  getUserSessions,
+  revokeUserSession,
+  revokeOtherUserSessions,
+} = require('../controllers/userController');
+const { getFavorites, addFavorite, removeFavorite } = require('../controllers/favoriteController');
+const {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  unsubscribeSavedSearch,
+} = require('../controllers/savedSearchController');
 const { authenticate } = require('../middleware/authMiddleware');
-const { validateProfileUpdate } = require('../middleware/validationMiddleware');
+const { validateProfileUpdate, validateSavedSearch } = require('../middleware/validationMiddleware');
+
+// Public Routes
+router.get('/saved-searches/unsubscribe/:token', unsubscribeSavedSearch);
 
 // Private Routes
 router.get('/profile', authenticate, getUserProfile);
 router.put('/profile', authenticate, validateProfileUpdate, updateUserProfile);
 router.delete('/account', authenticate, deleteUserAccount);
+router.get('/sessions', authenticate, getUserSessions);
+router.delete('/sessions', authenticate, revokeOtherUserSessions);
+router.delete('/sessions/:sessionId', authenticate, revokeUserSession);
+router.get('/favorites', authenticate, getFavorites);
+router.post('/favorites/:carId', authenticate, addFavorite);
+router.delete('/favorites/:carId', authenticate, removeFavorite);
+router.get('/saved-searches', authenticate, getSavedSearches);
+router.post('/saved-searches', authenticate, validateSavedSearch, createSavedSearch);
+router.put('/saved-searches/:searchId', authenticate, validateSavedSearch, updateSavedSearch);
+router.delete('/saved-searches/:searchId', authenticate, deleteSavedSearch);
 
 module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * Check that the OpenAPI document covers every API route.
+ *
+ * Fails when a route has neither a validation middleware with a known schema nor an entry in
+ * utils/openapi/operations.js, or when operations.js documents a route that no longer exists.
+ *
+ * Usage:
+ *   npm run check:openapi
+ *   npm run check:openapi -- --output openapi.json  # also write the document (of the default version) to a file
+ */
+
+const fs = require('fs');
+const { apiVersions } = require('../routes');
+const { buildOpenApiDocument, checkApiDocumentation } = require('../utils/openapi');
+const { API_VERSIONING } = require('../config/constants');
+
+const run = () => {
+  const problems = Object.entries(apiVersions)
+    .flatMap(([version, routes]) => checkApiDocumentation(routes).map(problem => `${version} ${problem}`));
+  const document = buildOpenApiDocument(apiVersions[API_VERSIONING.DEFAULT_VERSION]);
+
+  const outputIndex = process.argv.indexOf('--output');
+  if (outputIndex !== -1 && process.argv[outputIndex + 1]) {
+    fs.writeFileSync(process.argv[outputIndex + 1], `${JSON.stringify(document, null, 2)}\n`);
+  }
+
+  const operationCount = Object.values(document.paths)
+    .reduce((count, methods) => count + Object.keys(methods).length, 0);
+
+  if (problems.length > 0) {
+    console.error(`${problems.length} route(s) are not documented:`);
+    problems.forEach(problem => console.error(`  - ${problem}`));
+    process.exit(1);
+  }
+
+  console.log(`OpenAPI document covers all ${operationCount} routes`);
+  process.exit(0);
+};
+
+run();
@@ -0,0 +1,62 @@
+/**
+ * One-off migration: hash every password still stored in plaintext.
+ *
+ * Accounts are also upgraded lazily on their next successful login,
+ * this script takes care of the ones that never log in again.
+ *
+ * Usage:
+ *   npm run migrate:passwords             # hash all remaining plaintext passwords
+ *   npm run migrate:passwords -- --dry-run  # only report how many would be hashed
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+
+// Passwords that do not look like bcrypt hashes
+const LEGACY_PASSWORD_FILTER = { password: { $type: 'string', $not: /^\$2[aby]\$/ } };
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+
+  const total = await User.countDocuments();
+  const legacyCount = await User.countDocuments(LEGACY_PASSWORD_FILTER);
+
+  console.log(`Found ${legacyCount} of ${total} users with plaintext passwords`);
+
+  if (dryRun) {
+    return;
+  }
+
+  let migrated = 0;
+  const cursor = User.find(LEGACY_PASSWORD_FILTER).select('+password').cursor();
+  for await (const user of cursor) {
+    // Saving through the model lets the pre-save hook hash the password; it is unchanged,
+    // so it has to be marked as modified for the hook to run
+    user.markModified('password');
+
+    // Only overwrite if the password has not changed since we read it
+    // (e.g. the user logged in and was rehashed in the meantime)
+    user.$where = { password: user.password };
+
+    try {
+      await user.save({ validateBeforeSave: false });
+      migrated += 1;
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.DocumentNotFoundError)) throw error;
+    }
+  }
+
+  console.log(`Hashed ${migrated} passwords`);
+};
+
+run()
+  .catch((error) => {
+    console.error(`Password migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
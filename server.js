@@ -6,11 +6,19 @@ const helmet = require('helmet');
 
 const connectDB = require('./config/database');
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
+const { assignRequestId, logAccess, REQUEST_ID_HEADER } = require('./middleware/requestMiddleware');
+const { logger } = require('./utils/logger');
+const { apiLimiter, writeLimiter } = require('./middleware/rateLimitMiddleware');
+const { useApiVersion, negotiateApiVersion, API_VERSION_HEADER } = require('./middleware/versionMiddleware');
+const { UPLOAD_DIR, UPLOADS_URL_PATH } = require('./utils/storage');
+const { startSavedSearchScheduler } = require('./utils/savedSearchAlerts');
+const { startRentalStatusScheduler } = require('./utils/rentals');
+const { startOfferExpiryScheduler } = require('./utils/offers');
+const { startEmailOutboxWorker } = require('./utils/emailOutbox');
 
 // Import routes
-const authRoutes = require('./routes/authRoutes');
-const userRoutes = require('./routes/userRoutes');
-const carRoutes = require('./routes/carRoutes');
+const { versionRouters } = require('./routes');
+const docsRoutes = require('./routes/docsRoutes');
 
 // Initialize Express App
 const app = express();
@@ -19,11 +27,25 @@ const PORT = process.env.PORT || 5000;
 // Connect to Database
 connectDB();
 
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's address
+// Rate limits are counted per IP and would otherwise lump every client together
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  const hops = parseInt(trustProxy, 10);
+  app.set('trust proxy', trustProxy === 'true' || (Number.isNaN(hops) ? trustProxy : hops));
+}
+
 // Middleware
+app.use(assignRequestId); // Correlation ID for logs, responses and error payloads
+app.use(logAccess); // JSON access log line per request
 app.use(helmet()); // Security headers
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   credentials: true,
+  exposedHeaders: [
+    REQUEST_ID_HEADER, 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After',
+    API_VERSION_HEADER, 'Deprecation', 'Sunset', 'Link',
+  ],
 })); // Enable CORS
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
@@ -37,10 +59,25 @@ app.get('/health', (req, res) => {
   });
 });
 
-// API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/cars', carRoutes);
+// Uploaded Files (local storage driver)
+// Served cross-origin so the frontend on another port/host can display images
+app.use(UPLOADS_URL_PATH, express.static(UPLOAD_DIR, {
+  maxAge: '30d',
+  immutable: true,
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin'),
+}));
+
+// Rate Limiting (per IP for every API request, per account for writes)
+app.use('/api', apiLimiter, writeLimiter);
+
+// API Routes (see routes/index.js), with the OpenAPI document and Swagger UI of each version
+// Versioned: /api/v1/...; unmatched paths end here so they don't fall through to the alias
+Object.entries(versionRouters).forEach(([version, router]) => {
+  app.use(`/api/${version}`, useApiVersion(version), router, docsRoutes, notFound);
+});
+
+// Unversioned alias during the transition: version from Accept-Version, else the default (deprecated)
+app.use('/api', negotiateApiVersion, (req, res, next) => versionRouters[req.apiVersion](req, res, next), docsRoutes);
 
 // Error Handling Middleware
 app.use(notFound);
@@ -48,7 +85,14 @@ app.use(errorHandler);
 
 // Start Server
 app.listen(PORT, () => {
-  console.log(`✓ Server running on port ${PORT}`);
-  console.log(`✓ Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`✓ Database: ${process.env.MONGODB_URI ? 'Connected' : 'Connecting...'}`);
-});
\ No newline at end of file
+  logger.info('Server started', {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || 'development',
+  });
+});
+
+// Background Jobs
+startSavedSearchScheduler();
+startRentalStatusScheduler();
+startOfferExpiryScheduler();
+startEmailOutboxWorker();
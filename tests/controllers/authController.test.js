@@ -0,0 +1,262 @@
+jest.mock('../../utils/emailService', () => ({
+  sendWelcomeEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendVerificationEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendPasswordResetEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendNotificationEmail: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const bcrypt = require('bcryptjs');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const { sendNotificationEmail } = require('../../utils/emailService');
+const { verifyToken } = require('../../utils/jwtUtils');
+const { login, refresh } = require('../../controllers/authController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const USER_ID = '64f1a2b3c4d5e6f7a8b9c0d3';
+const SESSION_ID = '64f1a2b3c4d5e6f7a8b9c0e1';
+
+const buildUser = (fields = {}) => User.hydrate({
+  _id: USER_ID,
+  username: 'ann',
+  email: 'ann@example.com',
+  failedLoginAttempts: 0,
+  lockoutCount: 0,
+  ...fields,
+});
+
+// User.findOne(...).select(...) resolving to the user
+const findUser = user => jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+const call = async (controller, body) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await controller(mockRequest({ body, headers: { 'User-Agent': 'jest' } }), res, next);
+  return { res, next };
+};
+
+const callLogin = body => call(login, body);
+
+// Sessions kept in memory: findOne and updateOne match on field equality, like the queries refresh makes
+const useSessionStore = (sessions) => {
+  const matches = (session, filter) => Object.entries(filter).every(([field, value]) => (
+    value === null ? !session.get(field) : String(session.get(field)) === String(value)
+  ));
+
+  jest.spyOn(Session, 'findOne').mockImplementation(async filter => (
+    sessions.find(session => matches(session, filter)) || null
+  ));
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+    const session = sessions.find(candidate => matches(candidate, filter));
+    if (session) session.set(update);
+    return { acknowledged: true, matchedCount: session ? 1 : 0, modifiedCount: session ? 1 : 0 };
+  });
+  // Revoking saves the session
+  jest.spyOn(Session.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1 });
+};
+
+const buildSession = (refreshToken, fields = {}) => Session.hydrate({
+  _id: SESSION_ID,
+  user: USER_ID,
+  refreshTokenHash: Session.hashToken(refreshToken),
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  revokedAt: null,
+  ...fields,
+});
+
+describe('authController', () => {
+  let updateUser;
+
+  beforeEach(() => {
+    // Saves go to this instead of MongoDB
+    updateUser = jest.spyOn(User.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1 });
+    jest.spyOn(Session, 'create').mockResolvedValue({ _id: SESSION_ID });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('login', () => {
+    it('hashes a legacy plaintext password on a successful sign-in', async () => {
+      findUser(buildUser({ password: 'secret123' }));
+
+      const { res, next } = await callLogin({ email: 'ann@example.com', password: 'secret123' });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(200);
+      expect(updateUser).toHaveBeenCalledTimes(1);
+      const [, update] = updateUser.mock.calls[0];
+      expect(User.isHashedPassword(update.$set.password)).toBe(true);
+      await expect(bcrypt.compare('secret123', update.$set.password)).resolves.toBe(true);
+      expect(res.body.user.password).toBeUndefined();
+    });
+
+    it('rehashes a password stored with an outdated cost factor', async () => {
+      findUser(buildUser({ password: await bcrypt.hash('secret123', 4) }));
+
+      const { res } = await callLogin({ email: 'ann@example.com', password: 'secret123' });
+
+      expect(res.statusCode).toBe(200);
+      const [, update] = updateUser.mock.calls[0];
+      expect(bcrypt.getRounds(update.$set.password)).toBe(10);
+      await expect(bcrypt.compare('secret123', update.$set.password)).resolves.toBe(true);
+    });
+
+    it('leaves an up-to-date hash alone', async () => {
+      findUser(buildUser({ password: await bcrypt.hash('secret123', 10) }));
+
+      const { res } = await callLogin({ email: 'ann@example.com', password: 'secret123' });
+
+      expect(res.statusCode).toBe(200);
+      expect(updateUser).not.toHaveBeenCalled();
+    });
+
+    it('signs in even when saving the new hash fails', async () => {
+      findUser(buildUser({ password: 'secret123' }));
+      updateUser.mockRejectedValue(new Error('connection lost'));
+
+      const { res, next } = await callLogin({ email: 'ann@example.com', password: 'secret123' });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(200);
+      expect(res.body.token).toEqual(expect.any(String));
+    });
+
+    it('does not rehash on a wrong password', async () => {
+      findUser(buildUser({ password: 'secret123' }));
+      jest.spyOn(User, 'findOneAndUpdate').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const { res } = await callLogin({ email: 'ann@example.com', password: 'wrong-password' });
+
+      expect(res.statusCode).toBe(401);
+      expect(updateUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('login lockout', () => {
+    it('rejects a locked account even with the right password', async () => {
+      const lockUntil = new Date(Date.now() + 10 * 60 * 1000);
+      const user = buildUser({ password: await bcrypt.hash('secret123', 10), lockUntil });
+      const compare = jest.spyOn(user, 'comparePassword');
+      findUser(user);
+
+      const { res } = await callLogin({ email: 'ann@example.com', password: 'secret123' });
+
+      expect(res.statusCode).toBe(429);
+      expect(res.body).toMatchObject({ success: false, lockedUntil: lockUntil });
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(590);
+      expect(compare).not.toHaveBeenCalled();
+      expect(Session.create).not.toHaveBeenCalled();
+    });
+
+    it('locks the account on the failed attempt that reaches the limit', async () => {
+      findUser(buildUser({ password: 'secret123', failedLoginAttempts: 4 }));
+      jest.spyOn(User, 'findOneAndUpdate')
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ failedLoginAttempts: 5, lockoutCount: 0 }) })
+        .mockResolvedValueOnce({ _id: USER_ID });
+
+      const { res } = await callLogin({ email: 'ann@example.com', password: 'wrong-password' });
+
+      expect(res.statusCode).toBe(429);
+      expect(res.body.lockedUntil).toEqual(expect.any(Date));
+      expect(res.headers['retry-after']).toBe(String(15 * 60));
+      expect(sendNotificationEmail).toHaveBeenCalledWith(expect.anything(), 'account-locked', expect.anything());
+    });
+
+    it('signs in after an expired lockout and clears the failed attempts', async () => {
+      findUser(buildUser({
+        password: await bcrypt.hash('secret123', 10),
+        failedLoginAttempts: 2,
+        lockoutCount: 1,
+        lockUntil: new Date(Date.now() - 1000),
+      }));
+      const clear = jest.spyOn(User, 'updateOne').mockResolvedValue({ acknowledged: true });
+
+      const { res } = await callLogin({ email: 'ann@example.com', password: 'secret123' });
+
+      expect(res.statusCode).toBe(200);
+      expect(clear).toHaveBeenCalledWith(
+        { _id: expect.anything() },
+        { failedLoginAttempts: 0, lockoutCount: 0, $unset: { lockUntil: 1 } }
+      );
+    });
+  });
+
+  describe('refresh', () => {
+    let session;
+
+    beforeEach(() => {
+      session = buildSession('first-token');
+      useSessionStore([session]);
+      jest.spyOn(User, 'findById').mockResolvedValue(buildUser({ role: 'user' }));
+    });
+
+    it('rotates the refresh token and issues an access token for the session', async () => {
+      const { res } = await call(refresh, { refreshToken: 'first-token' });
+
+      expect(res.statusCode).toBe(200);
+      const { token, refreshToken } = res.body;
+      expect(refreshToken).not.toBe('first-token');
+      expect(session.refreshTokenHash).toBe(Session.hashToken(refreshToken));
+      expect(session.previousRefreshTokenHash).toBe(Session.hashToken('first-token'));
+      expect(verifyToken(token)).toMatchObject({ userId: USER_ID, role: 'user', sessionId: SESSION_ID });
+    });
+
+    it('accepts the rotated token for the next refresh', async () => {
+      const { res: first } = await call(refresh, { refreshToken: 'first-token' });
+      const { res: second } = await call(refresh, { refreshToken: first.body.refreshToken });
+
+      expect(second.statusCode).toBe(200);
+      expect(second.body.refreshToken).not.toBe(first.body.refreshToken);
+    });
+
+    it('revokes the session when a rotated-out token is reused', async () => {
+      const { res: rotated } = await call(refresh, { refreshToken: 'first-token' });
+
+      const { res: replayed } = await call(refresh, { refreshToken: 'first-token' });
+      expect(replayed.statusCode).toBe(401);
+      expect(session.revokedAt).toEqual(expect.any(Date));
+
+      // The legitimate holder of the new token is signed out too
+      const { res: afterReuse } = await call(refresh, { refreshToken: rotated.body.refreshToken });
+      expect(afterReuse.statusCode).toBe(401);
+    });
+
+    it('rejects unknown tokens without touching sessions', async () => {
+      const { res } = await call(refresh, { refreshToken: 'made-up-token' });
+
+      expect(res.statusCode).toBe(401);
+      expect(session.revokedAt).toBeNull();
+    });
+
+    it('rejects revoked and expired sessions', async () => {
+      session.revokedAt = new Date();
+      expect((await call(refresh, { refreshToken: 'first-token' })).res.statusCode).toBe(401);
+
+      session.revokedAt = null;
+      session.expiresAt = new Date(Date.now() - 1000);
+      expect((await call(refresh, { refreshToken: 'first-token' })).res.statusCode).toBe(401);
+    });
+
+    it('revokes the session of a suspended user', async () => {
+      User.findById.mockResolvedValue(buildUser({ isSuspended: true }));
+
+      const { res } = await call(refresh, { refreshToken: 'first-token' });
+
+      expect(res.statusCode).toBe(401);
+      expect(session.revokedAt).toEqual(expect.any(Date));
+    });
+
+    it('lets only one of two concurrent refreshes with the same token succeed', async () => {
+      const results = await Promise.all([
+        call(refresh, { refreshToken: 'first-token' }),
+        call(refresh, { refreshToken: 'first-token' }),
+      ]);
+
+      expect(results.map(({ res }) => res.statusCode).sort()).toEqual([200, 401]);
+    });
+  });
+});
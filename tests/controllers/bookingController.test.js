@@ -0,0 +1,120 @@
+jest.mock('../../utils/rentals', () => ({
+  ...jest.requireActual('../../utils/rentals'),
+  syncCarRentalStatus: jest.fn().mockResolvedValue(),
+}));
+
+const Car = require('../../models/Car');
+const Booking = require('../../models/Booking');
+const { requestBooking, cancelBooking } = require('../../controllers/bookingController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BOOKING_ID = '64f1a2b3c4d5e6f7a8b9c0f1';
+const CAR_ID = '64f1a2b3c4d5e6f7a8b9c0e2';
+const OWNER_ID = '64f1a2b3c4d5e6f7a8b9c0d3';
+const RENTER_ID = '64f1a2b3c4d5e6f7a8b9c0d4';
+
+const renter = { userId: RENTER_ID, role: 'user' };
+
+// A populated booking as findParticipantBooking loads it (the parties have no email, so nobody is notified)
+const buildBooking = (fields = {}) => {
+  const booking = {
+    _id: BOOKING_ID,
+    car: { _id: CAR_ID, title: '2020 Toyota Camry' },
+    renter: { _id: RENTER_ID, username: 'ann' },
+    owner: { _id: OWNER_ID, username: 'bob' },
+    status: 'approved',
+    startDate: new Date(Date.now() + DAY_MS),
+    endDate: new Date(Date.now() + 3 * DAY_MS),
+    ...fields,
+  };
+  booking.toJSON = () => ({ ...booking });
+  return booking;
+};
+
+// Booking.findById(...).populate(...) chain resolving to the booking
+const findBooking = (booking) => {
+  const query = {
+    populate: jest.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(booking).then(resolve, reject),
+  };
+  return jest.spyOn(Booking, 'findById').mockReturnValue(query);
+};
+
+const call = async (controller, { body = {}, params = {} } = {}) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await controller(mockRequest({ body, params, user: renter }), res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+describe('bookingController', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requestBooking', () => {
+    it('does not book listings without an owner', async () => {
+      const car = Car.hydrate({
+        _id: CAR_ID,
+        title: '2020 Toyota Camry',
+        status: 'available',
+        rental: { isRentable: true, dailyRate: 50 },
+      });
+      car.owner = null;
+      jest.spyOn(Car, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(car) });
+      const create = jest.spyOn(Booking, 'create');
+
+      const res = await call(requestBooking, {
+        params: { id: CAR_ID },
+        body: { startDate: new Date(Date.now() + DAY_MS), endDate: new Date(Date.now() + 3 * DAY_MS) },
+      });
+
+      expect(res.statusCode).toBe(404);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelBooking', () => {
+    it('cancels an approved booking only while it has not ended', async () => {
+      findBooking(buildBooking());
+      const update = jest.spyOn(Booking, 'findOneAndUpdate')
+        .mockImplementation(async (filter, changes) => ({ ...changes }));
+
+      const res = await call(cancelBooking, { params: { id: BOOKING_ID }, body: { reason: 'Plans changed' } });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.booking.status).toBe('cancelled');
+      const [filter] = update.mock.calls[0];
+      expect(filter.$or).toEqual([
+        { status: 'pending' },
+        { status: 'approved', endDate: { $gt: expect.any(Date) } },
+      ]);
+    });
+
+    it('does not cancel an approved booking that has ended', async () => {
+      findBooking(buildBooking({
+        startDate: new Date(Date.now() - 3 * DAY_MS),
+        endDate: new Date(Date.now() - DAY_MS),
+      }));
+      const update = jest.spyOn(Booking, 'findOneAndUpdate');
+
+      const res = await call(cancelBooking, { params: { id: BOOKING_ID } });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe('Bookings cannot be cancelled after they have ended');
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('reports a booking that ended or changed in the meantime', async () => {
+      findBooking(buildBooking());
+      jest.spyOn(Booking, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const res = await call(cancelBooking, { params: { id: BOOKING_ID } });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe('Booking was changed by another request');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const Car = require('../../models/Car');
+const Favorite = require('../../models/Favorite');
+const Offer = require('../../models/Offer');
+const { updateCarListing, updateCarStatus } = require('../../controllers/carController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const CAR_ID = '64f1a2b3c4d5e6f7a8b9c0e2';
+const OWNER_ID = '64f1a2b3c4d5e6f7a8b9c0d3';
+
+const owner = { userId: OWNER_ID, role: 'user' };
+const otherUser = { userId: '64f1a2b3c4d5e6f7a8b9c0d4', role: 'user' };
+
+const buildCar = (fields = {}) => Car.hydrate({
+  _id: CAR_ID,
+  title: '2020 Toyota Camry',
+  brand: 'Toyota',
+  model: 'Camry',
+  year: 2020,
+  price: 24000,
+  owner: OWNER_ID,
+  status: 'available',
+  ...fields,
+});
+
+// Car.findById(...).select(...) resolving to the car
+const findCar = car => jest.spyOn(Car, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(car) });
+
+// Car.findOneAndUpdate(...).populate(...) resolving to the result
+const updateCar = result => jest.spyOn(Car, 'findOneAndUpdate')
+  .mockReturnValue({ populate: jest.fn().mockResolvedValue(result) });
+
+const callUpdateStatus = async (user, body) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await updateCarStatus(mockRequest({ params: { id: CAR_ID }, body, user }), res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+const callUpdateListing = async (user, body) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await updateCarListing(mockRequest({ params: { id: CAR_ID }, body, user }), res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+describe('carController', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('updateCarStatus', () => {
+    it('applies an allowed transition only if the status is unchanged, and records it', async () => {
+      findCar(buildCar());
+      const update = updateCar(buildCar({ status: 'sold' }));
+      jest.spyOn(Favorite, 'findFavoritedCarIds').mockResolvedValue(new Set());
+      const findOffers = jest.spyOn(Offer, 'find').mockReturnValue({ populate: jest.fn().mockResolvedValue([]) });
+
+      const res = await callUpdateStatus(owner, { status: 'sold', reason: 'Sold to a friend' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.car.status).toBe('sold');
+      const [filter, changes] = update.mock.calls[0];
+      expect(filter).toEqual({ _id: expect.anything(), status: 'available' });
+      expect(changes.status).toBe('sold');
+      expect(changes.$push.statusHistory).toMatchObject({
+        from: 'available',
+        to: 'sold',
+        changedBy: OWNER_ID,
+        reason: 'Sold to a friend',
+      });
+      // Open offers on a sold car are declined
+      expect(findOffers).toHaveBeenCalledWith(expect.objectContaining({ car: expect.anything() }));
+    });
+
+    it('rejects transitions that do not exist', async () => {
+      findCar(buildCar({ status: 'sold' }));
+      const update = updateCar(null);
+
+      const res = await callUpdateStatus(owner, { status: 'rented' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe('A listing cannot go from sold to rented');
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('does not let other users change the status', async () => {
+      findCar(buildCar());
+      const update = updateCar(null);
+
+      const res = await callUpdateStatus(otherUser, { status: 'sold' });
+
+      expect(res.statusCode).toBe(403);
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('hides listings under review from other users', async () => {
+      findCar(buildCar({ status: 'under_review' }));
+
+      const res = await callUpdateStatus(otherUser, { status: 'available' });
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('reports a status changed by another request in the meantime', async () => {
+      findCar(buildCar());
+      updateCar(null);
+
+      const res = await callUpdateStatus(owner, { status: 'rented' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toBe('Listing status was changed by another request');
+    });
+  });
+
+  describe('updateCarListing', () => {
+    const moderation = process.env.LISTING_MODERATION;
+
+    beforeEach(() => {
+      process.env.LISTING_MODERATION = 'true';
+      jest.spyOn(Favorite, 'findFavoritedCarIds').mockResolvedValue(new Set());
+    });
+
+    afterEach(() => {
+      if (moderation === undefined) delete process.env.LISTING_MODERATION;
+      else process.env.LISTING_MODERATION = moderation;
+    });
+
+    it('sends an edited listing back for review', async () => {
+      findCar(buildCar());
+      const update = updateCar(buildCar({ title: 'Camry SE', status: 'under_review' }));
+
+      const res = await callUpdateListing(owner, { title: 'Camry SE' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.message).toBe('Car listing updated and submitted for review');
+      const [filter, changes] = update.mock.calls[0];
+      expect(filter).toEqual({ _id: expect.anything(), status: 'available' });
+      expect(changes.status).toBe('under_review');
+      expect(changes.$push.statusHistory).toMatchObject({ from: 'available', to: 'under_review' });
+    });
+
+    it('keeps the status of a sold listing', async () => {
+      findCar(buildCar({ status: 'sold' }));
+      const update = updateCar(buildCar({ title: 'Camry SE', status: 'sold' }));
+
+      const res = await callUpdateListing(owner, { title: 'Camry SE' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.message).toBe('Car listing updated successfully');
+      expect(res.body.car.status).toBe('sold');
+      const [filter, changes] = update.mock.calls[0];
+      expect(filter).toEqual({ _id: expect.anything(), status: 'sold' });
+      expect(changes).not.toHaveProperty('status');
+      expect(changes).not.toHaveProperty('moderation');
+      expect(changes).not.toHaveProperty('$push');
+    });
+
+    it('reports a status changed by another request in the meantime', async () => {
+      findCar(buildCar());
+      updateCar(null);
+
+      const res = await callUpdateListing(owner, { title: 'Camry SE' });
+
+      expect(res.statusCode).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const Favorite = require('../../models/Favorite');
+const { getFavorites } = require('../../controllers/favoriteController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const USER_ID = '64f1a2b3c4d5e6f7a8b9c0d4';
+const CAR_ID = '64f1a2b3c4d5e6f7a8b9c0e2';
+const HIDDEN_CAR_ID = '64f1a2b3c4d5e6f7a8b9c0e3';
+const SAVED_AT = new Date('2026-10-01T12:00:00Z');
+
+const owner = {
+  _id: '64f1a2b3c4d5e6f7a8b9c0d3',
+  username: 'bob',
+  email: 'bob@example.com',
+  phone: '555-0100',
+  address: { city: 'Springfield' },
+  contactPrivacy: { email: 'nobody', phone: 'nobody', address: 'nobody' },
+};
+
+// A favorite as returned by the populate; car is null when the listing did not match
+const buildFavorite = (car, carId = CAR_ID) => ({
+  car,
+  createdAt: SAVED_AT,
+  populated: path => (path === 'car' ? carId : undefined),
+});
+
+const buildCar = () => {
+  const car = { _id: CAR_ID, title: '2020 Toyota Camry', price: 22800, previousPrice: 24000, status: 'sold', owner };
+  return { ...car, toJSON: () => ({ ...car }) };
+};
+
+// Favorite.find(...).populate(...).skip(...).limit(...).sort(...) resolving to the favorites
+const findFavorites = (favorites) => {
+  const query = {
+    populate: jest.fn(() => query),
+    skip: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    sort: jest.fn().mockResolvedValue(favorites),
+  };
+  jest.spyOn(Favorite, 'find').mockReturnValue(query);
+  jest.spyOn(Favorite, 'countDocuments').mockResolvedValue(favorites.length);
+  return query;
+};
+
+const callGetFavorites = async () => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await getFavorites(mockRequest({ user: { userId: USER_ID, role: 'user' } }), res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+describe('favoriteController', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getFavorites', () => {
+    it('only populates public listings', async () => {
+      const query = findFavorites([]);
+
+      await callGetFavorites();
+
+      expect(query.populate).toHaveBeenCalledWith(expect.objectContaining({
+        path: 'car',
+        match: { status: { $in: ['available', 'sold', 'rented'] } },
+      }));
+    });
+
+    it('returns saved cars with the public owner details', async () => {
+      findFavorites([buildFavorite(buildCar())]);
+
+      const res = await callGetFavorites();
+
+      expect(res.statusCode).toBe(200);
+      const [car] = res.body.cars;
+      expect(car).toMatchObject({ _id: CAR_ID, isFavorited: true, priceDropPercent: 5, favoritedAt: SAVED_AT });
+      expect(car.owner).toEqual({ _id: owner._id, username: 'bob', phoneAvailable: false });
+    });
+
+    it('returns a placeholder for listings that are no longer public', async () => {
+      findFavorites([buildFavorite(null, HIDDEN_CAR_ID)]);
+
+      const res = await callGetFavorites();
+
+      expect(res.body.cars).toEqual([
+        { _id: HIDDEN_CAR_ID, car: null, unavailable: true, favoritedAt: SAVED_AT },
+      ]);
+      expect(res.body.pagination.total).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const Session = require('../../models/Session');
+const { revokeUserSession } = require('../../controllers/userController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const USER_ID = '64f1a2b3c4d5e6f7a8b9c0d3';
+const SESSION_ID = '64f1a2b3c4d5e6f7a8b9c0e1';
+
+const callRevoke = async (sessionId) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await revokeUserSession(mockRequest({ params: { sessionId }, user: { userId: USER_ID } }), res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+describe('userController', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('revokeUserSession', () => {
+    it('revokes an active session of the user', async () => {
+      const session = Session.hydrate({ _id: SESSION_ID, user: USER_ID, expiresAt: new Date(Date.now() + 60000) });
+      const findSession = jest.spyOn(Session, 'findOne').mockResolvedValue(session);
+      const revoke = jest.spyOn(session, 'revoke').mockResolvedValue(session);
+
+      const res = await callRevoke(SESSION_ID);
+
+      expect(res.statusCode).toBe(200);
+      expect(findSession).toHaveBeenCalledWith({ _id: SESSION_ID, user: USER_ID });
+      expect(revoke).toHaveBeenCalled();
+    });
+
+    it('returns 404 for a session id that is not an ObjectId', async () => {
+      const findSession = jest.spyOn(Session, 'findOne');
+
+      const res = await callRevoke('not-an-id');
+
+      expect(res.statusCode).toBe(404);
+      expect(findSession).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// Express request and response stand-ins for calling controllers directly, and a throwaway server
+// for middleware that needs the real thing (headers, response events)
+
+const mockRequest = ({ body = {}, params = {}, query = {}, headers = {}, user } = {}) => {
+  const lowerCaseHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+
+  return {
+    body,
+    params,
+    query,
+    user,
+    ip: '127.0.0.1',
+    get: name => lowerCaseHeaders[name.toLowerCase()],
+  };
+};
+
+// Records the status, headers and JSON body sent
+const mockResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.set = jest.fn((name, value) => {
+    res.headers[name.toLowerCase()] = value;
+    return res;
+  });
+  return res;
+};
+
+// Start an app on a free port; resolves to its base URL and a close function
+const listen = app => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done)),
+    });
+  });
+});
+
+module.exports = {
+  mockRequest,
+  mockResponse,
+  listen,
+};
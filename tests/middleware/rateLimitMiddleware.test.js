@@ -0,0 +1,84 @@
+const express = require('express');
+const { createRateLimiter } = require('../../middleware/rateLimitMiddleware');
+const { listen } = require('../helpers/http');
+
+let limiterCount = 0;
+
+// App with one limited route; each app gets its own counters
+const startApp = async (options) => {
+  limiterCount += 1;
+  const app = express();
+  app.use(express.json());
+  app.post(
+    '/login',
+    createRateLimiter({ name: `test-${limiterCount}`, windowMinutes: 15, ...options }),
+    (req, res) => {
+      const ok = req.body.password === 'right';
+      res.status(ok ? 200 : 401).json({ success: ok });
+    }
+  );
+  return listen(app);
+};
+
+describe('createRateLimiter', () => {
+  let server;
+
+  afterEach(async () => {
+    await server?.close();
+  });
+
+  const post = (body = {}) => fetch(`${server.url}/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  it('reports the remaining requests and rejects requests over the limit', async () => {
+    server = await startApp({ limit: 2 });
+
+    const first = await post({ password: 'right' });
+    expect(first.status).toBe(200);
+    expect(first.headers.get('ratelimit-limit')).toBe('2');
+    expect(first.headers.get('ratelimit-remaining')).toBe('1');
+    expect(first.headers.get('ratelimit-policy')).toBe('2;w=900');
+
+    expect((await post({ password: 'right' })).status).toBe(200);
+
+    const limited = await post({ password: 'right' });
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('ratelimit-remaining')).toBe('0');
+    expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+    expect(await limited.json()).toEqual({
+      success: false,
+      message: 'Too many requests, please try again later',
+    });
+  });
+
+  it('only counts failed requests with countFailedOnly', async () => {
+    server = await startApp({ limit: 2, countFailedOnly: true });
+
+    // Successful requests give their hit back once the response is sent
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      expect((await post({ password: 'right' })).status).toBe(200);
+    }
+
+    expect((await post({ password: 'wrong' })).status).toBe(401);
+    expect((await post({ password: 'wrong' })).status).toBe(401);
+    expect((await post({ password: 'right' })).status).toBe(429);
+  });
+
+  it('skips requests without a key', async () => {
+    server = await startApp({ limit: 1, keyGenerator: req => req.body.email || null });
+
+    expect((await post({ password: 'right' })).status).toBe(200);
+    expect((await post({ password: 'right' })).status).toBe(200);
+    expect((await post({ email: 'ann@example.com', password: 'right' })).status).toBe(200);
+    expect((await post({ email: 'ann@example.com', password: 'right' })).status).toBe(429);
+  });
+
+  it('uses the custom message', async () => {
+    server = await startApp({ limit: 0, message: 'Slow down' });
+
+    expect((await (await post()).json()).message).toBe('Slow down');
+  });
+});
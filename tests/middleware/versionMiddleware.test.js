@@ -0,0 +1,145 @@
+const express = require('express');
+const { notFound } = require('../../middleware/errorMiddleware');
+const { listen } = require('../helpers/http');
+
+// Mounted like server.js: /api/<version> first, then the /api alias
+const buildApp = ({ useApiVersion, negotiateApiVersion, deprecate }) => {
+  const v1 = express.Router();
+  v1.get('/cars', (req, res) => res.json({ success: true, version: req.apiVersion }));
+  v1.get(
+    '/legacy',
+    deprecate({ since: '2026-01-01', sunset: '2026-12-31', link: '/api/v1/cars' }),
+    (req, res) => res.json({ success: true })
+  );
+  const versionRouters = { v1 };
+
+  const app = express();
+  Object.entries(versionRouters).forEach(([version, router]) => {
+    app.use(`/api/${version}`, useApiVersion(version), router, notFound);
+  });
+  app.use('/api', negotiateApiVersion, (req, res, next) => versionRouters[req.apiVersion](req, res, next));
+  app.use(notFound);
+  return app;
+};
+
+const ALIAS_DEPRECATED_AT = `@${Date.parse('2026-10-18') / 1000}`;
+
+describe('API versioning', () => {
+  let server;
+
+  const get = (path, headers = {}) => fetch(`${server.url}${path}`, { headers });
+
+  describe('with the default configuration', () => {
+    beforeAll(async () => {
+      server = await listen(buildApp(require('../../middleware/versionMiddleware')));
+    });
+
+    afterAll(async () => {
+      await server.close();
+    });
+
+    it('serves versioned paths without deprecation headers', async () => {
+      const res = await get('/api/v1/cars');
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('api-version')).toBe('v1');
+      expect(res.headers.get('deprecation')).toBeNull();
+      expect(await res.json()).toEqual({ success: true, version: 'v1' });
+    });
+
+    it('gives a 404 for unknown paths under a version instead of falling through to the alias', async () => {
+      const res = await get('/api/v1/unknown');
+
+      expect(res.status).toBe(404);
+      expect((await res.json()).message).toBe('Route GET /api/v1/unknown not found');
+    });
+
+    it('serves the default version on the alias, marked as deprecated', async () => {
+      const res = await get('/api/cars?page=2');
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('api-version')).toBe('v1');
+      expect(res.headers.get('deprecation')).toBe(ALIAS_DEPRECATED_AT);
+      expect(res.headers.get('link')).toBe('</api/v1/cars>; rel="successor-version"');
+      expect(res.headers.get('sunset')).toBeNull();
+      expect(res.headers.get('vary')).toContain('Accept-Version');
+      expect((await res.json()).version).toBe('v1');
+    });
+
+    it.each(['v1', 'V1', '1', '1.0', ' 1 '])('serves the version asked for in Accept-Version: %p', async (value) => {
+      const res = await get('/api/cars', { 'Accept-Version': value });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('api-version')).toBe('v1');
+      expect(res.headers.get('deprecation')).toBeNull();
+      expect(res.headers.get('vary')).toContain('Accept-Version');
+    });
+
+    it.each(['2', 'v3', 'latest'])('rejects unsupported Accept-Version values: %p', async (value) => {
+      const res = await get('/api/cars', { 'Accept-Version': value });
+
+      expect(res.status).toBe(400);
+      expect(await res.json()).toEqual({
+        success: false,
+        message: 'Unsupported API version',
+        supportedVersions: ['v1'],
+      });
+    });
+
+    it('gives a 404 for versions in the path that do not exist', async () => {
+      for (const path of ['/api/v2/cars', '/api/v2', '/api/v10/cars']) {
+        const res = await get(path);
+
+        expect(res.status).toBe(404);
+        expect((await res.json()).supportedVersions).toEqual(['v1']);
+      }
+    });
+
+    it('adds deprecation headers to deprecated endpoints', async () => {
+      const res = await get('/api/v1/legacy');
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('deprecation')).toBe(`@${Date.parse('2026-01-01') / 1000}`);
+      expect(res.headers.get('sunset')).toBe('Thu, 31 Dec 2026 00:00:00 GMT');
+      expect(res.headers.get('link')).toBe('</api/v1/cars>; rel="successor-version"');
+    });
+  });
+
+  describe('with API_ALIAS_SUNSET set', () => {
+    beforeAll(async () => {
+      process.env.API_ALIAS_SUNSET = '2027-04-01';
+      let versionMiddleware;
+      jest.isolateModules(() => {
+        versionMiddleware = require('../../middleware/versionMiddleware');
+      });
+      server = await listen(buildApp(versionMiddleware));
+    });
+
+    afterAll(async () => {
+      delete process.env.API_ALIAS_SUNSET;
+      await server.close();
+    });
+
+    it('announces the removal of the alias', async () => {
+      const res = await get('/api/cars');
+
+      expect(res.headers.get('sunset')).toBe('Thu, 01 Apr 2027 00:00:00 GMT');
+    });
+
+    it('does not send it on versioned paths', async () => {
+      expect((await get('/api/v1/cars')).headers.get('sunset')).toBeNull();
+    });
+  });
+
+  describe('deprecate', () => {
+    it('describes the deprecation for the OpenAPI document', () => {
+      const { deprecate } = require('../../middleware/versionMiddleware');
+
+      expect(deprecate({ since: '2026-01-01' }).deprecation).toEqual({
+        since: '2026-01-01',
+        sunset: undefined,
+        link: undefined,
+      });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const bcrypt = require('bcryptjs');
+const User = require('../../models/User');
+
+const SALT_ROUNDS = 10;
+
+const buildUser = (password) => User.hydrate({
+  _id: '64f1a2b3c4d5e6f7a8b9c0d3',
+  username: 'ann',
+  email: 'ann@example.com',
+  password,
+});
+
+describe('User passwords', () => {
+  let updateOne;
+  let insertOne;
+
+  beforeEach(() => {
+    // Saves go to these instead of MongoDB
+    updateOne = jest.spyOn(User.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1 });
+    insertOne = jest.spyOn(User.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isHashedPassword', () => {
+    it('recognizes bcrypt hashes only', async () => {
+      expect(User.isHashedPassword(await bcrypt.hash('secret123', 4))).toBe(true);
+      expect(User.isHashedPassword('secret123')).toBe(false);
+      expect(User.isHashedPassword('$2b$10$tooShort')).toBe(false);
+      expect(User.isHashedPassword(undefined)).toBe(false);
+    });
+  });
+
+  describe('comparePassword', () => {
+    it('checks the password against a bcrypt hash', async () => {
+      const user = buildUser(await bcrypt.hash('secret123', SALT_ROUNDS));
+
+      await expect(user.comparePassword('secret123')).resolves.toBe(true);
+      await expect(user.comparePassword('secret124')).resolves.toBe(false);
+    });
+
+    it('checks legacy plaintext passwords', async () => {
+      const user = buildUser('secret123');
+
+      await expect(user.comparePassword('secret123')).resolves.toBe(true);
+      await expect(user.comparePassword('secret12')).resolves.toBe(false);
+      await expect(user.comparePassword('')).resolves.toBe(false);
+    });
+
+    it('never matches an account without a password', async () => {
+      await expect(buildUser(undefined).comparePassword('secret123')).resolves.toBe(false);
+    });
+  });
+
+  describe('passwordNeedsRehash', () => {
+    it('flags plaintext passwords', () => {
+      expect(buildUser('secret123').passwordNeedsRehash()).toBe(true);
+    });
+
+    it('flags hashes with another cost factor', async () => {
+      expect(buildUser(await bcrypt.hash('secret123', 4)).passwordNeedsRehash()).toBe(true);
+    });
+
+    it('accepts hashes with the current cost factor', async () => {
+      expect(buildUser(await bcrypt.hash('secret123', SALT_ROUNDS)).passwordNeedsRehash()).toBe(false);
+    });
+  });
+
+  describe('saving', () => {
+    it('hashes the password of a new user', async () => {
+      const user = new User({ username: 'ann', email: 'ann@example.com', password: 'secret123' });
+      await user.save();
+
+      const [stored] = insertOne.mock.calls[0];
+      expect(User.isHashedPassword(stored.password)).toBe(true);
+      expect(bcrypt.getRounds(stored.password)).toBe(SALT_ROUNDS);
+      await expect(bcrypt.compare('secret123', stored.password)).resolves.toBe(true);
+    });
+
+    it('hashes a changed password', async () => {
+      const user = buildUser(await bcrypt.hash('secret123', SALT_ROUNDS));
+      user.password = 'newSecret456';
+      await user.save();
+
+      const [, update] = updateOne.mock.calls[0];
+      await expect(bcrypt.compare('newSecret456', update.$set.password)).resolves.toBe(true);
+    });
+
+    it('leaves the hash alone when the password did not change', async () => {
+      const user = buildUser(await bcrypt.hash('secret123', SALT_ROUNDS));
+      user.firstName = 'Ann';
+      await user.save();
+
+      const [, update] = updateOne.mock.calls[0];
+      expect(update.$set.password).toBeUndefined();
+    });
+  });
+});
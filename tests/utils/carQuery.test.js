@@ -0,0 +1,87 @@
+const { buildCarListingFilter, matchesCarListingFilter } = require('../../utils/carQuery');
+
+const car = {
+  status: 'available',
+  brand: 'Toyota',
+  model: 'Camry Hybrid',
+  color: 'Silver',
+  transmission: 'automatic',
+  fuelType: 'hybrid',
+  price: 24000,
+  year: 2020,
+  mileage: 35000,
+  features: ['Bluetooth', 'Sunroof'],
+  location: { city: 'Austin', state: 'TX', country: 'USA' },
+  rental: { isRentable: true },
+};
+
+describe('matchesCarListingFilter', () => {
+  it('matches any public listing without filters', () => {
+    expect(matchesCarListingFilter(car, {})).toBe(true);
+    expect(matchesCarListingFilter(car)).toBe(true);
+  });
+
+  it('never matches listings that are not public', () => {
+    expect(matchesCarListingFilter({ ...car, status: 'under_review' }, {})).toBe(false);
+    expect(matchesCarListingFilter({ ...car, status: 'rejected' }, { status: ['rejected'] })).toBe(false);
+  });
+
+  it('filters by status', () => {
+    expect(matchesCarListingFilter(car, { status: ['sold'] })).toBe(false);
+    expect(matchesCarListingFilter(car, { status: ['sold', 'available'] })).toBe(true);
+  });
+
+  it('matches brand and model as case-insensitive substrings', () => {
+    expect(matchesCarListingFilter(car, { brand: 'toy', model: 'hybrid' })).toBe(true);
+    expect(matchesCarListingFilter(car, { brand: 'Honda' })).toBe(false);
+    expect(matchesCarListingFilter(car, { model: 'Camry (' })).toBe(false);
+  });
+
+  it('matches color and location exactly, ignoring case', () => {
+    expect(matchesCarListingFilter(car, { color: 'silver', city: 'austin', country: 'usa' })).toBe(true);
+    expect(matchesCarListingFilter(car, { color: 'Silv' })).toBe(false);
+    expect(matchesCarListingFilter(car, { state: 'CA' })).toBe(false);
+    expect(matchesCarListingFilter({ ...car, location: undefined }, { city: 'Austin' })).toBe(false);
+  });
+
+  it('matches transmission and fuel type against the listed values', () => {
+    expect(matchesCarListingFilter(car, { transmission: ['manual', 'automatic'] })).toBe(true);
+    expect(matchesCarListingFilter(car, { fuelType: ['diesel'] })).toBe(false);
+  });
+
+  it('checks inclusive price, year and mileage ranges', () => {
+    expect(matchesCarListingFilter(car, { minPrice: 24000, maxPrice: 24000 })).toBe(true);
+    expect(matchesCarListingFilter(car, { maxPrice: 23999 })).toBe(false);
+    expect(matchesCarListingFilter(car, { minYear: 2021 })).toBe(false);
+    expect(matchesCarListingFilter(car, { maxMileage: 40000 })).toBe(true);
+    expect(matchesCarListingFilter({ ...car, mileage: undefined }, { maxMileage: 40000 })).toBe(false);
+  });
+
+  it('requires every feature, or any of them with featuresMatch=any', () => {
+    expect(matchesCarListingFilter(car, { features: ['bluetooth', 'sunroof'] })).toBe(true);
+    expect(matchesCarListingFilter(car, { features: ['bluetooth', 'Heated seats'] })).toBe(false);
+    expect(matchesCarListingFilter(car, { features: ['bluetooth', 'Heated seats'], featuresMatch: 'any' })).toBe(true);
+    expect(matchesCarListingFilter({ ...car, features: undefined }, { features: ['Sunroof'] })).toBe(false);
+  });
+
+  it('filters by rentable', () => {
+    expect(matchesCarListingFilter(car, { rentable: true })).toBe(true);
+    expect(matchesCarListingFilter(car, { rentable: false })).toBe(false);
+    expect(matchesCarListingFilter({ ...car, rental: undefined }, { rentable: false })).toBe(true);
+  });
+
+  it('leaves the full-text search term to MongoDB', () => {
+    expect(matchesCarListingFilter(car, { search: 'pickup truck' })).toBe(true);
+  });
+});
+
+describe('buildCarListingFilter', () => {
+  it('limits statuses to public ones', () => {
+    expect(buildCarListingFilter({ status: ['sold', 'rejected'] }).status).toEqual({ $in: ['sold'] });
+  });
+
+  it('builds ranges from the bounds given', () => {
+    expect(buildCarListingFilter({ minPrice: 1000 }).price).toEqual({ $gte: 1000 });
+    expect(buildCarListingFilter({}).price).toBeUndefined();
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  getTransitionRoles,
+  canTransitionCarStatus,
+  getAllowedTransitions,
+  statusHistoryEntry,
+} = require('../../utils/carStatus');
+
+const OWNER_ID = '64f1a2b3c4d5e6f7a8b9c0d3';
+
+const owner = { userId: OWNER_ID, role: 'user' };
+const otherUser = { userId: '64f1a2b3c4d5e6f7a8b9c0d4', role: 'user' };
+const moderator = { userId: '64f1a2b3c4d5e6f7a8b9c0d5', role: 'moderator' };
+const admin = { userId: '64f1a2b3c4d5e6f7a8b9c0d6', role: 'admin' };
+
+const carWithStatus = status => ({ status, owner: OWNER_ID });
+
+describe('getTransitionRoles', () => {
+  it('lists who can make a transition', () => {
+    expect(getTransitionRoles('available', 'sold')).toEqual(['owner', 'admin']);
+    expect(getTransitionRoles('under_review', 'rejected')).toEqual(['moderator', 'admin']);
+  });
+
+  it('is empty for transitions that do not exist', () => {
+    expect(getTransitionRoles('sold', 'rented')).toEqual([]);
+    expect(getTransitionRoles('available', 'available')).toEqual([]);
+    expect(getTransitionRoles('unknown', 'available')).toEqual([]);
+  });
+});
+
+describe('canTransitionCarStatus', () => {
+  it('lets the owner mark their listing as sold or rented and back', () => {
+    expect(canTransitionCarStatus(carWithStatus('available'), 'sold', owner)).toBe(true);
+    expect(canTransitionCarStatus(carWithStatus('available'), 'rented', owner)).toBe(true);
+    expect(canTransitionCarStatus(carWithStatus('sold'), 'available', owner)).toBe(true);
+    expect(canTransitionCarStatus(carWithStatus('rented'), 'available', owner)).toBe(true);
+  });
+
+  it('does not let other users change a listing', () => {
+    expect(canTransitionCarStatus(carWithStatus('available'), 'sold', otherUser)).toBe(false);
+    expect(canTransitionCarStatus(carWithStatus('rejected'), 'under_review', otherUser)).toBe(false);
+  });
+
+  it('keeps review decisions with moderators and admins', () => {
+    expect(canTransitionCarStatus(carWithStatus('under_review'), 'available', owner)).toBe(false);
+    expect(canTransitionCarStatus(carWithStatus('under_review'), 'available', moderator)).toBe(true);
+    expect(canTransitionCarStatus(carWithStatus('under_review'), 'rejected', admin)).toBe(true);
+    expect(canTransitionCarStatus(carWithStatus('available'), 'under_review', moderator)).toBe(true);
+    expect(canTransitionCarStatus(carWithStatus('available'), 'under_review', owner)).toBe(false);
+  });
+
+  it('lets the owner resubmit a rejected listing', () => {
+    expect(canTransitionCarStatus(carWithStatus('rejected'), 'under_review', owner)).toBe(true);
+    expect(canTransitionCarStatus(carWithStatus('rejected'), 'available', owner)).toBe(false);
+  });
+
+  it('does not give moderators the owner\'s transitions', () => {
+    expect(canTransitionCarStatus(carWithStatus('available'), 'sold', moderator)).toBe(false);
+  });
+
+  it('never allows a transition that does not exist, even to admins', () => {
+    expect(canTransitionCarStatus(carWithStatus('sold'), 'rented', admin)).toBe(false);
+    expect(canTransitionCarStatus(carWithStatus('rejected'), 'available', admin)).toBe(false);
+  });
+
+  it('accepts a populated owner', () => {
+    const car = { status: 'available', owner: { _id: OWNER_ID, username: 'ann' } };
+    expect(canTransitionCarStatus(car, 'sold', owner)).toBe(true);
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  it('lists the statuses the user can move the listing to', () => {
+    expect(getAllowedTransitions(carWithStatus('available'), owner)).toEqual(['sold', 'rented']);
+    expect(getAllowedTransitions(carWithStatus('available'), moderator)).toEqual(['under_review']);
+    expect(getAllowedTransitions(carWithStatus('available'), admin)).toEqual(['sold', 'rented', 'under_review']);
+    expect(getAllowedTransitions(carWithStatus('available'), otherUser)).toEqual([]);
+  });
+});
+
+describe('statusHistoryEntry', () => {
+  it('records the change, who made it and why', () => {
+    const entry = statusHistoryEntry('available', 'sold', OWNER_ID, 'Sold to a friend');
+
+    expect(entry).toEqual({
+      from: 'available',
+      to: 'sold',
+      changedBy: OWNER_ID,
+      reason: 'Sold to a friend',
+      changedAt: expect.any(Date),
+    });
+  });
+
+  it('has no author for system changes', () => {
+    expect(statusHistoryEntry('available', 'rented').changedBy).toBeNull();
+  });
+});
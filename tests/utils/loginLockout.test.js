@@ -0,0 +1,112 @@
+jest.mock('../../utils/emailService', () => ({
+  sendNotificationEmail: jest.fn().mockResolvedValue({ success: true }),
+}));
+
+const User = require('../../models/User');
+const { sendNotificationEmail } = require('../../utils/emailService');
+const {
+  getLockoutMinutes,
+  getLockoutRetrySeconds,
+  recordFailedLogin,
+  clearFailedLogins,
+} = require('../../utils/loginLockout');
+
+const USER_ID = '64f1a2b3c4d5e6f7a8b9c0d3';
+
+const user = { _id: USER_ID, email: 'ann@example.com', locale: 'en' };
+
+// User.findOneAndUpdate results in call order; the first one is read through .select()
+const mockUpdates = (counted, locked) => jest.spyOn(User, 'findOneAndUpdate')
+  .mockReturnValueOnce({ select: jest.fn().mockResolvedValue(counted) })
+  .mockResolvedValueOnce(locked);
+
+describe('loginLockout', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    sendNotificationEmail.mockClear();
+  });
+
+  describe('getLockoutMinutes', () => {
+    it('doubles with every lockout, up to the maximum', () => {
+      expect(getLockoutMinutes(0)).toBe(15);
+      expect(getLockoutMinutes(1)).toBe(30);
+      expect(getLockoutMinutes(3)).toBe(120);
+      expect(getLockoutMinutes(7)).toBe(24 * 60);
+      expect(getLockoutMinutes(20)).toBe(24 * 60);
+    });
+  });
+
+  describe('getLockoutRetrySeconds', () => {
+    it('rounds up the time left and never goes below zero', () => {
+      jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+
+      expect(getLockoutRetrySeconds({ lockUntil: new Date('2026-01-01T00:15:00Z') })).toBe(900);
+      expect(getLockoutRetrySeconds({ lockUntil: new Date('2026-01-01T00:00:00.200Z') })).toBe(1);
+      expect(getLockoutRetrySeconds({ lockUntil: new Date('2025-12-31T23:59:00Z') })).toBe(0);
+    });
+  });
+
+  describe('recordFailedLogin', () => {
+    it('counts the attempt without locking below the limit', async () => {
+      const update = mockUpdates({ failedLoginAttempts: 4, lockoutCount: 0 });
+
+      await expect(recordFailedLogin(user)).resolves.toBeNull();
+
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(update.mock.calls[0][1]).toEqual({ $inc: { failedLoginAttempts: 1 } });
+      expect(sendNotificationEmail).not.toHaveBeenCalled();
+    });
+
+    it('locks the account on the last allowed attempt and emails the owner', async () => {
+      jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+      const update = mockUpdates({ failedLoginAttempts: 5, lockoutCount: 1 }, { _id: USER_ID });
+
+      const lockUntil = await recordFailedLogin(user);
+
+      // Second lockout since the last successful sign-in: twice as long
+      expect(lockUntil).toEqual(new Date('2026-01-01T00:30:00Z'));
+      const [filter, changes] = update.mock.calls[1];
+      expect(filter).toEqual({ _id: USER_ID, failedLoginAttempts: { $gte: 5 } });
+      expect(changes).toEqual({ failedLoginAttempts: 0, lockUntil, $inc: { lockoutCount: 1 } });
+      expect(sendNotificationEmail).toHaveBeenCalledWith(user, 'account-locked', expect.objectContaining({
+        attempts: 5,
+        minutes: 30,
+      }));
+    });
+
+    it('locks once when concurrent failures reach the limit together', async () => {
+      mockUpdates({ failedLoginAttempts: 6, lockoutCount: 0 }, null);
+
+      await expect(recordFailedLogin(user)).resolves.toBeNull();
+      expect(sendNotificationEmail).not.toHaveBeenCalled();
+    });
+
+    it('does nothing for a user deleted in the meantime', async () => {
+      mockUpdates(null);
+
+      await expect(recordFailedLogin(user)).resolves.toBeNull();
+    });
+  });
+
+  describe('clearFailedLogins', () => {
+    it('resets the counters after a successful sign-in', async () => {
+      const update = jest.spyOn(User, 'updateOne').mockResolvedValue({ acknowledged: true });
+
+      await clearFailedLogins({ _id: USER_ID, failedLoginAttempts: 2, lockoutCount: 1 });
+
+      expect(update).toHaveBeenCalledWith(
+        { _id: USER_ID },
+        { failedLoginAttempts: 0, lockoutCount: 0, $unset: { lockUntil: 1 } }
+      );
+    });
+
+    it('skips the write when there is nothing to clear', async () => {
+      const update = jest.spyOn(User, 'updateOne');
+
+      await clearFailedLogins({ _id: USER_ID, failedLoginAttempts: 0, lockoutCount: 0 });
+
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('../../utils/savedSearchAlerts', () => ({
+  findMatchingSavedSearches: jest.fn().mockResolvedValue([]),
+}));
+
+const Favorite = require('../../models/Favorite');
+const { getPriceDropPercent, notifyPriceDrop } = require('../../utils/priceDropAlerts');
+
+const CAR_ID = '64f1a2b3c4d5e6f7a8b9c0e2';
+const OWNER_ID = '64f1a2b3c4d5e6f7a8b9c0d3';
+
+const buildCar = price => ({ _id: CAR_ID, owner: OWNER_ID, title: '2020 Toyota Camry', price, status: 'available' });
+
+describe('getPriceDropPercent', () => {
+  it('rounds the drop to whole percent', () => {
+    expect(getPriceDropPercent(10000, 9540)).toBe(5);
+    expect(getPriceDropPercent(10000, 9000)).toBe(10);
+  });
+
+  it('is 0 when the price went up', () => {
+    expect(getPriceDropPercent(10000, 11000)).toBe(0);
+  });
+});
+
+describe('notifyPriceDrop', () => {
+  let findFavorites;
+
+  beforeEach(() => {
+    findFavorites = jest.spyOn(Favorite, 'find').mockReturnValue({ populate: jest.fn().mockResolvedValue([]) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ignores a drop that only reaches the threshold when rounded', async () => {
+    await notifyPriceDrop(buildCar(9540), 10000);
+
+    expect(findFavorites).not.toHaveBeenCalled();
+  });
+
+  it('alerts on a drop at the threshold', async () => {
+    await notifyPriceDrop(buildCar(9500), 10000);
+
+    expect(findFavorites).toHaveBeenCalledWith({ car: CAR_ID });
+  });
+});
+
+describe('PRICE_DROP.MIN_ALERT_PERCENT', () => {
+  const minPercent = process.env.PRICE_DROP_ALERT_MIN_PERCENT;
+
+  afterEach(() => {
+    if (minPercent === undefined) delete process.env.PRICE_DROP_ALERT_MIN_PERCENT;
+    else process.env.PRICE_DROP_ALERT_MIN_PERCENT = minPercent;
+  });
+
+  const loadMinAlertPercent = (value) => {
+    process.env.PRICE_DROP_ALERT_MIN_PERCENT = value;
+    let percent;
+    jest.isolateModules(() => {
+      percent = require('../../config/constants').PRICE_DROP.MIN_ALERT_PERCENT;
+    });
+    return percent;
+  };
+
+  it('keeps 0 to alert on every drop', () => {
+    expect(loadMinAlertPercent('0')).toBe(0);
+  });
+
+  it('falls back to 5 when unset or not a number', () => {
+    expect(loadMinAlertPercent('')).toBe(5);
+    expect(loadMinAlertPercent('lots')).toBe(5);
+  });
+});
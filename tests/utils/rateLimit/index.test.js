@@ -0,0 +1,34 @@
+describe('rate limit store selection', () => {
+  const originalStore = process.env.RATE_LIMIT_STORE;
+
+  afterEach(() => {
+    if (originalStore === undefined) {
+      delete process.env.RATE_LIMIT_STORE;
+    } else {
+      process.env.RATE_LIMIT_STORE = originalStore;
+    }
+  });
+
+  const loadStore = () => {
+    let rateLimitStore;
+    jest.isolateModules(() => {
+      ({ rateLimitStore } = require('../../../utils/rateLimit'));
+    });
+    return rateLimitStore;
+  };
+
+  it('uses the memory store by default', () => {
+    delete process.env.RATE_LIMIT_STORE;
+    expect(loadStore().name).toBe('memory');
+  });
+
+  it('uses the store named in RATE_LIMIT_STORE', () => {
+    process.env.RATE_LIMIT_STORE = 'memory';
+    expect(loadStore().name).toBe('memory');
+  });
+
+  it('fails on unknown stores', () => {
+    process.env.RATE_LIMIT_STORE = 'redis';
+    expect(loadStore).toThrow('Unknown rate limit store: redis');
+  });
+});
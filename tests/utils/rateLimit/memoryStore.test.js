@@ -0,0 +1,92 @@
+const createMemoryStore = require('../../../utils/rateLimit/memoryStore');
+
+const WINDOW_MS = 60 * 1000;
+
+describe('memory rate limit store', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    store = createMemoryStore({ cleanupIntervalMs: 10 * 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('counts hits within a window', async () => {
+    const first = await store.increment('login:1.2.3.4', WINDOW_MS);
+    const second = await store.increment('login:1.2.3.4', WINDOW_MS);
+
+    expect(first).toEqual({ count: 1, resetAt: new Date('2026-01-01T00:01:00Z') });
+    expect(second).toEqual({ count: 2, resetAt: new Date('2026-01-01T00:01:00Z') });
+  });
+
+  it('keeps a separate counter per key', async () => {
+    await store.increment('a', WINDOW_MS);
+    await store.increment('a', WINDOW_MS);
+
+    expect((await store.increment('b', WINDOW_MS)).count).toBe(1);
+  });
+
+  it('starts a new window once the current one is over', async () => {
+    await store.increment('a', WINDOW_MS);
+    await store.increment('a', WINDOW_MS);
+
+    jest.advanceTimersByTime(WINDOW_MS - 1);
+    expect((await store.increment('a', WINDOW_MS)).count).toBe(3);
+
+    jest.advanceTimersByTime(1);
+    expect(await store.increment('a', WINDOW_MS)).toEqual({
+      count: 1,
+      resetAt: new Date('2026-01-01T00:02:00Z'),
+    });
+  });
+
+  it('does not extend the window on later hits', async () => {
+    await store.increment('a', WINDOW_MS);
+    jest.advanceTimersByTime(30 * 1000);
+
+    expect((await store.increment('a', WINDOW_MS)).resetAt).toEqual(new Date('2026-01-01T00:01:00Z'));
+  });
+
+  it('takes back hits without going below zero', async () => {
+    await store.increment('a', WINDOW_MS);
+    await store.increment('a', WINDOW_MS);
+    await store.decrement('a');
+    await store.decrement('a');
+    await store.decrement('a');
+
+    expect((await store.increment('a', WINDOW_MS)).count).toBe(1);
+  });
+
+  it('ignores decrements of unknown or expired keys', async () => {
+    await expect(store.decrement('unknown')).resolves.toBeUndefined();
+
+    await store.increment('a', WINDOW_MS);
+    jest.advanceTimersByTime(WINDOW_MS);
+    await store.decrement('a');
+
+    expect((await store.increment('a', WINDOW_MS)).count).toBe(1);
+  });
+
+  it('resets a key', async () => {
+    await store.increment('a', WINDOW_MS);
+    await store.increment('b', WINDOW_MS);
+    await store.reset('a');
+
+    expect((await store.increment('a', WINDOW_MS)).count).toBe(1);
+    expect((await store.increment('b', WINDOW_MS)).count).toBe(2);
+  });
+
+  it('drops expired counters in the background', async () => {
+    await store.increment('a', WINDOW_MS);
+    jest.advanceTimersByTime(WINDOW_MS + 10 * 1000);
+
+    // Dropped by the cleanup, so a short window now starts from scratch
+    expect(await store.increment('a', 1000)).toEqual({
+      count: 1,
+      resetAt: new Date(Date.now() + 1000),
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { escapeHtml, render } = require('../../utils/templateEngine');
+
+describe('escapeHtml', () => {
+  it('escapes markup and quotes', () => {
+    expect(escapeHtml('<a href="x">Tom & Jerry\'s</a>'))
+      .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+  });
+
+  it('turns other values into strings', () => {
+    expect(escapeHtml(42)).toBe('42');
+    expect(escapeHtml()).toBe('');
+  });
+});
+
+describe('render', () => {
+  describe('values', () => {
+    it('escapes values for HTML', () => {
+      expect(render('<p>{{title}}</p>', { title: '<script>alert(1)</script>' }))
+        .toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    });
+
+    it('leaves values as is in plain text', () => {
+      expect(render('{{title}}', { title: 'A & B <C>' }, { html: false })).toBe('A & B <C>');
+    });
+
+    it('never escapes triple-stash and & values', () => {
+      const data = { body: '<strong>Hi</strong>' };
+      expect(render('{{{body}}}', data)).toBe('<strong>Hi</strong>');
+      expect(render('{{{ body }}}', data)).toBe('<strong>Hi</strong>');
+      expect(render('{{& body}}', data)).toBe('<strong>Hi</strong>');
+    });
+
+    it('resolves dotted names', () => {
+      expect(render('{{user.name}} in {{user.address.city}}', { user: { name: 'Ann', address: { city: 'Oslo' } } }))
+        .toBe('Ann in Oslo');
+    });
+
+    it('renders missing and null values as nothing', () => {
+      expect(render('[{{missing}}][{{user.name}}][{{empty}}]', { empty: null })).toBe('[][][]');
+    });
+
+    it('renders zero and false', () => {
+      expect(render('{{count}} {{flag}}', { count: 0, flag: false })).toBe('0 false');
+    });
+
+    it('drops comments', () => {
+      expect(render('a{{! not shown }}b')).toBe('ab');
+    });
+  });
+
+  describe('sections', () => {
+    it('repeats for each item of a list, with {{.}} as the item', () => {
+      expect(render('{{#items}}<li>{{.}}</li>{{/items}}', { items: ['a', '<b>'] }))
+        .toBe('<li>a</li><li>&lt;b&gt;</li>');
+    });
+
+    it('renders once for a truthy value, with an object as context', () => {
+      expect(render('{{#seller}}{{name}}{{/seller}}', { seller: { name: 'Bob' } })).toBe('Bob');
+      expect(render('{{#ok}}yes{{/ok}}', { ok: true })).toBe('yes');
+    });
+
+    it('looks names up in outer contexts', () => {
+      expect(render('{{#cars}}{{title}} by {{owner}};{{/cars}}', { owner: 'Ann', cars: [{ title: 'A' }, { title: 'B' }] }))
+        .toBe('A by Ann;B by Ann;');
+    });
+
+    it('skips falsy values and empty lists', () => {
+      expect(render('{{#a}}x{{/a}}{{#b}}y{{/b}}{{#c}}z{{/c}}', { a: false, b: [], c: 0 })).toBe('');
+    });
+
+    it('renders inverted sections for falsy values and empty lists only', () => {
+      const template = '{{^items}}none{{/items}}';
+      expect(render(template, { items: [] })).toBe('none');
+      expect(render(template, {})).toBe('none');
+      expect(render(template, { items: [1] })).toBe('');
+    });
+
+    it('leaves no blank line behind standalone section tags', () => {
+      expect(render('start\n{{#show}}\nline\n{{/show}}\nend', { show: true })).toBe('start\nline\nend');
+    });
+
+    it('rejects unclosed and mismatched sections', () => {
+      expect(() => render('{{#a}}x')).toThrow('Unclosed section {{#a}}');
+      expect(() => render('{{#a}}x{{/b}}')).toThrow('Unexpected closing tag {{/b}}');
+      expect(() => render('x{{/a}}')).toThrow('Unexpected closing tag {{/a}}');
+    });
+  });
+
+  describe('partials', () => {
+    it('renders partials with the current context', () => {
+      const partials = name => ({ greeting: 'Hello {{name}}' }[name] ?? null);
+      expect(render('{{> greeting}}!', { name: '<Ann>' }, { partials })).toBe('Hello &lt;Ann&gt;!');
+    });
+
+    it('renders partials inside sections', () => {
+      const partials = () => '<li>{{.}}</li>';
+      expect(render('{{#items}}{{> item}}{{/items}}', { items: [1, 2] }, { partials })).toBe('<li>1</li><li>2</li>');
+    });
+
+    it('fails on missing partials', () => {
+      expect(() => render('{{> footer}}')).toThrow('Unknown partial: footer');
+    });
+
+    it('fails on partials that include themselves', () => {
+      const partials = () => 'x{{> loop}}';
+      expect(() => render('{{> loop}}', {}, { partials })).toThrow('Partials nested too deeply at {{> loop}}');
+    });
+  });
+});
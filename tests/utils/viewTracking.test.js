@@ -0,0 +1,61 @@
+const Car = require('../../models/Car');
+const CarView = require('../../models/CarView');
+const CarDailyStat = require('../../models/CarDailyStat');
+const { recordCarView } = require('../../utils/viewTracking');
+const { mockRequest } = require('../helpers/http');
+
+const CAR_ID = '64f1a2b3c4d5e6f7a8b9c0e2';
+const OWNER_ID = '64f1a2b3c4d5e6f7a8b9c0d3';
+const BROWSER = 'Mozilla/5.0 (X11; Linux x86_64) Firefox/131.0';
+
+const viewer = (user, userAgent = BROWSER) => mockRequest({ user, headers: { 'User-Agent': userAgent } });
+
+describe('recordCarView', () => {
+  let updateCar;
+  let updateStat;
+
+  beforeEach(() => {
+    jest.spyOn(CarView, 'create').mockResolvedValue({});
+    updateCar = jest.spyOn(Car, 'updateOne').mockResolvedValue({ acknowledged: true });
+    updateStat = jest.spyOn(CarDailyStat, 'updateOne').mockResolvedValue({ acknowledged: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts a view and adds it to the owner\'s daily stats', async () => {
+    const car = { _id: CAR_ID, owner: OWNER_ID, status: 'available' };
+
+    await expect(recordCarView(car, viewer())).resolves.toBe(true);
+
+    expect(updateCar).toHaveBeenCalledWith({ _id: CAR_ID }, { $inc: { views: 1 } });
+    expect(updateStat.mock.calls[0][1]).toEqual({ $inc: { views: 1 }, $setOnInsert: { owner: OWNER_ID } });
+  });
+
+  it('skips the owner, populated or not', async () => {
+    const owner = { userId: OWNER_ID };
+
+    await expect(recordCarView({ _id: CAR_ID, owner: OWNER_ID, status: 'available' }, viewer(owner))).resolves.toBe(false);
+    await expect(recordCarView({ _id: CAR_ID, owner: { _id: OWNER_ID }, status: 'available' }, viewer(owner)))
+      .resolves.toBe(false);
+    expect(updateCar).not.toHaveBeenCalled();
+  });
+
+  it('skips bots and listings that are not public', async () => {
+    await expect(recordCarView({ _id: CAR_ID, owner: OWNER_ID, status: 'available' }, viewer(undefined, 'Googlebot/2.1')))
+      .resolves.toBe(false);
+    await expect(recordCarView({ _id: CAR_ID, owner: OWNER_ID, status: 'under_review' }, viewer()))
+      .resolves.toBe(false);
+    expect(updateCar).not.toHaveBeenCalled();
+  });
+
+  it('counts views of a listing whose owner account was deleted, without daily stats', async () => {
+    const car = { _id: CAR_ID, owner: null, status: 'available' };
+
+    await expect(recordCarView(car, viewer({ userId: OWNER_ID }))).resolves.toBe(true);
+
+    expect(updateCar).toHaveBeenCalled();
+    expect(updateStat).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,106 @@
+const { PUBLIC_CAR_STATUSES, CAR_SORT_OPTIONS } = require('../config/constants');
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive "contains" and "equals" matchers for free-text fields
+const containsPattern = (value) => new RegExp(escapeRegex(value), 'i');
+const exactPattern = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+// Add a $gte/$lte range to the filter when either bound is given
+const addRange = (filter, field, min, max) => {
+  if (min === undefined && max === undefined) return;
+  filter[field] = {};
+  if (min !== undefined) filter[field].$gte = min;
+  if (max !== undefined) filter[field].$lte = max;
+};
+
+// Build the MongoDB filter for public car listings from a validated query
+// (see validateCarListingQuery). Only public statuses are ever matched.
+const buildCarListingFilter = (query = {}) => {
+  const filter = {};
+
+  const statuses = (query.status || []).filter(status => PUBLIC_CAR_STATUSES.includes(status));
+  filter.status = { $in: statuses.length ? statuses : PUBLIC_CAR_STATUSES };
+
+  if (query.brand) filter.brand = containsPattern(query.brand);
+  if (query.model) filter.model = containsPattern(query.model);
+  if (query.color) filter.color = exactPattern(query.color);
+  if (query.transmission?.length) filter.transmission = { $in: query.transmission };
+  if (query.fuelType?.length) filter.fuelType = { $in: query.fuelType };
+
+  addRange(filter, 'price', query.minPrice, query.maxPrice);
+  addRange(filter, 'year', query.minYear, query.maxYear);
+  addRange(filter, 'mileage', query.minMileage, query.maxMileage);
+
+  if (query.features?.length) {
+    const operator = query.featuresMatch === 'any' ? '$in' : '$all';
+    filter.features = { [operator]: query.features.map(exactPattern) };
+  }
+
+  ['city', 'state', 'country'].forEach((field) => {
+    if (query[field]) filter[`location.${field}`] = exactPattern(query[field]);
+  });
+
+  if (query.rentable !== undefined) {
+    filter['rental.isRentable'] = query.rentable ? true : { $ne: true };
+  }
+
+  if (query.search) {
+    filter.$text = { $search: query.search };
+  }
+
+  return filter;
+};
+
+// Whether a value is within the bounds given (a missing value never is, as in MongoDB)
+const inRange = (value, min, max) => (min === undefined && max === undefined) || (
+  value !== undefined && value !== null
+  && (min === undefined || value >= min)
+  && (max === undefined || value <= max)
+);
+
+// Whether a car matches a validated query: buildCarListingFilter checked in memory, to test one car
+// against many saved searches without a query each. The full-text `search` term is not checked here.
+const matchesCarListingFilter = (car, query = {}) => {
+  const statuses = (query.status || []).filter(status => PUBLIC_CAR_STATUSES.includes(status));
+  if (!(statuses.length ? statuses : PUBLIC_CAR_STATUSES).includes(car.status)) return false;
+
+  const matches = (pattern, value) => typeof value === 'string' && pattern.test(value);
+
+  if (query.brand && !matches(containsPattern(query.brand), car.brand)) return false;
+  if (query.model && !matches(containsPattern(query.model), car.model)) return false;
+  if (query.color && !matches(exactPattern(query.color), car.color)) return false;
+  if (query.transmission?.length && !query.transmission.includes(car.transmission)) return false;
+  if (query.fuelType?.length && !query.fuelType.includes(car.fuelType)) return false;
+
+  if (!inRange(car.price, query.minPrice, query.maxPrice)) return false;
+  if (!inRange(car.year, query.minYear, query.maxYear)) return false;
+  if (!inRange(car.mileage, query.minMileage, query.maxMileage)) return false;
+
+  if (query.features?.length) {
+    const features = car.features || [];
+    const hasFeature = pattern => features.some(feature => matches(pattern, feature));
+    const patterns = query.features.map(exactPattern);
+    const found = query.featuresMatch === 'any' ? patterns.some(hasFeature) : patterns.every(hasFeature);
+    if (!found) return false;
+  }
+
+  const locationMismatch = ['city', 'state', 'country']
+    .some(field => query[field] && !matches(exactPattern(query[field]), car.location?.[field]));
+  if (locationMismatch) return false;
+
+  if (query.rentable !== undefined && (car.rental?.isRentable === true) !== query.rentable) return false;
+
+  return true;
+};
+
+// MongoDB sort for a sort option, with _id as a tie-breaker so pagination is stable
+const getCarListingSort = (sort) => ({ ...(CAR_SORT_OPTIONS[sort] || CAR_SORT_OPTIONS.newest), _id: -1 });
+
+module.exports = {
+  escapeRegex,
+  buildCarListingFilter,
+  matchesCarListingFilter,
+  getCarListingSort,
+};
@@ -0,0 +1,31 @@
+const { CAR_STATUS_TRANSITIONS } = require('../config/constants');
+
+// Roles that can move a listing between two statuses (empty when the transition does not exist)
+const getTransitionRoles = (from, to) => CAR_STATUS_TRANSITIONS[from]?.[to] || [];
+
+// Whether the user can move the car to the given status; 'owner' matches the listing's owner
+const canTransitionCarStatus = (car, to, user) => {
+  const roles = getTransitionRoles(car.status, to);
+  const ownerId = (car.owner?._id || car.owner).toString();
+  return roles.includes(user.role) || (roles.includes('owner') && ownerId === user.userId);
+};
+
+// Statuses the user can move the car to from its current status
+const getAllowedTransitions = (car, user) => Object.keys(CAR_STATUS_TRANSITIONS[car.status] || {})
+  .filter(to => canTransitionCarStatus(car, to, user));
+
+// Entry for Car.statusHistory, to be $push-ed in the same update as the status change
+const statusHistoryEntry = (from, to, changedBy = null, reason = undefined) => ({
+  from,
+  to,
+  changedBy,
+  reason,
+  changedAt: new Date(),
+});
+
+module.exports = {
+  getTransitionRoles,
+  canTransitionCarStatus,
+  getAllowedTransitions,
+  statusHistoryEntry,
+};
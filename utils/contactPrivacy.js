@@ -0,0 +1,44 @@
+const { CONTACT_VISIBILITY, ROLES } = require('../config/constants');
+
+// Owner fields to populate on listings; contact fields are filtered by toPublicOwner before responding
+// (locale is only there for emails to the owner)
+const OWNER_CONTACT_FIELDS = 'username firstName lastName email phone address contactPrivacy locale';
+
+// Whether the viewer (req.user, or undefined for guests) may see a contact field of the owner
+const canSeeContactField = (owner, field, viewer) => {
+  if (!viewer) return false;
+
+  // Owners always see their own details, admins see everything
+  if (owner._id?.toString() === viewer.userId || viewer.role === ROLES.ADMIN) return true;
+
+  const visibility = owner.contactPrivacy?.[field] || CONTACT_VISIBILITY.NOBODY;
+  if (visibility === CONTACT_VISIBILITY.USERS) return true;
+  if (visibility === CONTACT_VISIBILITY.VERIFIED) return !!viewer.isEmailVerified;
+  return false;
+};
+
+// Reduce a populated listing owner to what the viewer is allowed to see
+// phoneAvailable tells the client whether the reveal-phone endpoint will succeed
+const toPublicOwner = (owner, viewer) => {
+  // Not populated (only the id) or deleted owner
+  if (!owner || !owner.username) return owner;
+
+  const publicOwner = {
+    _id: owner._id,
+    username: owner.username,
+    firstName: owner.firstName,
+    lastName: owner.lastName,
+    phoneAvailable: !!owner.phone && canSeeContactField(owner, 'phone', viewer),
+  };
+
+  if (canSeeContactField(owner, 'email', viewer)) publicOwner.email = owner.email;
+  if (canSeeContactField(owner, 'address', viewer)) publicOwner.address = owner.address;
+
+  return publicOwner;
+};
+
+module.exports = {
+  OWNER_CONTACT_FIELDS,
+  canSeeContactField,
+  toPublicOwner,
+};
@@ -0,0 +1,180 @@
+const EmailMessage = require('../models/EmailMessage');
+const { emailTransport } = require('./emailTransport');
+const { logger: baseLogger } = require('./logger');
+const { EMAIL_STATUS, EMAIL_OUTBOX } = require('../config/constants');
+
+const logger = baseLogger.child({ component: 'email' });
+
+let processing = false;
+let runAgain = false;
+
+// Delay before the next attempt after `attempts` failures: doubles each time, capped at RETRY_MAX_MINUTES
+const getRetryDelayMs = attempts => Math.min(
+  EMAIL_OUTBOX.RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1),
+  EMAIL_OUTBOX.RETRY_MAX_MINUTES * 60 * 1000
+);
+
+// Emails with account links: their bodies are not kept, shown or resent
+const isSecurityEmail = message => EMAIL_OUTBOX.SECURITY_TEMPLATES.includes(message.template);
+
+// Fields to set and unset once a message is sent or dead: it expires after the retention period,
+// and the body of a security email is dropped right away
+const finalUpdate = (message) => {
+  const update = { expiresAt: new Date(Date.now() + EMAIL_OUTBOX.RETENTION_DAYS * 24 * 60 * 60 * 1000) };
+  const unset = { lockedAt: 1 };
+  if (isSecurityEmail(message)) {
+    unset.html = 1;
+    unset.text = 1;
+  }
+  return { update, unset };
+};
+
+// SMTP 5xx replies (unknown mailbox, rejected content) won't succeed on a retry
+const isPermanentFailure = error => error.responseCode >= 500 && error.responseCode < 600;
+
+// Claim the next message that is due, so no other worker sends it at the same time
+const claimNextMessage = () => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - EMAIL_OUTBOX.SENDING_TIMEOUT_MINUTES * 60 * 1000);
+
+  return EmailMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: EMAIL_STATUS.PENDING, nextAttemptAt: { $lte: now } },
+        { status: EMAIL_STATUS.SENDING, lockedAt: { $lte: staleBefore } },
+      ],
+    },
+    { status: EMAIL_STATUS.SENDING, lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Attempt delivery of a claimed message and record the outcome
+const deliverMessage = async (message) => {
+  try {
+    const { messageId } = await emailTransport.send({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      headers: message.headers ? Object.fromEntries(message.headers) : undefined,
+    });
+
+    const { update, unset } = finalUpdate(message);
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      { ...update, status: EMAIL_STATUS.SENT, messageId, sentAt: Date.now(), $unset: { ...unset, lastError: 1 } }
+    );
+    logger.info('Email sent successfully', { emailId: message._id, to: message.to, subject: message.subject, messageId });
+  } catch (error) {
+    const giveUp = isPermanentFailure(error) || message.attempts >= EMAIL_OUTBOX.MAX_ATTEMPTS;
+    const { update: final, unset } = giveUp ? finalUpdate(message) : { update: {}, unset: { lockedAt: 1 } };
+    const update = giveUp
+      ? { ...final, status: EMAIL_STATUS.DEAD, failedAt: Date.now() }
+      : { status: EMAIL_STATUS.PENDING, nextAttemptAt: new Date(Date.now() + getRetryDelayMs(message.attempts)) };
+
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      { ...update, lastError: error.message, $unset: unset }
+    );
+
+    const meta = { emailId: message._id, to: message.to, subject: message.subject, attempts: message.attempts, error };
+    if (giveUp) {
+      logger.error('Email moved to dead letters', meta);
+    } else {
+      logger.warn('Failed to send email, will retry', { ...meta, nextAttemptAt: update.nextAttemptAt });
+    }
+  }
+};
+
+// Deliver due messages, up to BATCH_SIZE per run
+// Runs are serialized within the process; claims keep several processes from sending the same message
+const processOutbox = async () => {
+  if (processing) {
+    // Emails queued during a run are picked up right after it
+    runAgain = true;
+    return;
+  }
+  processing = true;
+
+  try {
+    do {
+      runAgain = false;
+      for (let sent = 0; sent < EMAIL_OUTBOX.BATCH_SIZE; sent += 1) {
+        const message = await claimNextMessage();
+        if (!message) break;
+        await deliverMessage(message);
+      }
+    } while (runAgain);
+  } finally {
+    processing = false;
+  }
+};
+
+// Run the worker soon without making the caller wait for delivery
+const triggerOutbox = () => {
+  setImmediate(() => {
+    processOutbox().catch((error) => {
+      logger.error('Failed to process email outbox', { error });
+    });
+  });
+};
+
+/**
+ * Store an email in the outbox for the worker to deliver
+ *
+ * @param {Object} email - { from, to, subject, template, html, text, headers }
+ * @returns {Promise<Object>} - The stored outbox message
+ */
+const enqueueEmail = async (email) => {
+  const message = await EmailMessage.create(email);
+  triggerOutbox();
+  return message;
+};
+
+// Queue a sent or dead message for delivery again, with a fresh set of attempts
+// Resolves to null when the message is still pending or being sent, or is a security email
+const requeueEmail = async (id) => {
+  const message = await EmailMessage.findOneAndUpdate(
+    {
+      _id: id,
+      status: { $in: [EMAIL_STATUS.SENT, EMAIL_STATUS.DEAD] },
+      template: { $nin: EMAIL_OUTBOX.SECURITY_TEMPLATES },
+    },
+    {
+      status: EMAIL_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      $unset: { lastError: 1, failedAt: 1, lockedAt: 1, sentAt: 1, messageId: 1, expiresAt: 1 },
+    },
+    { new: true }
+  );
+
+  if (message) triggerOutbox();
+  return message;
+};
+
+// Poll the outbox periodically for retries that became due
+const startEmailOutboxWorker = () => {
+  const interval = EMAIL_OUTBOX.POLL_INTERVAL_SECONDS * 1000;
+
+  const timer = setInterval(() => {
+    processOutbox().catch((error) => {
+      logger.error('Failed to process email outbox', { error });
+    });
+  }, interval);
+
+  // Don't keep the process alive just for the worker
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getRetryDelayMs,
+  isSecurityEmail,
+  enqueueEmail,
+  requeueEmail,
+  processOutbox,
+  startEmailOutboxWorker,
+};
@@ -11,65 +11,16 @@
  * - Easy Deployment: Change configuration without modifying code
  */
 
-const nodemailer = require('nodemailer');
+const { emailTransport } = require('./emailTransport');
+const { enqueueEmail } = require('./emailOutbox');
+const { renderEmail } = require('./emailTemplates');
+const { ALL_CATEGORIES, getEmailCategory, isEmailEnabled } = require('./notificationPreferences');
+const { generateUnsubscribeToken } = require('./jwtUtils');
 
 /**
- * Logger utility for email operations
- * In production, you might want to use a more robust logging solution like Winston
+ * Logger for email operations (shared JSON logger, lines tagged with component: 'email')
  */
-const logger = {
-  info: (message, meta = {}) => {
-    console.log(`[EMAIL SERVICE INFO] ${new Date().toISOString()} - ${message}`, meta);
-  },
-  error: (message, error = null) => {
-    console.error(`[EMAIL SERVICE ERROR] ${new Date().toISOString()} - ${message}`, error);
-  },
-  warn: (message, meta = {}) => {
-    console.warn(`[EMAIL SERVICE WARN] ${new Date().toISOString()} - ${message}`, meta);
-  }
-};
-
-/**
- * Create and configure the email transporter
- * Uses SMTP settings from environment variables
- * 
- * Supported services:
- * - SendGrid: smtp.sendgrid.net (Port 587)
- * - Mailgun: smtp.mailgun.org (Port 587)
- * - Postmark: smtp.postmarkapp.com (Port 587)
- */
-const createTransporter = () => {
-  // Validate required environment variables
-  const requiredEnvVars = ['SMTP_HOST', 'SMTP_PORT', 'SMTP_USER', 'SMTP_PASS'];
-  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-  
-  if (missingVars.length > 0) {
-    logger.warn(`Missing email configuration: ${missingVars.join(', ')}. Email functionality may not work.`);
-  }
-
-  const transportConfig = {
-    host: process.env.SMTP_HOST || 'smtp.sendgrid.net',
-    port: parseInt(process.env.SMTP_PORT, 10) || 587,
-    secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
-    auth: {
-      user: process.env.SMTP_USER || 'apikey',
-      pass: process.env.SMTP_PASS || '',
-    },
-    // Connection pool for better performance
-    pool: true,
-    maxConnections: 5,
-    maxMessages: 100,
-    // Timeout settings
-    connectionTimeout: 10000, // 10 seconds
-    greetingTimeout: 10000,
-    socketTimeout: 30000,
-  };
-
-  return nodemailer.createTransport(transportConfig);
-};
-
-// Create transporter instance
-const transporter = createTransporter();
+const logger = require('./logger').logger.child({ component: 'email' });
 
 /**
  * Verify email transporter connection
@@ -77,11 +28,11 @@ const transporter = createTransporter();
  */
 const verifyConnection = async () => {
   try {
-    await transporter.verify();
-    logger.info('Email service connection verified successfully');
+    await emailTransport.verify();
+    logger.info('Email service connection verified successfully', { transport: emailTransport.name });
     return true;
   } catch (error) {
-    logger.error('Email service connection failed', error);
+    logger.error('Email service connection failed', { error });
     return false;
   }
 };
@@ -99,378 +50,148 @@ const getSender = () => {
  * Base email sending function
  * All other email functions should use this
  * 
+ * The email is stored in the outbox and delivered by the outbox worker (utils/emailOutbox.js),
+ * which retries failed deliveries, so an SMTP outage delays emails instead of losing them.
+ * 
  * @param {Object} options - Email options
  * @param {string} options.to - Recipient email address
  * @param {string} options.subject - Email subject
  * @param {string} options.html - HTML content of the email
  * @param {string} [options.text] - Plain text version (optional, generated from HTML if not provided)
- * @returns {Promise<Object>} - Result of the email send operation
+ * @param {Object} [options.headers] - Extra headers, e.g. List-Unsubscribe
+ * @param {string} [options.template] - Template the email was rendered from, kept in the outbox
+ * @returns {Promise<Object>} - Result of queueing the email
  */
-const sendEmail = async ({ to, subject, html, text }) => {
+const sendEmail = async ({ to, subject, html, text, headers, template }) => {
   const mailOptions = {
     from: getSender(),
     to,
     subject,
+    template,
     html,
     text: text || html.replace(/<[^>]*>/g, ''), // Strip HTML for plain text version
+    headers,
   };
 
   try {
-    const result = await transporter.sendMail(mailOptions);
-    logger.info(`Email sent successfully to ${to}`, { messageId: result.messageId });
+    const message = await enqueueEmail(mailOptions);
+    logger.debug('Email queued', { emailId: message._id, to, subject });
     return {
       success: true,
-      messageId: result.messageId,
+      queued: true,
+      emailId: message._id,
     };
   } catch (error) {
-    logger.error(`Failed to send email to ${to}`, error);
+    logger.error('Failed to queue email', { to, subject, error });
     throw new Error(`Email sending failed: ${error.message}`);
   }
 };
 
 /**
- * Send welcome email to new users
- * 
- * @param {string} email - User's email address
- * @param {string} username - User's username
- * @param {string} firstName - User's first name (optional)
+ * Signed unsubscribe links for an email: a page on the frontend for the footer link,
+ * and an API URL mail clients can POST to for one-click unsubscribe (RFC 8058)
+ * Emails without a category unsubscribe from every optional category
  */
-const sendWelcomeEmail = async (email, username, firstName = '') => {
-  const displayName = firstName || username;
-  
-  const subject = 'Welcome to AutoPrime - Your Premium Car Marketplace';
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    </head>
-    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f4;">
-      <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
-        <tr>
-          <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 30px; text-align: center;">
-            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">AutoPrime</h1>
-            <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 14px;">Premium Car Marketplace</p>
-          </td>
-        </tr>
-        <tr>
-          <td style="padding: 40px 30px;">
-            <h2 style="color: #333; margin: 0 0 20px 0; font-size: 24px;">Welcome, ${displayName}!</h2>
-            <p style="color: #666; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
-              Thank you for joining AutoPrime! We're excited to have you as part of our community of car enthusiasts.
-            </p>
-            <p style="color: #666; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
-              With your new account, you can:
-            </p>
-            <ul style="color: #666; font-size: 16px; line-height: 2; margin: 0 0 30px 0; padding-left: 20px;">
-              <li>Browse thousands of premium vehicles</li>
-              <li>List your car for sale</li>
-              <li>Connect with verified buyers and sellers</li>
-              <li>Save your favorite listings</li>
-            </ul>
-            <table cellpadding="0" cellspacing="0" style="margin: 0 auto;">
-              <tr>
-                <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 8px;">
-                  <a href="${process.env.FRONTEND_URL || 'http://localhost:5000'}" 
-                     style="display: inline-block; padding: 15px 40px; color: #ffffff; text-decoration: none; font-weight: 600; font-size: 16px;">
-                    Start Exploring
-                  </a>
-                </td>
-              </tr>
-            </table>
-          </td>
-        </tr>
-        <tr>
-          <td style="background-color: #f8f9fa; padding: 30px; text-align: center; border-top: 1px solid #eee;">
-            <p style="color: #999; font-size: 14px; margin: 0 0 10px 0;">
-              Need help? Contact us at support@autoprime.com
-            </p>
-            <p style="color: #bbb; font-size: 12px; margin: 0;">
-              &copy; ${new Date().getFullYear()} AutoPrime. All rights reserved.
-            </p>
-          </td>
-        </tr>
-      </table>
-    </body>
-    </html>
-  `;
-
-  return sendEmail({ to: email, subject, html });
+const getUnsubscribeLinks = (userId, template) => {
+  const token = generateUnsubscribeToken(userId, getEmailCategory(template) || ALL_CATEGORIES);
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5000';
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  return {
+    pageUrl: `${frontendUrl}/?unsubscribe=${token}`,
+    oneClickUrl: `${apiUrl}/api/v1/notifications/unsubscribe?token=${token}`,
+  };
 };
 
 /**
- * Send email verification link
+ * Render a template in the recipient's locale and queue it
+ * Skipped when the recipient turned off the email's category (see utils/notificationPreferences.js)
  * 
- * @param {string} email - User's email address
- * @param {string} username - User's username
- * @param {string} verificationLink - Verification URL with token
+ * @param {Object} user - Recipient ({ _id, email, locale })
+ * @param {string} template - Template name or notification type (see utils/emailTemplates.js)
+ * @param {Object} data - Template values; an unsubscribeUrl replaces the default unsubscribe link
  */
-const sendVerificationEmail = async (email, username, verificationLink) => {
-  const subject = 'Verify Your Email - AutoPrime';
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    </head>
-    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f4;">
-      <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
-        <tr>
-          <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 30px; text-align: center;">
-            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">AutoPrime</h1>
-            <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 14px;">Email Verification</p>
-          </td>
-        </tr>
-        <tr>
-          <td style="padding: 40px 30px;">
-            <h2 style="color: #333; margin: 0 0 20px 0; font-size: 24px;">Hello, ${username}!</h2>
-            <p style="color: #666; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
-              Please verify your email address to activate your AutoPrime account.
-            </p>
-            <table cellpadding="0" cellspacing="0" style="margin: 30px auto;">
-              <tr>
-                <td style="background: linear-gradient(135deg, #28a745 0%, #20c997 100%); border-radius: 8px;">
-                  <a href="${verificationLink}" 
-                     style="display: inline-block; padding: 15px 40px; color: #ffffff; text-decoration: none; font-weight: 600; font-size: 16px;">
-                    Verify Email Address
-                  </a>
-                </td>
-              </tr>
-            </table>
-            <p style="color: #999; font-size: 14px; line-height: 1.6; margin: 20px 0 0 0;">
-              Or copy and paste this link into your browser:<br>
-              <a href="${verificationLink}" style="color: #667eea; word-break: break-all;">${verificationLink}</a>
-            </p>
-            <p style="color: #999; font-size: 14px; margin: 20px 0 0 0;">
-              This link expires in 24 hours. If you didn't create an account, please ignore this email.
-            </p>
-          </td>
-        </tr>
-        <tr>
-          <td style="background-color: #f8f9fa; padding: 30px; text-align: center; border-top: 1px solid #eee;">
-            <p style="color: #bbb; font-size: 12px; margin: 0;">
-              &copy; ${new Date().getFullYear()} AutoPrime. All rights reserved.
-            </p>
-          </td>
-        </tr>
-      </table>
-    </body>
-    </html>
-  `;
+const sendTemplateEmail = async (user, template, data) => {
+  if (user._id && !(await isEmailEnabled(user._id, template))) {
+    logger.debug('Email skipped, category turned off', { userId: user._id, template });
+    return { success: true, queued: false, skipped: true };
+  }
+
+  const values = { ...data };
+  const headers = {};
+  if (values.unsubscribeUrl) {
+    headers['List-Unsubscribe'] = `<${values.unsubscribeUrl}>`;
+  } else if (user._id) {
+    const { pageUrl, oneClickUrl } = getUnsubscribeLinks(user._id, template);
+    values.unsubscribeUrl = pageUrl;
+    headers['List-Unsubscribe'] = `<${oneClickUrl}>`;
+    headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+  }
 
-  return sendEmail({ to: email, subject, html });
+  const { subject, html, text } = await renderEmail(template, values, user.locale);
+  return sendEmail({ to: user.email, subject, html, text, headers, template });
 };
 
 /**
- * Send password reset email
+ * Send welcome email to new users
  * 
- * @param {string} email - User's email address
- * @param {string} resetLink - Password reset URL with token
+ * @param {Object} user - New user ({ email, username, firstName, locale })
  */
-const sendPasswordResetEmail = async (email, resetLink) => {
-  const subject = 'Reset Your Password - AutoPrime';
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    </head>
-    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f4;">
-      <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
-        <tr>
-          <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 30px; text-align: center;">
-            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">AutoPrime</h1>
-            <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 14px;">Password Reset</p>
-          </td>
-        </tr>
-        <tr>
-          <td style="padding: 40px 30px;">
-            <h2 style="color: #333; margin: 0 0 20px 0; font-size: 24px;">Password Reset Request</h2>
-            <p style="color: #666; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
-              We received a request to reset your password. Click the button below to create a new password.
-            </p>
-            <table cellpadding="0" cellspacing="0" style="margin: 30px auto;">
-              <tr>
-                <td style="background: linear-gradient(135deg, #dc3545 0%, #e91e63 100%); border-radius: 8px;">
-                  <a href="${resetLink}" 
-                     style="display: inline-block; padding: 15px 40px; color: #ffffff; text-decoration: none; font-weight: 600; font-size: 16px;">
-                    Reset Password
-                  </a>
-                </td>
-              </tr>
-            </table>
-            <p style="color: #999; font-size: 14px; line-height: 1.6; margin: 20px 0 0 0;">
-              Or copy and paste this link into your browser:<br>
-              <a href="${resetLink}" style="color: #667eea; word-break: break-all;">${resetLink}</a>
-            </p>
-            <div style="background-color: #fff3cd; border: 1px solid #ffeeba; border-radius: 8px; padding: 15px; margin-top: 30px;">
-              <p style="color: #856404; font-size: 14px; margin: 0;">
-                <strong>Important:</strong> This link expires in 1 hour. If you didn't request a password reset, please ignore this email or contact support if you have concerns.
-              </p>
-            </div>
-          </td>
-        </tr>
-        <tr>
-          <td style="background-color: #f8f9fa; padding: 30px; text-align: center; border-top: 1px solid #eee;">
-            <p style="color: #bbb; font-size: 12px; margin: 0;">
-              &copy; ${new Date().getFullYear()} AutoPrime. All rights reserved.
-            </p>
-          </td>
-        </tr>
-      </table>
-    </body>
-    </html>
-  `;
-
-  return sendEmail({ to: email, subject, html });
-};
+const sendWelcomeEmail = async (user) => sendTemplateEmail(user, 'welcome', {
+  name: user.firstName || user.username,
+});
 
 /**
- * Send notification email for car listing updates
+ * Send email verification link
  * 
- * @param {string} email - User's email address
- * @param {Object} options - Notification options
- * @param {string} options.title - Notification title
- * @param {string} options.message - Notification message
- * @param {string} [options.actionUrl] - Optional action URL
- * @param {string} [options.actionText] - Optional action button text
+ * @param {Object} user - User to verify ({ email, username, locale })
+ * @param {string} verificationLink - Full verification URL with token
  */
-const sendNotificationEmail = async (email, { title, message, actionUrl, actionText }) => {
-  const subject = `${title} - AutoPrime`;
-  
-  const actionButton = actionUrl && actionText ? `
-    <table cellpadding="0" cellspacing="0" style="margin: 30px auto;">
-      <tr>
-        <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 8px;">
-          <a href="${actionUrl}" 
-             style="display: inline-block; padding: 15px 40px; color: #ffffff; text-decoration: none; font-weight: 600; font-size: 16px;">
-            ${actionText}
-          </a>
-        </td>
-      </tr>
-    </table>
-  ` : '';
+const sendVerificationEmail = async (user, verificationLink) => sendTemplateEmail(user, 'verify-email', {
+  username: user.username,
+  actionUrl: verificationLink,
+});
 
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    </head>
-    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f4;">
-      <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
-        <tr>
-          <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 30px; text-align: center;">
-            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">AutoPrime</h1>
-            <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 14px;">Notification</p>
-          </td>
-        </tr>
-        <tr>
-          <td style="padding: 40px 30px;">
-            <h2 style="color: #333; margin: 0 0 20px 0; font-size: 24px;">${title}</h2>
-            <p style="color: #666; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
-              ${message}
-            </p>
-            ${actionButton}
-          </td>
-        </tr>
-        <tr>
-          <td style="background-color: #f8f9fa; padding: 30px; text-align: center; border-top: 1px solid #eee;">
-            <p style="color: #999; font-size: 14px; margin: 0 0 10px 0;">
-              You received this email because you have an account with AutoPrime.
-            </p>
-            <p style="color: #bbb; font-size: 12px; margin: 0;">
-              &copy; ${new Date().getFullYear()} AutoPrime. All rights reserved.
-            </p>
-          </td>
-        </tr>
-      </table>
-    </body>
-    </html>
-  `;
+/**
+ * Send password reset email
+ * 
+ * @param {Object} user - User who asked for the reset ({ email, locale })
+ * @param {string} resetLink - Full password reset URL with token
+ */
+const sendPasswordResetEmail = async (user, resetLink) => sendTemplateEmail(user, 'password-reset', {
+  actionUrl: resetLink,
+});
 
-  return sendEmail({ to: email, subject, html });
-};
+/**
+ * Send a short notification email (bookings, offers, messages, alerts)
+ * 
+ * The copy for each type lives in templates/emails/<locale>/notifications.json.
+ * Pass user-provided text (car titles, messages) as-is: templates escape it.
+ * 
+ * @param {Object} user - Recipient ({ _id, email, locale })
+ * @param {string} type - Notification type, e.g. 'offer-received'
+ * @param {Object} [data] - Values for the copy, plus optional:
+ * @param {string} [data.actionUrl] - Link for the action button
+ * @param {string} [data.quote] - User-written text to quote (a message, a reason)
+ * @param {string[]} [data.items] - Bullet list (e.g. matching cars)
+ * @param {string} [data.unsubscribeUrl] - Link to stop this kind of notification (default: unsubscribe from its category)
+ */
+const sendNotificationEmail = async (user, type, data = {}) => sendTemplateEmail(user, type, data);
 
 /**
  * Send car listing confirmation email
  * 
- * @param {string} email - Seller's email address
+ * @param {Object} user - Seller ({ email, locale })
  * @param {Object} car - Car listing details
  */
-const sendListingConfirmationEmail = async (email, car) => {
-  const subject = 'Your Car Listing is Live! - AutoPrime';
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    </head>
-    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f4;">
-      <table width="100%" cellpadding="0" cellspacing="0" style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
-        <tr>
-          <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 30px; text-align: center;">
-            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">AutoPrime</h1>
-            <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 14px;">Listing Confirmed</p>
-          </td>
-        </tr>
-        <tr>
-          <td style="padding: 40px 30px;">
-            <h2 style="color: #333; margin: 0 0 20px 0; font-size: 24px;">Your Listing is Now Live!</h2>
-            <p style="color: #666; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
-              Great news! Your car listing has been successfully published on AutoPrime.
-            </p>
-            <div style="background-color: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0;">
-              <h3 style="color: #333; margin: 0 0 15px 0; font-size: 18px;">${car.title || `${car.year} ${car.brand} ${car.model}`}</h3>
-              <table width="100%" cellpadding="5" cellspacing="0">
-                <tr>
-                  <td style="color: #666; width: 100px;">Price:</td>
-                  <td style="color: #333; font-weight: 600;">$${car.price?.toLocaleString() || 'N/A'}</td>
-                </tr>
-                <tr>
-                  <td style="color: #666;">Year:</td>
-                  <td style="color: #333;">${car.year || 'N/A'}</td>
-                </tr>
-                <tr>
-                  <td style="color: #666;">Mileage:</td>
-                  <td style="color: #333;">${car.mileage?.toLocaleString() || 'N/A'} km</td>
-                </tr>
-              </table>
-            </div>
-            <table cellpadding="0" cellspacing="0" style="margin: 30px auto;">
-              <tr>
-                <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 8px;">
-                  <a href="${process.env.FRONTEND_URL || 'http://localhost:5000'}#cars" 
-                     style="display: inline-block; padding: 15px 40px; color: #ffffff; text-decoration: none; font-weight: 600; font-size: 16px;">
-                    View Your Listing
-                  </a>
-                </td>
-              </tr>
-            </table>
-            <p style="color: #999; font-size: 14px; margin: 20px 0 0 0;">
-              Tip: Share your listing on social media to attract more buyers!
-            </p>
-          </td>
-        </tr>
-        <tr>
-          <td style="background-color: #f8f9fa; padding: 30px; text-align: center; border-top: 1px solid #eee;">
-            <p style="color: #bbb; font-size: 12px; margin: 0;">
-              &copy; ${new Date().getFullYear()} AutoPrime. All rights reserved.
-            </p>
-          </td>
-        </tr>
-      </table>
-    </body>
-    </html>
-  `;
-
-  return sendEmail({ to: email, subject, html });
-};
+const sendListingConfirmationEmail = async (user, car) => sendTemplateEmail(user, 'listing-confirmed', {
+  car: {
+    title: car.title || `${car.year} ${car.brand} ${car.model}`,
+    price: car.price ? `$${car.price.toLocaleString('en-US')}` : 'N/A',
+    year: car.year || 'N/A',
+    mileage: car.mileage?.toLocaleString('en-US') || 'N/A',
+  },
+});
 
 // Export all email functions
 module.exports = {
@@ -0,0 +1,237 @@
+/**
+ * Email Templates
+ *
+ * Templates live in templates/emails, so copy can change without touching code:
+ * - <locale>/<name>.html and <locale>/<name>.txt: the HTML and plain-text parts of an email.
+ *   The HTML file starts with front matter (`key: value` lines between `---` lines) holding the subject
+ *   and other copy used by the layout (tagline, actionText, footerNote, layout).
+ * - layouts/<layout>.html|.txt: the shell around every email, the rendered template is its {{{body}}}
+ * - <locale>/partials and partials: reusable snippets ({{> footer}}), the locale's version first
+ * - <locale>/notifications.json: copy for short notifications, rendered through the `notification` template
+ * - samples.json: sample data for previews
+ *
+ * Locales without a template fall back to DEFAULT_LOCALE. Values are HTML-escaped in the HTML part.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { render } = require('./templateEngine');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../config/constants');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'emails');
+const NOTIFICATION_TEMPLATE = 'notification';
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+const FORMATS = { html: 'html', text: 'txt' };
+
+// Reload files on every render in development so copy edits show up without a restart
+const cache = new Map();
+const useCache = () => process.env.NODE_ENV !== 'development';
+
+const cached = async (key, load) => {
+  if (useCache() && cache.has(key)) return cache.get(key);
+  const value = await load();
+  if (useCache()) cache.set(key, value);
+  return value;
+};
+
+// File contents, or null when the file doesn't exist
+const readTemplateFile = relativePath => cached(`file:${relativePath}`, async () => {
+  try {
+    return await fs.readFile(path.join(TEMPLATES_DIR, relativePath), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+});
+
+const resolveLocale = locale => (SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+
+// First file that exists for the locale, falling back to the default locale
+const readLocalized = async (locale, fileName) => (
+  (await readTemplateFile(path.join(locale, fileName)))
+  ?? (locale === DEFAULT_LOCALE ? null : readTemplateFile(path.join(DEFAULT_LOCALE, fileName)))
+);
+
+// Split `key: value` front matter from the template body
+const parseFrontMatter = (source) => {
+  const match = source.match(FRONT_MATTER_PATTERN);
+  if (!match) return { meta: {}, body: source };
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+  return { meta, body: source.slice(match[0].length) };
+};
+
+// All partials for a locale and format: name -> source (locale partials override shared ones)
+const loadPartials = (locale, extension) => cached(`partials:${locale}:${extension}`, async () => {
+  const partials = {};
+  const directories = [
+    'partials',
+    path.join(DEFAULT_LOCALE, 'partials'),
+    ...(locale === DEFAULT_LOCALE ? [] : [path.join(locale, 'partials')]),
+  ];
+
+  for (const directory of directories) {
+    let files = [];
+    try {
+      files = await fs.readdir(path.join(TEMPLATES_DIR, directory));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    for (const file of files.filter(name => name.endsWith(`.${extension}`))) {
+      partials[path.basename(file, `.${extension}`)] = await readTemplateFile(path.join(directory, file));
+    }
+  }
+  return partials;
+});
+
+const loadNotificationCatalog = async locale => JSON.parse(await readLocalized(locale, 'notifications.json') || '{}');
+
+// Values every template can use
+const getDefaults = locale => ({
+  locale,
+  year: new Date().getFullYear(),
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5000',
+  buttonBackground: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+});
+
+// Render one part (html or text) of a file template inside its layout
+const renderPart = async (format, locale, name, context, layout) => {
+  const extension = FORMATS[format];
+  const source = await readLocalized(locale, `${name}.${extension}`);
+  if (source === null) {
+    throw new Error(`Email template ${name} has no ${format} part`);
+  }
+
+  const partials = await loadPartials(locale, extension);
+  const options = { html: format === 'html', partials: partialName => partials[partialName] ?? null };
+
+  const body = render(parseFrontMatter(source).body, context, options);
+  const layoutSource = await readTemplateFile(path.join('layouts', `${layout}.${extension}`));
+  if (layoutSource === null) {
+    throw new Error(`Unknown email layout: ${layout}`);
+  }
+  const rendered = render(layoutSource, { ...context, body }, options);
+  // Optional sections can leave runs of blank lines behind in the text part
+  return format === 'text' ? `${rendered.replace(/\n{3,}/g, '\n\n').trim()}\n` : rendered;
+};
+
+// Render a file template: subject from the front matter, HTML and text parts inside the layout
+const renderFileTemplate = async (name, data, locale) => {
+  const source = await readLocalized(locale, `${name}.html`);
+  const { meta } = parseFrontMatter(source);
+
+  const context = { ...getDefaults(locale), ...data };
+  // Front matter is copy: rendered as plain text, the caller's data can still override it
+  for (const [key, value] of Object.entries(meta)) {
+    if (!(key in data)) context[key] = render(value, context, { html: false });
+  }
+
+  const layout = context.layout || 'default';
+  const [html, text] = await Promise.all([
+    renderPart('html', locale, name, context, layout),
+    renderPart('text', locale, name, context, layout),
+  ]);
+
+  return { subject: context.subject, html, text };
+};
+
+// Render catalog copy (strings, or lists of strings) with the notification's data
+const renderCopy = (value, data) => (Array.isArray(value)
+  ? value.map(item => render(item, data, { html: false })).filter(Boolean)
+  : render(value, data, { html: false }));
+
+// Title, paragraphs and button text of a notification type in the locale (or the default locale)
+const renderCatalogCopy = async (type, data, locale) => {
+  const copy = (await loadNotificationCatalog(locale))[type]
+    || (await loadNotificationCatalog(DEFAULT_LOCALE))[type];
+  if (!copy) return {};
+
+  const context = { ...getDefaults(locale), ...data };
+  return {
+    title: renderCopy(copy.title, context),
+    paragraphs: renderCopy(copy.paragraphs || [], context),
+    ...(copy.actionText && { actionText: renderCopy(copy.actionText, context) }),
+  };
+};
+
+/**
+ * Check whether a template or notification type exists
+ *
+ * @param {string} name - Template or notification type
+ */
+const hasEmailTemplate = async (name) => {
+  if (!/^[\w-]+$/.test(name) || name === NOTIFICATION_TEMPLATE) return false;
+  if (await readTemplateFile(path.join(DEFAULT_LOCALE, `${name}.html`))) return true;
+  return Boolean((await loadNotificationCatalog(DEFAULT_LOCALE))[name]);
+};
+
+// Names of every template and notification type, for previews
+const listEmailTemplates = async () => {
+  const files = await fs.readdir(path.join(TEMPLATES_DIR, DEFAULT_LOCALE));
+  const templates = files
+    .filter(file => file.endsWith('.html'))
+    .map(file => path.basename(file, '.html'))
+    .filter(name => name !== NOTIFICATION_TEMPLATE);
+  const notifications = Object.keys(await loadNotificationCatalog(DEFAULT_LOCALE));
+  return [...templates, ...notifications].sort();
+};
+
+/**
+ * Render an email in the recipient's locale
+ *
+ * @param {string} name - Template name (welcome, verify-email, ...) or notification type from notifications.json
+ * @param {Object} data - Template values; user-provided text is escaped in the HTML part
+ * @param {string} [locale] - Recipient locale, DEFAULT_LOCALE when missing or unsupported
+ * @returns {Promise<Object>} - { subject, html, text }
+ */
+const renderEmail = async (name, data = {}, locale = DEFAULT_LOCALE) => {
+  const resolvedLocale = resolveLocale(locale);
+
+  if (!(await hasEmailTemplate(name))) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  if (await readTemplateFile(path.join(DEFAULT_LOCALE, `${name}.html`))) {
+    return renderFileTemplate(name, data, resolvedLocale);
+  }
+
+  return renderFileTemplate(NOTIFICATION_TEMPLATE, {
+    ...data,
+    ...(await renderCatalogCopy(name, data, resolvedLocale)),
+  }, resolvedLocale);
+};
+
+/**
+ * Render a notification type as plain text, for in-app notifications
+ *
+ * @param {string} type - Notification type from notifications.json
+ * @param {Object} data - Values for the copy
+ * @param {string} [locale] - Recipient locale
+ * @returns {Promise<Object>} - { title, body } (body: the paragraphs and items, one per line)
+ */
+const renderNotification = async (type, data = {}, locale = DEFAULT_LOCALE) => {
+  const { title, paragraphs } = await renderCatalogCopy(type, data, resolveLocale(locale));
+  if (!title) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  return {
+    title,
+    body: [...paragraphs, ...(data.items || []), ...(data.quote ? [data.quote] : [])].join('\n'),
+  };
+};
+
+// Sample data for previewing a template
+const getSampleData = async name => JSON.parse(await readTemplateFile('samples.json') || '{}')[name] || {};
+
+module.exports = {
+  renderEmail,
+  renderNotification,
+  hasEmailTemplate,
+  listEmailTemplates,
+  getSampleData,
+};
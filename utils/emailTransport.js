@@ -0,0 +1,114 @@
+/**
+ * Email Transport Module
+ *
+ * Picks how the outbox worker delivers emails from EMAIL_TRANSPORT. Every transport exposes:
+ * - send(mailOptions) -> Promise<{ messageId }> (mailOptions as accepted by Nodemailer)
+ * - verify() -> Promise<void>, rejects when the transport can't deliver
+ *
+ * - smtp (default): SMTP server from SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS (SendGrid, Mailgun, ...)
+ * - file: writes each email as an .eml file to EMAIL_OUTPUT_DIR, for testing email flows without SMTP
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+
+const EMAIL_OUTPUT_DIR = path.resolve(process.env.EMAIL_OUTPUT_DIR || path.join(__dirname, '..', 'tmp', 'emails'));
+
+/**
+ * SMTP transport
+ * Supported services:
+ * - SendGrid: smtp.sendgrid.net (Port 587)
+ * - Mailgun: smtp.mailgun.org (Port 587)
+ * - Postmark: smtp.postmarkapp.com (Port 587)
+ */
+const createSmtpTransport = () => {
+  // Validate required environment variables
+  const requiredEnvVars = ['SMTP_HOST', 'SMTP_PORT', 'SMTP_USER', 'SMTP_PASS'];
+  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+
+  if (missingVars.length > 0) {
+    logger.warn('Missing email configuration. Email functionality may not work.', {
+      component: 'email',
+      missing: missingVars,
+    });
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'smtp.sendgrid.net',
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
+    auth: {
+      user: process.env.SMTP_USER || 'apikey',
+      pass: process.env.SMTP_PASS || '',
+    },
+    // Connection pool for better performance
+    pool: true,
+    maxConnections: 5,
+    maxMessages: 100,
+    // Timeout settings
+    connectionTimeout: 10000, // 10 seconds
+    greetingTimeout: 10000,
+    socketTimeout: 30000,
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(mailOptions) {
+      const result = await transporter.sendMail(mailOptions);
+      return { messageId: result.messageId };
+    },
+
+    async verify() {
+      await transporter.verify();
+    },
+  };
+};
+
+// Development transport: builds the full MIME message and saves it as <timestamp>-<messageId>.eml
+const createFileTransport = ({ outputDir }) => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+
+    async send(mailOptions) {
+      const result = await transporter.sendMail(mailOptions);
+      const safeId = result.messageId.replace(/[^\w.-]/g, '');
+      const filePath = path.join(outputDir, `${Date.now()}-${safeId}.eml`);
+
+      await fs.mkdir(outputDir, { recursive: true });
+      await fs.writeFile(filePath, result.message);
+      logger.debug('Email written to file', { component: 'email', filePath });
+
+      return { messageId: result.messageId };
+    },
+
+    async verify() {
+      await fs.mkdir(outputDir, { recursive: true });
+      await fs.access(outputDir, fs.constants.W_OK);
+    },
+  };
+};
+
+const transports = {
+  smtp: () => createSmtpTransport(),
+  file: () => createFileTransport({ outputDir: EMAIL_OUTPUT_DIR }),
+};
+
+const createEmailTransport = () => {
+  const driver = process.env.EMAIL_TRANSPORT || 'smtp';
+  if (!transports[driver]) {
+    throw new Error(`Unknown email transport: ${driver}`);
+  }
+  return transports[driver]();
+};
+
+const emailTransport = createEmailTransport();
+
+module.exports = {
+  emailTransport,
+  EMAIL_OUTPUT_DIR,
+};
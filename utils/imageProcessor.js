@@ -0,0 +1,42 @@
+const sharp = require('sharp');
+const { IMAGE_UPLOAD, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Resize an uploaded car photo into full-size and thumbnail WebP variants
+ * EXIF orientation is applied and metadata (GPS etc.) is stripped
+ *
+ * @param {Buffer} buffer - Original image
+ * @returns {Promise<Object>} - { full: { buffer, width, height }, thumbnail: { buffer } }
+ */
+const processCarImage = async (buffer) => {
+  let image;
+  try {
+    image = sharp(buffer, { failOn: 'error' }).rotate();
+    await image.metadata();
+  } catch (error) {
+    const invalidImage = new Error('Uploaded file is not a valid image');
+    invalidImage.statusCode = HTTP_STATUS.BAD_REQUEST;
+    throw invalidImage;
+  }
+
+  const { data: fullBuffer, info } = await image
+    .clone()
+    .resize(IMAGE_UPLOAD.FULL_SIZE.width, IMAGE_UPLOAD.FULL_SIZE.height, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 82 })
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnailBuffer = await image
+    .clone()
+    .resize(IMAGE_UPLOAD.THUMBNAIL.width, IMAGE_UPLOAD.THUMBNAIL.height, { fit: 'cover' })
+    .webp({ quality: 75 })
+    .toBuffer();
+
+  return {
+    full: { buffer: fullBuffer, width: info.width, height: info.height },
+    thumbnail: { buffer: thumbnailBuffer },
+  };
+};
+
+module.exports = {
+  processCarImage,
+};
@@ -1,12 +1,29 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+const EMAIL_VERIFICATION_PURPOSE = 'email_verification';
+const SAVED_SEARCH_UNSUBSCRIBE_PURPOSE = 'saved_search_unsubscribe';
+const EMAIL_UNSUBSCRIBE_PURPOSE = 'email_unsubscribe';
 
 // Generate JWT Token
-const generateToken = (userId, role) => {
-  return jwt.sign({ userId, role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
+// Short-lived access token tied to a session, renewed through the refresh token
+const generateToken = (userId, role, sessionId) => {
+  return jwt.sign({ userId, role, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
   });
 };
 
+// Generate Refresh Token (opaque, only its hash is stored server-side)
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Refresh Token Expiry Date
+const getRefreshTokenExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
 // Verify JWT Token
 const verifyToken = (token) => {
   try {
@@ -16,6 +33,53 @@ const verifyToken = (token) => {
   }
 };
 
+// Generate Email Verification Token
+// Bound to the address it was issued for, so changing the email invalidates it
+const generateEmailVerificationToken = (userId, email) => {
+  return jwt.sign({ userId, email, purpose: EMAIL_VERIFICATION_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h',
+  });
+};
+
+// Verify Email Verification Token
+const verifyEmailVerificationToken = (token) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== EMAIL_VERIFICATION_PURPOSE) {
+    throw new Error('Invalid or expired token');
+  }
+  return decoded;
+};
+
+// Generate Saved Search Unsubscribe Token
+// Does not expire, so links in old alert emails keep working
+const generateSavedSearchUnsubscribeToken = (searchId) => {
+  return jwt.sign({ searchId, purpose: SAVED_SEARCH_UNSUBSCRIBE_PURPOSE }, process.env.JWT_SECRET);
+};
+
+// Verify Saved Search Unsubscribe Token
+const verifySavedSearchUnsubscribeToken = (token) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== SAVED_SEARCH_UNSUBSCRIBE_PURPOSE) {
+    throw new Error('Invalid or expired token');
+  }
+  return decoded;
+};
+
+// Generate Email Unsubscribe Token
+// For one notification category, or 'all' of them; does not expire, so links in old emails keep working
+const generateUnsubscribeToken = (userId, category) => {
+  return jwt.sign({ userId, category, purpose: EMAIL_UNSUBSCRIBE_PURPOSE }, process.env.JWT_SECRET);
+};
+
+// Verify Email Unsubscribe Token
+const verifyUnsubscribeToken = (token) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== EMAIL_UNSUBSCRIBE_PURPOSE) {
+    throw new Error('Invalid or expired token');
+  }
+  return decoded;
+};
+
 // Decode JWT Token (without verification)
 const decodeToken = (token) => {
   return jwt.decode(token);
@@ -23,6 +87,14 @@ const decodeToken = (token) => {
 
 module.exports = {
   generateToken,
+  generateRefreshToken,
+  getRefreshTokenExpiry,
   verifyToken,
   decodeToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateSavedSearchUnsubscribeToken,
+  verifySavedSearchUnsubscribeToken,
+  generateUnsubscribeToken,
+  verifyUnsubscribeToken,
 };
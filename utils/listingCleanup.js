@@ -0,0 +1,43 @@
+const Car = require('../models/Car');
+const Favorite = require('../models/Favorite');
+const Booking = require('../models/Booking');
+const CarView = require('../models/CarView');
+const CarDailyStat = require('../models/CarDailyStat');
+const { declineOpenOffers } = require('./offers');
+const { removeFilesQuietly } = require('./storage');
+const { BOOKING_STATUS } = require('../config/constants');
+
+/**
+ * Delete listings with everything attached to them
+ *
+ * Favorites, daily stats and view records are deleted, pending and approved bookings are cancelled,
+ * open offers are declined (buyers get an offer-listing-removed notification) and image files are removed.
+ *
+ * @param {Array<Object>} cars - Listings to delete ({ _id, title, images })
+ * @param {string} removedBy - Id of the user deleting them, recorded on the cancelled bookings
+ * @returns {Promise<number>} - Number of listings deleted
+ */
+const removeCarListings = async (cars, removedBy) => {
+  if (cars.length === 0) return 0;
+
+  const carIds = cars.map(car => car._id);
+  const result = await Car.deleteMany({ _id: { $in: carIds } });
+
+  await Favorite.deleteMany({ car: { $in: carIds } });
+  await Booking.updateMany(
+    { car: { $in: carIds }, status: { $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.APPROVED] } },
+    { status: BOOKING_STATUS.CANCELLED, cancelledAt: Date.now(), cancelledBy: removedBy, reason: 'Listing deleted' }
+  );
+  for (const car of cars) {
+    await declineOpenOffers(car, { message: 'the listing was removed', type: 'offer-listing-removed' });
+  }
+  await CarDailyStat.deleteMany({ car: { $in: carIds } });
+  await CarView.deleteMany({ car: { $in: carIds } });
+  await removeFilesQuietly(cars.flatMap(car => car.images.flatMap(image => [image.key, image.thumbnailKey])));
+
+  return result.deletedCount;
+};
+
+module.exports = {
+  removeCarListings,
+};
@@ -0,0 +1,131 @@
+/**
+ * Logger Module
+ *
+ * Writes one JSON object per line: { time, level, msg, requestId?, ...meta }.
+ * Lines below LOG_LEVEL (debug, info, warn, error; default info) are dropped.
+ *
+ * Code running on behalf of a request (including fire-and-forget email sends) is tagged with the
+ * request's ID automatically, see runWithRequestContext and middleware/requestMiddleware.js.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+
+// Keys whose values never reach the logs, at any depth
+const SENSITIVE_KEY_PATTERN = /pass(word)?|token|secret|authorization|cookie|api[-_]?key/i;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+const getMinLevel = () => LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+
+// Errors don't serialize with JSON.stringify; keep what helps debugging
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.statusCode !== undefined && { statusCode: error.statusCode }),
+  stack: error.stack,
+});
+
+// Copy a value for logging with sensitive keys masked and errors expanded
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  // Mongoose documents and ObjectIds know how to turn into plain values
+  if (typeof value.toJSON === 'function') {
+    return redact(value.toJSON(), depth, seen);
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1, seen),
+  ]));
+};
+
+// Mask tokens in a URL: JWT-like path segments (verification and unsubscribe links) and sensitive query values
+const redactUrl = (url = '') => {
+  const [pathname, query] = url.split('?');
+  const safePath = pathname
+    .split('/')
+    .map(segment => (/^[\w-]+\.[\w-]+\.[\w-]+$/.test(segment) ? REDACTED : segment))
+    .join('/');
+
+  if (!query) return safePath;
+
+  const params = new URLSearchParams(query);
+  for (const key of params.keys()) {
+    if (SENSITIVE_KEY_PATTERN.test(key)) params.set(key, REDACTED);
+  }
+  return `${safePath}?${params.toString()}`;
+};
+
+const write = (level, bindings, message, meta) => {
+  if (LEVELS[level] < getMinLevel()) return;
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...(context?.requestId && { requestId: context.requestId }),
+    ...redact({ ...bindings, ...meta }),
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    // BigInts and the like: still get the message out
+    line = JSON.stringify({ time: entry.time, level, msg: message, logError: error.message });
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+/**
+ * Create a logger whose lines all carry `bindings` (e.g. { component: 'email' })
+ *
+ * @param {Object} [bindings] - Fields added to every line
+ */
+const createLogger = (bindings = {}) => ({
+  debug: (message, meta = {}) => write('debug', bindings, message, meta),
+  info: (message, meta = {}) => write('info', bindings, message, meta),
+  warn: (message, meta = {}) => write('warn', bindings, message, meta),
+  error: (message, meta = {}) => write('error', bindings, message, meta),
+  child: childBindings => createLogger({ ...bindings, ...childBindings }),
+});
+
+const logger = createLogger();
+
+// Run `callback` with a request context; every line logged inside it (sync or async) gets its requestId
+const runWithRequestContext = (context, callback) => requestContext.run(context, callback);
+
+module.exports = {
+  logger,
+  createLogger,
+  redact,
+  redactUrl,
+  runWithRequestContext,
+};
@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const { sendNotificationEmail } = require('./emailService');
+const { logger } = require('./logger');
+const { LOGIN_LOCKOUT } = require('../config/constants');
+
+const LOCKOUT_FIELDS = '+failedLoginAttempts +lockUntil +lockoutCount';
+
+// Length of the next lockout: doubles with every lockout since the last successful sign-in
+const getLockoutMinutes = (lockoutCount) => Math.min(
+  LOGIN_LOCKOUT.BASE_MINUTES * 2 ** lockoutCount,
+  LOGIN_LOCKOUT.MAX_MINUTES
+);
+
+// Seconds until a locked account can sign in again
+const getLockoutRetrySeconds = (user) => Math.max(Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000), 0);
+
+// Record a failed login; locks the account once MAX_FAILED_ATTEMPTS is reached and emails the owner
+// Resolves to the lock expiry when this attempt locked the account, null otherwise
+const recordFailedLogin = async (user) => {
+  const counted = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select(LOCKOUT_FIELDS);
+
+  if (!counted || counted.failedLoginAttempts < LOGIN_LOCKOUT.MAX_FAILED_ATTEMPTS) {
+    return null;
+  }
+
+  const minutes = getLockoutMinutes(counted.lockoutCount);
+  const lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  // Only one of several concurrent failures gets to lock the account (and send the email)
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, failedLoginAttempts: { $gte: LOGIN_LOCKOUT.MAX_FAILED_ATTEMPTS } },
+    { failedLoginAttempts: 0, lockUntil, $inc: { lockoutCount: 1 } }
+  );
+  if (!locked) return null;
+
+  sendNotificationEmail(user, 'account-locked', {
+    attempts: LOGIN_LOCKOUT.MAX_FAILED_ATTEMPTS,
+    minutes,
+    actionUrl: process.env.FRONTEND_URL || 'http://localhost:5000',
+  }).catch((emailError) => {
+    logger.error('Failed to send account lockout email', { error: emailError });
+  });
+
+  return lockUntil;
+};
+
+// Forget failed attempts and past lockouts after a successful sign-in
+const clearFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockUntil) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    { failedLoginAttempts: 0, lockoutCount: 0, $unset: { lockUntil: 1 } }
+  );
+};
+
+module.exports = {
+  LOCKOUT_FIELDS,
+  getLockoutMinutes,
+  getLockoutRetrySeconds,
+  recordFailedLogin,
+  clearFailedLogins,
+};
@@ -0,0 +1,72 @@
+const NotificationPreference = require('../models/NotificationPreference');
+const { NOTIFICATION_CATEGORIES } = require('../config/constants');
+
+const CATEGORIES = Object.values(NOTIFICATION_CATEGORIES);
+
+// Unsubscribe links in emails without a category turn off every category
+const ALL_CATEGORIES = 'all';
+
+// Category of each email users can opt out of; emails not listed here are always sent
+// (account emails, and saved search alerts, which have their own switch per search)
+const EMAIL_CATEGORIES = {
+  'listing-confirmed': NOTIFICATION_CATEGORIES.LISTING_CONFIRMATIONS,
+  'listing-approved': NOTIFICATION_CATEGORIES.LISTING_CONFIRMATIONS,
+  'listing-under-review': NOTIFICATION_CATEGORIES.LISTING_CONFIRMATIONS,
+  'listing-rejected': NOTIFICATION_CATEGORIES.LISTING_CONFIRMATIONS,
+  'new-message': NOTIFICATION_CATEGORIES.MESSAGES,
+  'booking-requested': NOTIFICATION_CATEGORIES.MESSAGES,
+  'booking-approved': NOTIFICATION_CATEGORIES.MESSAGES,
+  'booking-declined': NOTIFICATION_CATEGORIES.MESSAGES,
+  'booking-cancelled': NOTIFICATION_CATEGORIES.MESSAGES,
+  'offer-received': NOTIFICATION_CATEGORIES.MESSAGES,
+  'offer-accepted': NOTIFICATION_CATEGORIES.MESSAGES,
+  'offer-declined': NOTIFICATION_CATEGORIES.MESSAGES,
+  'counter-offer-declined': NOTIFICATION_CATEGORIES.MESSAGES,
+  'counter-offer-received': NOTIFICATION_CATEGORIES.MESSAGES,
+  'offer-car-sold': NOTIFICATION_CATEGORIES.MESSAGES,
+  'offer-listing-removed': NOTIFICATION_CATEGORIES.MESSAGES,
+  'offer-expired': NOTIFICATION_CATEGORIES.MESSAGES,
+  'price-drop': NOTIFICATION_CATEGORIES.PRICE_DROPS,
+};
+
+const getEmailCategory = template => EMAIL_CATEGORIES[template] || null;
+
+// A user's email preferences: category -> enabled (defaults for categories never changed)
+const getEmailPreferences = async (userId) => {
+  const preference = await NotificationPreference.findOne({ user: userId }).lean();
+  return Object.fromEntries(CATEGORIES.map(category => [category, preference?.email?.[category] !== false]));
+};
+
+// Change some of a user's email preferences; resolves to the full set
+const updateEmailPreferences = async (userId, changes) => {
+  const update = Object.fromEntries(
+    Object.entries(changes)
+      .filter(([category]) => CATEGORIES.includes(category))
+      .map(([category, enabled]) => [`email.${category}`, enabled])
+  );
+
+  await NotificationPreference.updateOne({ user: userId }, { $set: update }, { upsert: true });
+  return getEmailPreferences(userId);
+};
+
+// Turn off one category, or every category for ALL_CATEGORIES
+const unsubscribeFromEmails = (userId, category) => updateEmailPreferences(
+  userId,
+  Object.fromEntries((category === ALL_CATEGORIES ? CATEGORIES : [category]).map(name => [name, false]))
+);
+
+// Whether a user wants an email (always true for emails without a category)
+const isEmailEnabled = async (userId, template) => {
+  const category = getEmailCategory(template);
+  if (!category) return true;
+  return (await getEmailPreferences(userId))[category];
+};
+
+module.exports = {
+  ALL_CATEGORIES,
+  getEmailCategory,
+  getEmailPreferences,
+  updateEmailPreferences,
+  unsubscribeFromEmails,
+  isEmailEnabled,
+};
@@ -0,0 +1,42 @@
+const Notification = require('../models/Notification');
+const { sendNotificationEmail } = require('./emailService');
+const { renderNotification } = require('./emailTemplates');
+const { logger } = require('./logger');
+
+/**
+ * Add an in-app notification for a user, rendered in their locale
+ * Never rejects: a failure is logged so it doesn't stop the email or the request
+ *
+ * @param {Object} user - Recipient ({ _id, locale })
+ * @param {string} type - Notification type from templates/emails/<locale>/notifications.json
+ * @param {Object} [data] - Values for the copy; actionUrl becomes the notification's link
+ */
+const createNotification = async (user, type, data = {}) => {
+  if (!user?._id) return null;
+
+  try {
+    const { title, body } = await renderNotification(type, data, user.locale);
+    return await Notification.create({ user: user._id, type, title, body, link: data.actionUrl });
+  } catch (error) {
+    logger.error('Failed to create notification', { type, userId: user._id, error });
+    return null;
+  }
+};
+
+/**
+ * Notify a user in the app and by email (the email honors their notification preferences)
+ *
+ * @param {Object} user - Recipient ({ _id, email, locale })
+ * @param {string} type - Notification type, e.g. 'offer-received'
+ * @param {Object} [data] - Values for the copy (see sendNotificationEmail)
+ * @returns {Promise<Object>} - Result of queueing the email; rejects when queueing fails
+ */
+const notifyUser = async (user, type, data = {}) => {
+  await createNotification(user, type, data);
+  return sendNotificationEmail(user, type, data);
+};
+
+module.exports = {
+  createNotification,
+  notifyUser,
+};
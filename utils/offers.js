@@ -0,0 +1,107 @@
+const Offer = require('../models/Offer');
+const { notifyUser } = require('./notifications');
+const { logger } = require('./logger');
+const { OFFER_STATUS, OPEN_OFFER_STATUSES, OFFERS } = require('../config/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// The side that has to respond next: the seller to an offer, the buyer to a counter-offer
+const getRespondingSide = (offer) => (offer.status === OFFER_STATUS.COUNTERED ? 'buyer' : 'seller');
+
+// Deadline for a response to an offer or counter-offer made now
+const getOfferExpiry = () => new Date(Date.now() + OFFERS.EXPIRY_HOURS * HOUR_MS);
+
+const formatAmount = (amount) => `$${Number(amount).toLocaleString('en-US')}`;
+
+// Notify one side of an offer, without failing the caller when sending the email fails
+const notifyOfferParty = (user, type, data) => {
+  if (!user?.email) return;
+
+  notifyUser(user, type, {
+    ...data,
+    actionUrl: `${process.env.FRONTEND_URL || 'http://localhost:5000'}/#profileSection`,
+  }).catch((emailError) => {
+    logger.error('Failed to send offer email', { error: emailError });
+  });
+};
+
+// Decline every open offer on a car (except the accepted one) and let the buyers know
+// `message` is recorded in the offer history, `type` is the notification the buyers get
+// Resolves to the number of offers declined
+const declineOpenOffers = async (car, { exceptOfferId = null, message, type }) => {
+  const filter = { car: car._id, status: { $in: OPEN_OFFER_STATUSES } };
+  if (exceptOfferId) {
+    filter._id = { $ne: exceptOfferId };
+  }
+
+  const offers = await Offer.find(filter).populate('buyer', 'email locale');
+  if (offers.length === 0) return 0;
+
+  await Offer.updateMany(
+    { _id: { $in: offers.map(offer => offer._id) }, status: { $in: OPEN_OFFER_STATUSES } },
+    {
+      status: OFFER_STATUS.DECLINED,
+      closedAt: Date.now(),
+      $push: { history: { by: 'seller', action: 'decline', message } },
+    }
+  );
+
+  for (const offer of offers) {
+    notifyOfferParty(offer.buyer, type, { amount: formatAmount(offer.amount), car: car.title });
+  }
+
+  return offers.length;
+};
+
+// Expire open offers nobody responded to in time and let both sides know
+const expireStaleOffers = async () => {
+  const offers = await Offer.find({
+    status: { $in: OPEN_OFFER_STATUSES },
+    expiresAt: { $lte: new Date() },
+  })
+    .populate('car', 'title')
+    .populate('buyer', 'email locale')
+    .populate('seller', 'email locale');
+
+  for (const offer of offers) {
+    // Skip offers that were answered since they were loaded
+    const expired = await Offer.findOneAndUpdate(
+      { _id: offer._id, status: offer.status, expiresAt: offer.expiresAt },
+      {
+        status: OFFER_STATUS.EXPIRED,
+        closedAt: Date.now(),
+        $push: { history: { by: getRespondingSide(offer), action: 'expire' } },
+      }
+    );
+    if (!expired) continue;
+
+    const notice = { amount: formatAmount(offer.amount), car: offer.car?.title || 'a listing' };
+    notifyOfferParty(offer.buyer, 'offer-expired', notice);
+    notifyOfferParty(offer.seller, 'offer-expired', notice);
+  }
+};
+
+// Check for expired offers periodically
+const startOfferExpiryScheduler = () => {
+  const interval = OFFERS.EXPIRY_CHECK_INTERVAL_MINUTES * 60 * 1000;
+
+  const timer = setInterval(() => {
+    expireStaleOffers().catch((error) => {
+      logger.error('Failed to expire offers', { error });
+    });
+  }, interval);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getRespondingSide,
+  getOfferExpiry,
+  formatAmount,
+  notifyOfferParty,
+  declineOpenOffers,
+  expireStaleOffers,
+  startOfferExpiryScheduler,
+};
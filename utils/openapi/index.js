@@ -0,0 +1,304 @@
+/**
+ * OpenAPI Document
+ *
+ * Builds an OpenAPI 3 document from the Express routers and the Joi schemas behind their validation
+ * middleware, so the docs follow the code:
+ * - paths and methods come from the routers in routes/index.js
+ * - request bodies and query parameters from requestSchemas (middleware/validationMiddleware.js),
+ *   completed by operations.js for routes without a validation middleware
+ * - auth requirements from authenticate, optionalAuthenticate and authorize(...) in the route's middleware
+ * - deprecations from deprecate(...) (middleware/versionMiddleware.js)
+ * - summaries from the controller names (getAllCarListings -> "Get all car listings")
+ *
+ * checkApiDocumentation lists the routes the document can't describe; `npm run check:openapi` fails on them.
+ */
+
+const { version } = require('../../package.json');
+const { schemas } = require('../validators');
+const { requestSchemas } = require('../../middleware/validationMiddleware');
+const { authenticate, optionalAuthenticate, requireVerifiedEmail } = require('../../middleware/authMiddleware');
+const { joiToSchema, joiToParameters } = require('./joiToSchema');
+const operations = require('./operations');
+const { ERROR_MESSAGES, API_VERSIONING } = require('../../config/constants');
+
+const errorResponse = (description, message, extra = {}) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: { $ref: '#/components/schemas/ErrorResponse' },
+      example: { success: false, message, ...extra, requestId: '3f2b9c1e-8d4a-4e3b-9a61-5c7d2e8f1a90' },
+    },
+  },
+});
+
+const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'Access token from POST /auth/login or POST /auth/refresh',
+    },
+  },
+  schemas: {
+    SuccessResponse: {
+      type: 'object',
+      required: ['success'],
+      properties: {
+        success: { type: 'boolean', enum: [true] },
+        message: { type: 'string' },
+      },
+      additionalProperties: true,
+    },
+    ErrorResponse: {
+      type: 'object',
+      required: ['success', 'message'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        message: { type: 'string' },
+        details: {
+          type: 'array',
+          description: 'Invalid fields, on validation errors',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: 'string', description: 'Path of the field, e.g. location.city' },
+              message: { type: 'string' },
+            },
+          },
+        },
+        requestId: { type: 'string', description: 'Request ID, also sent in the X-Request-Id header' },
+      },
+    },
+  },
+  responses: {
+    ValidationError: errorResponse('Invalid request', ERROR_MESSAGES.VALIDATION_ERROR, {
+      details: [{ field: 'email', message: '"email" must be a valid email' }],
+    }),
+    Unauthorized: errorResponse('Missing, invalid or expired access token', ERROR_MESSAGES.UNAUTHORIZED),
+    Forbidden: errorResponse('Not allowed for this user', 'You do not have permission to access this resource'),
+    NotFound: errorResponse('Resource not found', ERROR_MESSAGES.CAR_NOT_FOUND),
+    TooManyRequests: errorResponse('Rate limit reached, retry after the Retry-After header', ERROR_MESSAGES.TOO_MANY_REQUESTS),
+    Error: errorResponse('Unexpected error', ERROR_MESSAGES.INTERNAL_ERROR),
+  },
+};
+
+// Express path (/cars/:id) to OpenAPI path (/cars/{id})
+const toOpenApiPath = expressPath => expressPath.replace(/:(\w+)/g, '{$1}');
+
+// getAllCarListings -> Get all car listings
+const summarize = name => name
+  .replace(/([A-Z])/g, ' $1')
+  .toLowerCase()
+  .replace(/^./, letter => letter.toUpperCase());
+
+// Component name of a validator schema: userRegistration -> UserRegistration
+const schemaNames = new Map(Object.entries(schemas)
+  .map(([name, builder]) => [builder, name.charAt(0).toUpperCase() + name.slice(1)]));
+
+// Every route of the API routers with its method, OpenAPI path and middleware (router.use ones included)
+const collectRoutes = (apiRoutes) => {
+  const routes = [];
+
+  for (const { path: mountPath, router, tag } of apiRoutes) {
+    const shared = [];
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        shared.push(layer.handle);
+        continue;
+      }
+
+      const handlers = [...shared, ...layer.route.stack.map(routeLayer => routeLayer.handle)];
+      const routePath = layer.route.path === '/' ? '' : layer.route.path;
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({
+          method,
+          path: toOpenApiPath(`${mountPath}${routePath}`),
+          tag,
+          handlers,
+        });
+      }
+    }
+  }
+  return routes;
+};
+
+const operationKey = route => `${route.method.toUpperCase()} ${route.path}`;
+
+// Schemas the route's validation middleware checks, plus the middleware missing from requestSchemas
+const getValidation = (handlers) => {
+  const validated = [];
+  const unknown = [];
+
+  for (const handler of handlers) {
+    if (requestSchemas.has(handler)) {
+      validated.push(requestSchemas.get(handler));
+    } else if (handler.name.startsWith('validate')) {
+      unknown.push(handler.name);
+    }
+  }
+  return { validated, unknown };
+};
+
+// Build the OpenAPI operation object of a route
+const buildOperation = (route) => {
+  const { handlers } = route;
+  const details = operations[operationKey(route)] || {};
+  const { validated } = getValidation(handlers);
+  const controller = handlers[handlers.length - 1];
+
+  const operation = {
+    tags: [route.tag],
+    summary: details.summary || summarize(controller.name),
+    operationId: controller.name,
+  };
+
+  const notes = [];
+  const roles = handlers.find(handler => handler.allowedRoles)?.allowedRoles;
+  if (handlers.includes(authenticate) || roles) {
+    operation.security = [{ bearerAuth: [] }];
+  } else if (handlers.includes(optionalAuthenticate)) {
+    // Anonymous or signed in: the response can depend on who asks
+    operation.security = [{}, { bearerAuth: [] }];
+    notes.push('Authentication is optional.');
+  }
+  if (roles) notes.push(`Requires the ${roles.join(' or ')} role.`);
+  if (handlers.includes(requireVerifiedEmail)) {
+    notes.push('Requires a verified email address when REQUIRE_EMAIL_VERIFICATION is on.');
+  }
+  const deprecation = handlers.find(handler => handler.deprecation)?.deprecation;
+  if (deprecation) {
+    operation.deprecated = true;
+    notes.push(`Deprecated since ${deprecation.since}${deprecation.sunset ? `, removed on ${deprecation.sunset}` : ''}.`);
+    if (deprecation.link) notes.push(`Use ${deprecation.link} instead.`);
+  }
+  if (notes.length > 0) operation.description = notes.join(' ');
+
+  // Parameters: path, then query (validation middleware first)
+  const parameters = [...route.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+  }));
+  const querySchemas = [...validated.map(schema => schema.query), details.query].filter(Boolean);
+  for (const querySchema of querySchemas) {
+    parameters.push(...joiToParameters(typeof querySchema === 'function' ? querySchema() : querySchema, 'query'));
+  }
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  // Request body: a validator schema goes to components, operation-specific ones stay inline
+  const bodyBuilder = validated.find(schema => schema.body)?.body;
+  const body = bodyBuilder ? bodyBuilder() : details.body;
+  if (body) {
+    const schema = joiToSchema(body);
+    operation.requestBody = {
+      required: Boolean(schema.required),
+      content: {
+        [details.contentType || 'application/json']: {
+          schema: bodyBuilder ? { $ref: `#/components/schemas/${schemaNames.get(bodyBuilder)}` } : schema,
+        },
+      },
+    };
+  }
+
+  // Responses: the { success, ... } envelope, errors in the { success, message, details } envelope
+  const status = String(details.status || 200);
+  operation.responses = {
+    [status]: {
+      description: 'Success',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' } } },
+    },
+  };
+  if (validated.length > 0) operation.responses['400'] = { $ref: '#/components/responses/ValidationError' };
+  if (operation.security && !operation.security.some(requirement => !requirement.bearerAuth)) {
+    operation.responses['401'] = { $ref: '#/components/responses/Unauthorized' };
+  }
+  if (roles || handlers.includes(requireVerifiedEmail)) {
+    operation.responses['403'] = { $ref: '#/components/responses/Forbidden' };
+  }
+  if (parameters.some(parameter => parameter.in === 'path')) {
+    operation.responses['404'] = { $ref: '#/components/responses/NotFound' };
+  }
+  operation.responses['429'] = { $ref: '#/components/responses/TooManyRequests' };
+  operation.responses.default = { $ref: '#/components/responses/Error' };
+
+  return operation;
+};
+
+/**
+ * Build the OpenAPI document of the API
+ *
+ * @param {Array<Object>} apiRoutes - Routers and their mount paths (routes/index.js)
+ * @param {Object} [options]
+ * @param {string} [options.basePath] - Where the routers are mounted
+ * @returns {Object} - OpenAPI 3 document
+ */
+const buildOpenApiDocument = (apiRoutes, { basePath = `/api/${API_VERSIONING.DEFAULT_VERSION}` } = {}) => {
+  const paths = {};
+  for (const route of collectRoutes(apiRoutes)) {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = buildOperation(route);
+  }
+
+  const requestBodySchemas = {};
+  for (const [builder, name] of schemaNames) {
+    requestBodySchemas[name] = joiToSchema(builder());
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Car Website API',
+      version,
+      description: 'Car marketplace and rental API. Successful responses have `success: true`; errors are '
+        + '`{ success: false, message, details }`, with `details` listing invalid fields on validation errors. '
+        + 'The unversioned `/api` path serves the version named in the `Accept-Version` header, or '
+        + `${API_VERSIONING.DEFAULT_VERSION} when there is none; those responses, and endpoints due for removal, `
+        + 'carry `Deprecation` and `Sunset` headers.',
+    },
+    servers: [{ url: basePath }],
+    tags: apiRoutes.map(({ tag }) => ({ name: tag })),
+    paths,
+    components: {
+      ...components,
+      schemas: { ...components.schemas, ...requestBodySchemas },
+    },
+  };
+};
+
+/**
+ * List what keeps the OpenAPI document from describing every route
+ *
+ * @param {Array<Object>} apiRoutes - Routers and their mount paths (routes/index.js)
+ * @returns {Array<string>} - Problems, empty when every route is documented
+ */
+const checkApiDocumentation = (apiRoutes) => {
+  const problems = [];
+  const routeKeys = new Set();
+
+  for (const route of collectRoutes(apiRoutes)) {
+    const key = operationKey(route);
+    const { validated, unknown } = getValidation(route.handlers);
+    routeKeys.add(key);
+
+    for (const name of unknown) {
+      problems.push(`${key}: ${name} is missing from requestSchemas in middleware/validationMiddleware.js`);
+    }
+    if (validated.length === 0 && unknown.length === 0 && !operations[key]) {
+      problems.push(`${key}: no documented schema (add a validation middleware or an entry in utils/openapi/operations.js)`);
+    }
+  }
+
+  for (const key of Object.keys(operations)) {
+    if (!routeKeys.has(key)) {
+      problems.push(`${key}: documented in utils/openapi/operations.js but there is no such route`);
+    }
+  }
+  return problems;
+};
+
+module.exports = {
+  buildOpenApiDocument,
+  checkApiDocumentation,
+};
@@ -0,0 +1,148 @@
+/**
+ * Joi to OpenAPI Schema
+ *
+ * Converts Joi schemas (through schema.describe()) to OpenAPI 3 schema objects. Covers what utils/validators.js
+ * uses: objects, strings, numbers, booleans, dates, arrays and the query-string `list` type. Conditions
+ * (.when) are documented by their base schema, references (Joi.ref) are left out.
+ * Extra OpenAPI keywords can be added with .meta(), e.g. Joi.any().meta({ type: 'string', format: 'binary' }).
+ */
+
+const STRING_PATTERNS = {
+  alphanum: '^[a-zA-Z0-9]*$',
+  hex: '^[a-fA-F0-9]*$',
+};
+
+// Literal allowed values (Joi also lists references and the empty string there)
+const literalValues = values => (values || []).filter(value => value === null || typeof value !== 'object');
+
+const applyStringRules = (schema, rules) => {
+  for (const { name, args } of rules) {
+    if (name === 'min') schema.minLength = args.limit;
+    if (name === 'max') schema.maxLength = args.limit;
+    if (name === 'length') {
+      schema.minLength = args.limit;
+      schema.maxLength = args.limit;
+    }
+    if (name === 'email') schema.format = 'email';
+    if (name === 'uri') schema.format = 'uri';
+    if (name === 'pattern') schema.pattern = args.regex.slice(1, args.regex.lastIndexOf('/'));
+    if (STRING_PATTERNS[name]) schema.pattern = STRING_PATTERNS[name];
+  }
+};
+
+const applyNumberRules = (schema, rules) => {
+  for (const { name, args } of rules) {
+    if (name === 'integer') schema.type = 'integer';
+    if (name === 'min') schema.minimum = args.limit;
+    if (name === 'max') schema.maximum = args.limit;
+    if (name === 'greater') schema.exclusiveMinimum = args.limit;
+    if (name === 'less') schema.exclusiveMaximum = args.limit;
+  }
+};
+
+const applyArrayRules = (schema, rules) => {
+  for (const { name, args } of rules) {
+    if (name === 'min') schema.minItems = args.limit;
+    if (name === 'max') schema.maxItems = args.limit;
+    if (name === 'length') {
+      schema.minItems = args.limit;
+      schema.maxItems = args.limit;
+    }
+  }
+};
+
+// Convert the output of schema.describe()
+const convertDescription = (description) => {
+  const { type, flags = {}, rules = [] } = description;
+  let schema = {};
+
+  switch (type) {
+    case 'object': {
+      schema = { type: 'object' };
+      if (description.keys) {
+        schema.properties = {};
+        const required = [];
+        for (const [key, child] of Object.entries(description.keys)) {
+          schema.properties[key] = convertDescription(child);
+          if (child.flags?.presence === 'required') required.push(key);
+        }
+        if (required.length > 0) schema.required = required;
+      }
+      for (const { name, args } of rules) {
+        if (name === 'min') schema.minProperties = args.limit;
+        if (name === 'max') schema.maxProperties = args.limit;
+      }
+      break;
+    }
+    case 'array':
+    case 'list':
+      schema = { type: 'array', items: description.items?.[0] ? convertDescription(description.items[0]) : {} };
+      applyArrayRules(schema, rules);
+      break;
+    case 'string':
+      schema = { type: 'string' };
+      applyStringRules(schema, rules);
+      break;
+    case 'number':
+      schema = { type: 'number' };
+      applyNumberRules(schema, rules);
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'date':
+      schema = { type: 'string', format: 'date-time' };
+      break;
+    default:
+      schema = {};
+  }
+
+  const values = literalValues(description.allow);
+  if (flags.only && values.length > 0) {
+    schema.enum = values;
+  }
+  if (flags.default !== undefined && typeof flags.default !== 'function' && typeof flags.default !== 'object') {
+    schema.default = flags.default;
+  }
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  for (const meta of description.metas || []) {
+    Object.assign(schema, meta);
+  }
+  return schema;
+};
+
+/**
+ * Convert a Joi schema to an OpenAPI schema object
+ *
+ * @param {Object} joiSchema - Joi schema
+ * @returns {Object} - OpenAPI 3 schema
+ */
+const joiToSchema = joiSchema => convertDescription(joiSchema.describe());
+
+/**
+ * Convert the keys of a Joi object schema to OpenAPI parameters
+ *
+ * @param {Object} joiSchema - Joi object schema
+ * @param {string} location - query or path
+ * @returns {Array<Object>} - OpenAPI parameter objects
+ */
+const joiToParameters = (joiSchema, location) => {
+  const { properties = {}, required = [] } = joiToSchema(joiSchema);
+
+  return Object.entries(properties).map(([name, schema]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema,
+    // Lists are sent as ?a=x,y (or repeated, ?a=x&a=y)
+    ...(schema.type === 'array' && { style: 'form', explode: false }),
+  }));
+};
+
+module.exports = {
+  joiToSchema,
+  joiToParameters,
+};
@@ -0,0 +1,150 @@
+/**
+ * OpenAPI Operation Details
+ *
+ * Documentation for routes beyond what their middleware tells: query parameters and bodies of routes without
+ * a validation middleware, success statuses other than 200 and summaries. Keys are `METHOD /path` relative to
+ * /api/<version>, with path parameters in OpenAPI form ({id}).
+ *
+ * Every route needs a validation middleware (see requestSchemas in middleware/validationMiddleware.js) or an
+ * entry here; `{}` documents a route that takes nothing besides its path parameters.
+ */
+
+const Joi = require('joi');
+const { ROLES, OFFER_STATUS, BOOKING_STATUS, EMAIL_STATUS, ANALYTICS } = require('../../config/constants');
+
+// page / limit query parameters, as read by the controllers
+const pagination = (defaultLimit, maxLimit) => ({
+  page: Joi.number().integer().min(1).default(1),
+  limit: maxLimit
+    ? Joi.number().integer().min(1).max(maxLimit).default(defaultLimit)
+    : Joi.number().integer().min(1).default(defaultLimit),
+});
+
+const CREATED = 201;
+
+const operations = {
+  // Auth
+  'POST /auth/register': { status: CREATED },
+  'GET /auth/verify-email/{token}': {},
+
+  // Users
+  'GET /users/saved-searches/unsubscribe/{token}': { summary: 'Turn off alerts of a saved search (link from emails)' },
+  'GET /users/profile': {},
+  'DELETE /users/account': {},
+  'GET /users/sessions': {},
+  'DELETE /users/sessions': { summary: 'Sign out every other session' },
+  'DELETE /users/sessions/{sessionId}': {},
+  'GET /users/favorites': { query: Joi.object(pagination(10)) },
+  'POST /users/favorites/{carId}': {},
+  'DELETE /users/favorites/{carId}': {},
+  'GET /users/saved-searches': {},
+  'POST /users/saved-searches': { status: CREATED },
+  'DELETE /users/saved-searches/{searchId}': {},
+
+  // Cars
+  'POST /cars': { status: CREATED },
+  'GET /cars/{id}': {},
+  'DELETE /cars/{id}': {},
+  'GET /cars/{id}/reviews': { query: Joi.object(pagination(10, 50)) },
+  'POST /cars/{id}/reviews': { status: CREATED },
+  'DELETE /cars/{id}/reviews': {},
+  'GET /cars/{id}/price-history': {},
+  'GET /cars/{id}/availability': {},
+  'GET /cars/{id}/status-history': {},
+  'GET /cars/user/listings': { query: Joi.object(pagination(10)) },
+  'GET /cars/user/offers': {
+    query: Joi.object({
+      role: Joi.string().valid('buyer', 'seller').default('buyer'),
+      status: Joi.string().valid(...Object.values(OFFER_STATUS)),
+      ...pagination(20),
+    }),
+  },
+  'GET /cars/user/analytics': {
+    query: Joi.object({
+      days: Joi.number().integer().min(1).max(ANALYTICS.MAX_DAYS).default(ANALYTICS.DEFAULT_DAYS),
+    }),
+  },
+  'POST /cars/{id}/contact/phone': { summary: 'Reveal the seller\'s phone number' },
+  'POST /cars/{id}/images': {
+    status: CREATED,
+    contentType: 'multipart/form-data',
+    body: Joi.object({
+      images: Joi.array().items(Joi.any().meta({ type: 'string', format: 'binary' })).min(1).required(),
+    }),
+  },
+  'PUT /cars/{id}/images/{imageId}/cover': {},
+  'DELETE /cars/{id}/images/{imageId}': {},
+  'POST /cars/{id}/bookings': { status: CREATED },
+  'GET /cars/{id}/offers': {
+    query: Joi.object({
+      status: Joi.string().valid(...Object.values(OFFER_STATUS)),
+      ...pagination(20),
+    }),
+  },
+  'POST /cars/{id}/offers': { status: CREATED },
+  'GET /cars/{id}/offers/{offerId}': {},
+  'POST /cars/{id}/offers/{offerId}/accept': {},
+
+  // Moderation
+  'GET /moderation/queue': { query: Joi.object(pagination(10)) },
+  'POST /moderation/cars/{id}/approve': {},
+
+  // Admin
+  'GET /admin/users': {
+    query: Joi.object({
+      search: Joi.string(),
+      role: Joi.string().valid(...Object.values(ROLES)),
+      suspended: Joi.boolean(),
+      ...pagination(20),
+    }),
+  },
+  'GET /admin/users/{id}': {},
+  'POST /admin/users/{id}/reinstate': {},
+  'DELETE /admin/users/{id}/listings': {},
+  'GET /admin/emails': {
+    query: Joi.object({
+      status: Joi.string().valid(...Object.values(EMAIL_STATUS)),
+      to: Joi.string().email(),
+      ...pagination(20),
+    }),
+  },
+  'GET /admin/emails/{id}': {},
+  'POST /admin/emails/{id}/resend': {},
+
+  // Conversations
+  'GET /conversations': { query: Joi.object(pagination(20)) },
+  'POST /conversations': { status: CREATED },
+  'GET /conversations/{id}/messages': { query: Joi.object(pagination(30, 100)) },
+  'POST /conversations/{id}/messages': { status: CREATED },
+  'POST /conversations/{id}/read': {},
+
+  // Bookings
+  'GET /bookings': {
+    query: Joi.object({
+      role: Joi.string().valid('renter', 'owner').default('renter'),
+      status: Joi.string().valid(...Object.values(BOOKING_STATUS)),
+      ...pagination(10),
+    }),
+  },
+  'GET /bookings/{id}': {},
+  'POST /bookings/{id}/approve': {},
+
+  // Notifications
+  'POST /notifications/unsubscribe': {
+    summary: 'Turn off an email category (one-click unsubscribe link from emails)',
+    query: Joi.object({ token: Joi.string() }),
+    body: Joi.object({ token: Joi.string().description('Alternative to the token query parameter') }),
+  },
+  'GET /notifications': {
+    query: Joi.object({
+      unread: Joi.boolean().description('Only unread notifications'),
+      ...pagination(20),
+    }),
+  },
+  'GET /notifications/unread-count': {},
+  'POST /notifications/read-all': {},
+  'POST /notifications/{id}/read': {},
+  'GET /notifications/preferences': {},
+};
+
+module.exports = operations;
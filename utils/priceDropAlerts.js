@@ -0,0 +1,68 @@
+const Favorite = require('../models/Favorite');
+const { notifyUser } = require('./notifications');
+const { findMatchingSavedSearches } = require('./savedSearchAlerts');
+const { generateSavedSearchUnsubscribeToken } = require('./jwtUtils');
+const { logger } = require('./logger');
+const { CAR_STATUS, PRICE_DROP } = require('../config/constants');
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5000';
+
+const formatPrice = (price) => `$${Number(price).toLocaleString('en-US')}`;
+
+// Drop from the previous price in percent (0 when the price went up)
+const getExactPriceDropPercent = (previousPrice, price) => (
+  previousPrice > price ? ((previousPrice - price) / previousPrice) * 100 : 0
+);
+
+// Same, rounded to whole percent for display
+const getPriceDropPercent = (previousPrice, price) => Math.round(getExactPriceDropPercent(previousPrice, price));
+
+// Email users who saved the car or whose saved search matches it about a price drop
+// Each user gets at most one email; drops below PRICE_DROP.MIN_ALERT_PERCENT are ignored
+const notifyPriceDrop = async (car, previousPrice) => {
+  // The threshold is checked against the exact drop, so a 4.6% drop does not pass a 5% threshold
+  const exactPercent = getExactPriceDropPercent(previousPrice, car.price);
+  if (exactPercent <= 0 || exactPercent < PRICE_DROP.MIN_ALERT_PERCENT || car.status !== CAR_STATUS.AVAILABLE) return;
+  const percent = getPriceDropPercent(previousPrice, car.price);
+
+  const ownerId = (car.owner?._id || car.owner).toString();
+  const recipients = new Map();
+
+  const favorites = await Favorite.find({ car: car._id }).populate('user', 'email locale isSuspended');
+  for (const favorite of favorites) {
+    if (favorite.user) recipients.set(favorite.user._id.toString(), { user: favorite.user });
+  }
+
+  const searches = await findMatchingSavedSearches(car, { isActive: true, user: { $ne: ownerId } });
+  for (const search of searches) {
+    if (search.user && !recipients.has(search.user._id.toString())) {
+      recipients.set(search.user._id.toString(), { user: search.user, search });
+    }
+  }
+
+  for (const [userId, { user, search }] of recipients) {
+    if (userId === ownerId || !user.email || user.isSuspended) continue;
+
+    try {
+      await notifyUser(user, 'price-drop', {
+        car: car.title,
+        year: car.year,
+        price: formatPrice(car.price),
+        previousPrice: formatPrice(previousPrice),
+        percent,
+        search: search?.name,
+        actionUrl: `${frontendUrl()}/#cars`,
+        unsubscribeUrl: search
+          ? `${frontendUrl()}/?unsubscribeSearch=${generateSavedSearchUnsubscribeToken(search._id)}`
+          : undefined,
+      });
+    } catch (emailError) {
+      logger.error('Failed to send price drop alert', { error: emailError });
+    }
+  }
+};
+
+module.exports = {
+  getPriceDropPercent,
+  notifyPriceDrop,
+};
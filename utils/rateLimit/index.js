@@ -0,0 +1,30 @@
+/**
+ * Rate Limit Store Module
+ *
+ * Picks the counter store from RATE_LIMIT_STORE. Every store exposes:
+ * - increment(key, windowMs) -> Promise<{ count, resetAt }> hits in the current fixed window
+ * - decrement(key) -> Promise<void> take back a hit (used to count only failed requests)
+ * - reset(key) -> Promise<void>
+ *
+ * To add a shared store (Redis, MongoDB, ...), write an adapter with the same interface and register it below.
+ */
+
+const createMemoryStore = require('./memoryStore');
+
+const stores = {
+  memory: () => createMemoryStore(),
+};
+
+const createRateLimitStore = () => {
+  const driver = process.env.RATE_LIMIT_STORE || 'memory';
+  if (!stores[driver]) {
+    throw new Error(`Unknown rate limit store: ${driver}`);
+  }
+  return stores[driver]();
+};
+
+const rateLimitStore = createRateLimitStore();
+
+module.exports = {
+  rateLimitStore,
+};
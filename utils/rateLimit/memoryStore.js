@@ -0,0 +1,55 @@
+/**
+ * In-memory rate limit store
+ * Counters live in this process only: use a shared store when running more than one instance
+ *
+ * @param {Object} [options]
+ * @param {number} [options.cleanupIntervalMs] - How often expired counters are dropped
+ */
+const createMemoryStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+  // key -> { count, resetAt }
+  const counters = new Map();
+
+  const getActive = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, cleanupIntervalMs);
+
+  // Don't keep the process alive just for the cleanup
+  timer.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      let counter = getActive(key);
+      if (!counter) {
+        counter = { count: 0, resetAt: Date.now() + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    async decrement(key) {
+      const counter = getActive(key);
+      if (counter && counter.count > 0) counter.count -= 1;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+};
+
+module.exports = createMemoryStore;
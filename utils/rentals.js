@@ -0,0 +1,153 @@
+const Car = require('../models/Car');
+const Booking = require('../models/Booking');
+const { statusHistoryEntry } = require('./carStatus');
+const { logger } = require('./logger');
+const { CAR_STATUS, BOOKING_STATUS, RENTAL } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RENTAL_STARTED_REASON = 'Rental booking started';
+
+// Matches cars whose latest status change is the sync's own move to "rented"
+// (statusHistory entries have no changedBy when the system made the change)
+const rentedBySync = {
+  $expr: {
+    $let: {
+      vars: { last: { $arrayElemAt: ['$statusHistory', -1] } },
+      in: {
+        $and: [
+          { $eq: ['$$last.to', CAR_STATUS.RENTED] },
+          { $eq: ['$$last.reason', RENTAL_STARTED_REASON] },
+          { $not: ['$$last.changedBy'] },
+        ],
+      },
+    },
+  },
+};
+
+// Bookings are made for whole days, stored as UTC midnight
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Number of charged days between pick-up and return
+const countRentalDays = (startDate, endDate) => Math.round((endDate - startDate) / DAY_MS);
+
+// Price for a number of days: full weeks at the weekly rate (when set and cheaper), the rest at the daily rate
+const calculateRentalPrice = (rental, days) => {
+  const dailyTotal = days * rental.dailyRate;
+  if (!rental.weeklyRate) {
+    return dailyTotal;
+  }
+
+  const weeks = Math.floor(days / 7);
+  return Math.min(dailyTotal, weeks * rental.weeklyRate + (days % 7) * rental.dailyRate);
+};
+
+// Ranges are half-open: [startDate, endDate)
+const overlaps = (startA, endA, startB, endB) => startA < endB && endA > startB;
+
+// Check a date range against the owner's blackout dates and approved bookings
+// Resolves to a description of the conflict, or null when the car is free
+const findBookingConflict = async (car, startDate, endDate, excludeBookingId = null) => {
+  const blackout = (car.rental?.blackoutDates || [])
+    .find(period => overlaps(startDate, endDate, period.startDate, period.endDate));
+  if (blackout) {
+    return `The owner has blocked ${blackout.startDate.toISOString().slice(0, 10)} to ${blackout.endDate.toISOString().slice(0, 10)}`;
+  }
+
+  const filter = {
+    car: car._id,
+    status: BOOKING_STATUS.APPROVED,
+    startDate: { $lt: endDate },
+    endDate: { $gt: startDate },
+  };
+  if (excludeBookingId) {
+    filter._id = { $ne: excludeBookingId };
+  }
+
+  return (await Booking.exists(filter)) ? 'The car is already booked for part of these dates' : null;
+};
+
+// Move a rentable car to "rented" while an approved booking is running, and back to "available" after it
+// Sold cars, cars under moderation and cars the owner marked as rented themselves are left alone
+const syncCarRentalStatus = async (carId) => {
+  const now = new Date();
+  const active = await Booking.exists({
+    car: carId,
+    status: BOOKING_STATUS.APPROVED,
+    startDate: { $lte: now },
+    endDate: { $gt: now },
+  });
+
+  if (active) {
+    await Car.updateOne(
+      { _id: carId, status: CAR_STATUS.AVAILABLE },
+      {
+        status: CAR_STATUS.RENTED,
+        updatedAt: Date.now(),
+        $push: { statusHistory: statusHistoryEntry(CAR_STATUS.AVAILABLE, CAR_STATUS.RENTED, null, RENTAL_STARTED_REASON) },
+      }
+    );
+  } else {
+    await Car.updateOne(
+      { _id: carId, status: CAR_STATUS.RENTED, 'rental.isRentable': true, ...rentedBySync },
+      {
+        status: CAR_STATUS.AVAILABLE,
+        updatedAt: Date.now(),
+        $push: { statusHistory: statusHistoryEntry(CAR_STATUS.RENTED, CAR_STATUS.AVAILABLE, null, 'Rental booking ended') },
+      }
+    );
+  }
+};
+
+// Complete finished bookings and bring every affected car's status up to date
+const syncRentalStatuses = async () => {
+  const now = new Date();
+
+  const finished = await Booking.find({ status: BOOKING_STATUS.APPROVED, endDate: { $lte: now } }).select('car');
+  if (finished.length > 0) {
+    await Booking.updateMany(
+      { _id: { $in: finished.map(booking => booking._id) } },
+      { status: BOOKING_STATUS.COMPLETED }
+    );
+  }
+
+  const started = await Booking.find({
+    status: BOOKING_STATUS.APPROVED,
+    startDate: { $lte: now },
+    endDate: { $gt: now },
+  }).select('car');
+
+  const carIds = new Set([...finished, ...started].map(booking => booking.car.toString()));
+  for (const carId of carIds) {
+    await syncCarRentalStatus(carId);
+  }
+};
+
+// Keep car statuses in line with bookings as they start and end
+const startRentalStatusScheduler = () => {
+  const interval = RENTAL.STATUS_SYNC_INTERVAL_MINUTES * 60 * 1000;
+
+  const timer = setInterval(() => {
+    syncRentalStatuses().catch((error) => {
+      logger.error('Failed to sync rental statuses', { error });
+    });
+  }, interval);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startOfUtcDay,
+  countRentalDays,
+  calculateRentalPrice,
+  findBookingConflict,
+  syncCarRentalStatus,
+  syncRentalStatuses,
+  startRentalStatusScheduler,
+};
@@ -0,0 +1,125 @@
+const Car = require('../models/Car');
+const SavedSearch = require('../models/SavedSearch');
+const { notifyUser } = require('./notifications');
+const { buildCarListingFilter, matchesCarListingFilter } = require('./carQuery');
+const { generateSavedSearchUnsubscribeToken } = require('./jwtUtils');
+const { logger } = require('./logger');
+const { SAVED_SEARCH } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5000';
+
+const describeCar = (car) => `${car.title} (${car.year}) - $${Number(car.price).toLocaleString('en-US')}`;
+
+// Notify the user behind a saved search about the given cars
+const sendSearchAlert = (search, cars, { digest }) => (
+  notifyUser(search.user, digest ? 'saved-search-digest' : 'saved-search-match', {
+    search: search.name,
+    count: cars.length,
+    oneCar: cars.length === 1,
+    items: cars.map(describeCar),
+    actionUrl: `${frontendUrl()}/#cars`,
+    unsubscribeUrl: `${frontendUrl()}/?unsubscribeSearch=${generateSavedSearchUnsubscribeToken(search._id)}`,
+  })
+);
+
+// Saved searches selected by `filter` that match the car, with their users populated
+// Filters are checked in memory; MongoDB is only asked about full-text terms, once per distinct term
+const findMatchingSavedSearches = async (car, filter) => {
+  const candidates = (await SavedSearch.find(filter))
+    .filter(search => matchesCarListingFilter(car, search.filters));
+
+  const textMatches = new Map();
+  const searches = [];
+  for (const search of candidates) {
+    const term = search.filters?.search;
+    if (term && !textMatches.has(term)) {
+      textMatches.set(term, Boolean(await Car.exists({ _id: car._id, $text: { $search: term } })));
+    }
+    if (!term || textMatches.get(term)) searches.push(search);
+  }
+
+  return SavedSearch.populate(searches, { path: 'user', select: 'email locale isSuspended' });
+};
+
+// Send instant alerts for a listing that just became public
+const notifyMatchingSavedSearches = async (car) => {
+  const searches = await findMatchingSavedSearches(car, {
+    isActive: true,
+    frequency: 'instant',
+    user: { $ne: car.owner?._id || car.owner },
+  });
+
+  for (const search of searches) {
+    if (!search.user?.email || search.user.isSuspended) continue;
+
+    try {
+      await sendSearchAlert(search, [car], { digest: false });
+      search.lastNotifiedAt = new Date();
+      await search.save();
+    } catch (emailError) {
+      logger.error('Failed to send saved search alert', { error: emailError });
+    }
+  }
+};
+
+// Send digests for daily searches that have not been notified in the last 24 hours
+const sendDailySavedSearchDigests = async () => {
+  const now = new Date();
+  const searches = await SavedSearch.find({
+    isActive: true,
+    frequency: 'daily',
+    $or: [{ lastNotifiedAt: null }, { lastNotifiedAt: { $lte: new Date(now - DAY_MS) } }],
+  }).populate('user', 'email locale isSuspended');
+
+  for (const search of searches) {
+    const since = search.lastNotifiedAt || search.createdAt;
+
+    if (search.user?.email && !search.user.isSuspended) {
+      // Approved listings count as new from the moment they were approved
+      const cars = await Car.find({
+        ...buildCarListingFilter(search.filters),
+        owner: { $ne: search.user._id },
+        $or: [{ createdAt: { $gt: since } }, { 'moderation.reviewedAt': { $gt: since } }],
+      })
+        .sort({ createdAt: -1 })
+        .limit(SAVED_SEARCH.MAX_CARS_PER_EMAIL);
+
+      if (cars.length > 0) {
+        try {
+          await sendSearchAlert(search, cars, { digest: true });
+        } catch (emailError) {
+          // Leave lastNotifiedAt alone so the same cars are retried on the next run
+          logger.error('Failed to send saved search digest', { error: emailError });
+          continue;
+        }
+      }
+    }
+
+    search.lastNotifiedAt = now;
+    await search.save();
+  }
+};
+
+// Check for due daily digests periodically
+const startSavedSearchScheduler = () => {
+  const interval = SAVED_SEARCH.DIGEST_CHECK_INTERVAL_MINUTES * 60 * 1000;
+
+  const timer = setInterval(() => {
+    sendDailySavedSearchDigests().catch((error) => {
+      logger.error('Failed to send saved search digests', { error });
+    });
+  }, interval);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  findMatchingSavedSearches,
+  notifyMatchingSavedSearches,
+  sendDailySavedSearchDigests,
+  startSavedSearchScheduler,
+};
@@ -0,0 +1,45 @@
+/**
+ * Storage Module
+ *
+ * Picks the file storage backend from STORAGE_DRIVER. Every adapter exposes:
+ * - save(key, buffer, contentType) -> Promise<string> public URL of the stored file
+ * - remove(key) -> Promise<void>
+ *
+ * To add a backend (S3, GCS, ...), write an adapter with the same interface and register it below.
+ */
+
+const path = require('path');
+const createLocalDiskStorage = require('./localDiskStorage');
+const { logger } = require('../logger');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+const UPLOADS_URL_PATH = '/api/uploads';
+
+const drivers = {
+  local: () => createLocalDiskStorage({ rootDir: UPLOAD_DIR, urlPath: UPLOADS_URL_PATH }),
+};
+
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+  if (!drivers[driver]) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  return drivers[driver]();
+};
+
+const storage = createStorage();
+
+// Remove stored files, logging failures instead of throwing
+// Used for cleanup, where a leftover file must not fail the request
+const removeFilesQuietly = async (keys) => {
+  await Promise.all(keys.filter(Boolean).map(key => storage.remove(key).catch((error) => {
+    logger.error('Failed to remove stored file', { key, error });
+  })));
+};
+
+module.exports = {
+  storage,
+  removeFilesQuietly,
+  UPLOAD_DIR,
+  UPLOADS_URL_PATH,
+};
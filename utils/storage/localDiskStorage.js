@@ -0,0 +1,45 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local disk storage adapter
+ * Files are written under UPLOAD_DIR and served by server.js at UPLOADS_URL_PATH
+ *
+ * @param {Object} options
+ * @param {string} options.rootDir - Directory to write files to
+ * @param {string} options.urlPath - Public URL prefix the directory is served from
+ */
+const createLocalDiskStorage = ({ rootDir, urlPath }) => {
+  // Keys are generated by us, but never let one escape the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${urlPath}/${key}`;
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        // Already gone is fine
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+  };
+};
+
+module.exports = createLocalDiskStorage;
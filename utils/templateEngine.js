@@ -0,0 +1,144 @@
+/**
+ * Template Engine
+ *
+ * A small Mustache-compatible renderer for email templates:
+ * - {{name}} / {{user.name}}  value, HTML-escaped when rendering HTML
+ * - {{{name}}}                value, never escaped (for pre-rendered HTML such as a layout's body)
+ * - {{#name}}...{{/name}}     section: repeated for each item of a list, rendered once for other truthy values
+ * - {{^name}}...{{/name}}     inverted section: rendered when the value is falsy or an empty list
+ * - {{> name}}                partial, looked up through the `partials` callback
+ * - {{! comment}}
+ * Inside a section, {{.}} is the current item.
+ */
+
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/>!&]?)\s*([^}]*?)\s*\}\}/g;
+
+// Section, comment and partial tags alone on a line don't leave a blank line behind
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{\{\s*[#^/>!][^}]*\}\})[ \t]*\r?\n/gm;
+
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Escape text before putting it into HTML (also safe inside quoted attributes)
+ *
+ * @param {string} value - Text to escape
+ * @returns {string} - HTML-safe text
+ */
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Parse a template into a tree of text, value, section and partial nodes
+const parse = (template) => {
+  const root = { children: [] };
+  const stack = [root];
+  const source = template.replace(STANDALONE_TAG_PATTERN, '$1');
+  let position = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const current = stack[stack.length - 1];
+    if (match.index > position) {
+      current.children.push({ type: 'text', value: source.slice(position, match.index) });
+    }
+    position = match.index + match[0].length;
+
+    const [, rawName, sigil, name] = match;
+    if (rawName) {
+      current.children.push({ type: 'value', name: rawName, escape: false });
+    } else if (sigil === '#' || sigil === '^') {
+      const section = { type: 'section', name, inverted: sigil === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected closing tag {{/${name}}}`);
+      }
+      stack.pop();
+    } else if (sigil === '>') {
+      current.children.push({ type: 'partial', name });
+    } else if (sigil === '&') {
+      current.children.push({ type: 'value', name, escape: false });
+    } else if (sigil !== '!') {
+      current.children.push({ type: 'value', name, escape: true });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (position < source.length) {
+    root.children.push({ type: 'text', value: source.slice(position) });
+  }
+  return root.children;
+};
+
+// Resolve a (dotted) name against the context stack, innermost context first
+const lookup = (contexts, name) => {
+  if (name === '.') return contexts[contexts.length - 1];
+
+  const [first, ...rest] = name.split('.');
+  for (let index = contexts.length - 1; index >= 0; index -= 1) {
+    const context = contexts[index];
+    if (context !== null && typeof context === 'object' && first in context) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[first]);
+    }
+  }
+  return undefined;
+};
+
+const renderNodes = (nodes, contexts, options, depth) => nodes.map((node) => {
+  if (node.type === 'text') return node.value;
+
+  if (node.type === 'value') {
+    const value = lookup(contexts, node.name);
+    if (value === null || value === undefined) return '';
+    return node.escape ? options.escape(value) : String(value);
+  }
+
+  if (node.type === 'partial') {
+    if (depth >= MAX_PARTIAL_DEPTH) {
+      throw new Error(`Partials nested too deeply at {{> ${node.name}}}`);
+    }
+    const partial = options.partials(node.name);
+    if (partial === null || partial === undefined) {
+      throw new Error(`Unknown partial: ${node.name}`);
+    }
+    return renderNodes(parse(partial), contexts, options, depth + 1);
+  }
+
+  const value = lookup(contexts, node.name);
+  const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+  if (node.inverted) {
+    return isEmpty ? renderNodes(node.children, contexts, options, depth) : '';
+  }
+  if (isEmpty) return '';
+  if (Array.isArray(value)) {
+    return value.map(item => renderNodes(node.children, [...contexts, item], options, depth)).join('');
+  }
+  return renderNodes(node.children, [...contexts, value], options, depth);
+}).join('');
+
+/**
+ * Render a template with data
+ *
+ * @param {string} template - Template source
+ * @param {Object} data - Values for the template
+ * @param {Object} [options]
+ * @param {boolean} [options.html] - Escape values for HTML (default true); off for plain text and subjects
+ * @param {Function} [options.partials] - name -> partial source, or null when there is no such partial
+ * @returns {string} - Rendered text
+ */
+const render = (template, data = {}, { html = true, partials = () => null } = {}) => renderNodes(
+  parse(template),
+  [data],
+  { escape: html ? escapeHtml : String, partials },
+  0
+);
+
+module.exports = {
+  escapeHtml,
+  render,
+};
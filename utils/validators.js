@@ -1,77 +1,349 @@
 const Joi = require('joi');
+const {
+  ROLES,
+  CAR_STATUS,
+  PUBLIC_CAR_STATUSES,
+  CONTACT_VISIBILITY,
+  CAR_SORT_OPTIONS,
+  SAVED_SEARCH,
+  MESSAGING,
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  NOTIFICATION_CATEGORIES,
+} = require('../config/constants');
+
+// Joi with a "list" type for query strings: accepts both ?a=x,y and ?a=x&a=y
+const QueryJoi = Joi.extend({
+  type: 'list',
+  base: Joi.array(),
+  coerce: {
+    from: 'string',
+    method: (value) => ({ value: value.split(',').map(item => item.trim()).filter(Boolean) }),
+  },
+});
+
+// Each schema is a builder, so values such as the current year are read on every validation.
+// The builders are also exported (as `schemas`) for the OpenAPI document, see utils/openapi.
 
 // User Registration Validation
-const validateUserRegistration = (data) => {
-  const schema = Joi.object({
-    username: Joi.string().alphanum().min(3).max(30).required(),
-    email: Joi.string().email().required(),
-    password: Joi.string().min(6).required(),
-    confirmPassword: Joi.string().valid(Joi.ref('password')).required(),
-    firstName: Joi.string().max(50).allow(''),
-    lastName: Joi.string().max(50).allow(''),
-    phone: Joi.any(), // No validation for phone
-  });
-
-  return schema.validate(data);
-};
+const userRegistrationSchema = () => Joi.object({
+  username: Joi.string().alphanum().min(3).max(30).required(),
+  email: Joi.string().email().required(),
+  password: Joi.string().min(6).required(),
+  confirmPassword: Joi.string().valid(Joi.ref('password')).required(),
+  firstName: Joi.string().max(50).allow(''),
+  lastName: Joi.string().max(50).allow(''),
+  phone: Joi.any(), // No validation for phone
+  locale: Joi.string().valid(...SUPPORTED_LOCALES),
+});
+
+const validateUserRegistration = data => userRegistrationSchema().validate(data);
 
 // User Login Validation
-const validateUserLogin = (data) => {
-  const schema = Joi.object({
-    email: Joi.string().email().required(),
-    password: Joi.string().min(6).required(),
-  });
+const userLoginSchema = () => Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().min(6).required(),
+});
 
-  return schema.validate(data);
-};
+const validateUserLogin = data => userLoginSchema().validate(data);
+
+// Email Only Validation (resend verification, etc.)
+const emailOnlySchema = () => Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const validateEmailOnly = data => emailOnlySchema().validate(data);
+
+// Password Reset Validation
+const passwordResetSchema = () => Joi.object({
+  token: Joi.string().hex().length(64).required(),
+  password: Joi.string().min(6).required(),
+  confirmPassword: Joi.string().valid(Joi.ref('password')).required(),
+});
+
+const validatePasswordReset = data => passwordResetSchema().validate(data);
+
+// Refresh Token Validation (refresh, logout)
+const refreshTokenSchema = () => Joi.object({
+  refreshToken: Joi.string().hex().length(96).required(),
+});
+
+const validateRefreshToken = data => refreshTokenSchema().validate(data);
 
 // Car Listing Validation
-const validateCarListing = (data) => {
-  const schema = Joi.object({
-    title: Joi.string().max(100).required(),
-    description: Joi.string().required(),
-    brand: Joi.string().required(),
-    model: Joi.string().required(),
-    year: Joi.number().integer().min(1900).max(new Date().getFullYear() + 1).required(),
-    price: Joi.number().min(0).required(),
-    mileage: Joi.number().min(0).required(),
-    transmission: Joi.string().valid('manual', 'automatic').required(),
-    fuelType: Joi.string().valid('petrol', 'diesel', 'electric', 'hybrid').required(),
-    color: Joi.string(),
-    features: Joi.array().items(Joi.string()),
-    location: Joi.object({
-      city: Joi.string(),
-      state: Joi.string(),
-      country: Joi.string(),
-    }),
-  });
-
-  return schema.validate(data);
+const carListingSchema = () => Joi.object({
+  title: Joi.string().max(100).required(),
+  description: Joi.string().required(),
+  brand: Joi.string().required(),
+  model: Joi.string().required(),
+  year: Joi.number().integer().min(1900).max(new Date().getFullYear() + 1).required(),
+  price: Joi.number().min(0).required(),
+  mileage: Joi.number().min(0).required(),
+  transmission: Joi.string().valid('manual', 'automatic').required(),
+  fuelType: Joi.string().valid('petrol', 'diesel', 'electric', 'hybrid').required(),
+  color: Joi.string(),
+  features: Joi.array().items(Joi.string()),
+  location: Joi.object({
+    city: Joi.string(),
+    state: Joi.string(),
+    country: Joi.string(),
+  }),
+});
+
+const validateCarListing = data => carListingSchema().validate(data);
+
+// Car Status Change Validation (reason required when rejecting)
+const carStatusChangeSchema = () => Joi.object({
+  status: Joi.string().valid(...Object.values(CAR_STATUS)).required(),
+  reason: Joi.string().trim().max(500).when('status', {
+    is: CAR_STATUS.REJECTED,
+    then: Joi.required(),
+    otherwise: Joi.allow(''),
+  }),
+});
+
+const validateCarStatusChange = data => carStatusChangeSchema().validate(data);
+
+// Car listing filters, shared by GET /cars and saved searches
+const carListingFilterKeys = {
+  search: Joi.string().trim().max(100).allow(''),
+  brand: Joi.string().trim().max(50).allow(''),
+  model: Joi.string().trim().max(50).allow(''),
+  color: Joi.string().trim().max(30).allow(''),
+  status: QueryJoi.list().items(Joi.string().valid(...PUBLIC_CAR_STATUSES)),
+  transmission: QueryJoi.list().items(Joi.string().valid('manual', 'automatic')),
+  fuelType: QueryJoi.list().items(Joi.string().valid('petrol', 'diesel', 'electric', 'hybrid')),
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number().min(0),
+  minYear: Joi.number().integer().min(1900),
+  maxYear: Joi.number().integer().min(1900),
+  minMileage: Joi.number().min(0),
+  maxMileage: Joi.number().min(0),
+  features: QueryJoi.list().items(Joi.string().trim().max(50)),
+  featuresMatch: Joi.string().valid('all', 'any').default('all'),
+  city: Joi.string().trim().max(100).allow(''),
+  state: Joi.string().trim().max(100).allow(''),
+  country: Joi.string().trim().max(100).allow(''),
+  rentable: Joi.boolean(),
 };
 
+// Car Listing Query Validation (GET /cars filters and sorting)
+const carListingQuerySchema = () => Joi.object({
+  ...carListingFilterKeys,
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  sort: Joi.string().valid(...Object.keys(CAR_SORT_OPTIONS)).default('newest'),
+});
+
+const validateCarListingQuery = data => carListingQuerySchema().validate(data);
+
+// Saved Search Validation
+const savedSearchSchema = () => Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  filters: Joi.object(carListingFilterKeys).required(),
+  frequency: Joi.string().valid(...SAVED_SEARCH.FREQUENCIES).default('instant'),
+  isActive: Joi.boolean().default(true),
+});
+
+const validateSavedSearchData = data => savedSearchSchema().validate(data);
+
+// Notification Preferences Validation (categories left out keep their setting)
+const notificationPreferencesSchema = () => Joi.object({
+  email: Joi.object(Object.fromEntries(
+    Object.values(NOTIFICATION_CATEGORIES).map(category => [category, Joi.boolean()])
+  )).min(1).required(),
+});
+
+const validateNotificationPreferencesData = data => notificationPreferencesSchema().validate(data);
+
+// Rental Settings Validation
+const rentalSettingsSchema = () => Joi.object({
+  isRentable: Joi.boolean().required(),
+  dailyRate: Joi.number().min(0).when('isRentable', { is: true, then: Joi.required() }),
+  weeklyRate: Joi.number().min(0),
+  blackoutDates: Joi.array().items(Joi.object({
+    startDate: Joi.date().iso().required(),
+    endDate: Joi.date().iso().greater(Joi.ref('startDate')).required(),
+    reason: Joi.string().trim().max(200).allow(''),
+  })).max(100).default([]),
+});
+
+const validateRentalSettingsData = data => rentalSettingsSchema().validate(data);
+
+// Booking Request Validation
+const bookingRequestSchema = () => Joi.object({
+  startDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().greater(Joi.ref('startDate')).required(),
+  message: Joi.string().trim().max(1000).allow(''),
+});
+
+const validateBookingRequestData = data => bookingRequestSchema().validate(data);
+
+// Booking Decline/Cancel Validation
+const bookingReasonSchema = () => Joi.object({
+  reason: Joi.string().trim().max(500).allow(''),
+});
+
+const validateBookingReason = data => bookingReasonSchema().validate(data);
+
+// Offer / Counter-Offer Validation
+const offerSchema = () => Joi.object({
+  amount: Joi.number().integer().min(1).max(100000000).required(),
+  message: Joi.string().trim().max(1000).allow(''),
+});
+
+const validateOfferData = data => offerSchema().validate(data);
+
+// Offer Decline Validation
+const offerDeclineSchema = () => Joi.object({
+  message: Joi.string().trim().max(1000).allow(''),
+});
+
+const validateOfferDeclineData = data => offerDeclineSchema().validate(data);
+
+// Conversation Start Validation
+const conversationStartSchema = () => Joi.object({
+  carId: Joi.string().hex().length(24).required(),
+  text: Joi.string().trim().min(1).max(MESSAGING.MAX_MESSAGE_LENGTH).required(),
+});
+
+const validateConversationStart = data => conversationStartSchema().validate(data);
+
+// Message Validation
+const messageSchema = () => Joi.object({
+  text: Joi.string().trim().min(1).max(MESSAGING.MAX_MESSAGE_LENGTH).required(),
+});
+
+const validateMessageData = data => messageSchema().validate(data);
+
+// Car Review Validation
+const carReviewSchema = () => Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  comment: Joi.string().trim().max(1000).allow(''),
+});
+
+const validateCarReview = data => carReviewSchema().validate(data);
+
+// Car Image Order Validation
+const carImageOrderSchema = () => Joi.object({
+  imageIds: Joi.array().items(Joi.string().hex().length(24)).min(1).required(),
+});
+
+const validateCarImageOrder = data => carImageOrderSchema().validate(data);
+
+// Moderation Rejection Validation
+const moderationRejectionSchema = () => Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required(),
+});
+
+const validateModerationRejection = data => moderationRejectionSchema().validate(data);
+
+// Admin Role Change Validation
+const roleChangeSchema = () => Joi.object({
+  role: Joi.string().valid(...Object.values(ROLES)).required(),
+});
+
+const validateRoleChange = data => roleChangeSchema().validate(data);
+
+// Admin Suspension Validation
+const suspensionSchema = () => Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required(),
+});
+
+const validateSuspension = data => suspensionSchema().validate(data);
+
+// Admin Listing Reassignment Validation
+const listingReassignmentSchema = () => Joi.object({
+  newOwnerId: Joi.string().hex().length(24).required(),
+});
+
+const validateListingReassignment = data => listingReassignmentSchema().validate(data);
+
+// Email Preview Query Validation (GET /admin/emails/preview/:template)
+const emailPreviewQuerySchema = () => Joi.object({
+  locale: Joi.string().valid(...SUPPORTED_LOCALES).default(DEFAULT_LOCALE),
+  format: Joi.string().valid('json', 'html', 'text').default('json'),
+});
+
+const validateEmailPreviewQuery = data => emailPreviewQuerySchema().validate(data);
+
 // User Profile Update Validation
-const validateUserProfileUpdate = (data) => {
-  const schema = Joi.object({
-    username: Joi.string().alphanum().min(3).max(30).allow(''),
-    email: Joi.string().email().allow(''),
-    firstName: Joi.string().max(50).allow(''),
-    lastName: Joi.string().max(50).allow(''),
-    phone: Joi.any(), // No validation for phone
-    address: Joi.object({
-      street: Joi.string().allow(''),
-      city: Joi.string().allow(''),
-      state: Joi.string().allow(''),
-      zipCode: Joi.string().allow(''),
-      country: Joi.string().allow(''),
-    }),
-  });
-
-  return schema.validate(data);
+const userProfileUpdateSchema = () => Joi.object({
+  username: Joi.string().alphanum().min(3).max(30).allow(''),
+  email: Joi.string().email().allow(''),
+  firstName: Joi.string().max(50).allow(''),
+  lastName: Joi.string().max(50).allow(''),
+  phone: Joi.any(), // No validation for phone
+  locale: Joi.string().valid(...SUPPORTED_LOCALES),
+  address: Joi.object({
+    street: Joi.string().allow(''),
+    city: Joi.string().allow(''),
+    state: Joi.string().allow(''),
+    zipCode: Joi.string().allow(''),
+    country: Joi.string().allow(''),
+  }),
+  contactPrivacy: Joi.object({
+    email: Joi.string().valid(...Object.values(CONTACT_VISIBILITY)),
+    phone: Joi.string().valid(...Object.values(CONTACT_VISIBILITY)),
+    address: Joi.string().valid(...Object.values(CONTACT_VISIBILITY)),
+  }),
+});
+
+const validateUserProfileUpdate = data => userProfileUpdateSchema().validate(data);
+
+const schemas = {
+  userRegistration: userRegistrationSchema,
+  userLogin: userLoginSchema,
+  emailOnly: emailOnlySchema,
+  passwordReset: passwordResetSchema,
+  refreshToken: refreshTokenSchema,
+  carListing: carListingSchema,
+  carListingQuery: carListingQuerySchema,
+  carStatusChange: carStatusChangeSchema,
+  savedSearch: savedSearchSchema,
+  notificationPreferences: notificationPreferencesSchema,
+  conversationStart: conversationStartSchema,
+  message: messageSchema,
+  rentalSettings: rentalSettingsSchema,
+  bookingRequest: bookingRequestSchema,
+  bookingReason: bookingReasonSchema,
+  offer: offerSchema,
+  offerDecline: offerDeclineSchema,
+  carReview: carReviewSchema,
+  carImageOrder: carImageOrderSchema,
+  moderationRejection: moderationRejectionSchema,
+  roleChange: roleChangeSchema,
+  suspension: suspensionSchema,
+  listingReassignment: listingReassignmentSchema,
+  emailPreviewQuery: emailPreviewQuerySchema,
+  userProfileUpdate: userProfileUpdateSchema,
 };
 
 module.exports = {
+  schemas,
   validateUserRegistration,
   validateUserLogin,
+  validateEmailOnly,
+  validatePasswordReset,
+  validateRefreshToken,
   validateCarListing,
+  validateCarListingQuery,
+  validateCarStatusChange,
+  validateSavedSearchData,
+  validateNotificationPreferencesData,
+  validateConversationStart,
+  validateMessageData,
+  validateRentalSettingsData,
+  validateBookingRequestData,
+  validateBookingReason,
+  validateOfferData,
+  validateOfferDeclineData,
+  validateCarReview,
+  validateCarImageOrder,
+  validateModerationRejection,
+  validateRoleChange,
+  validateSuspension,
+  validateListingReassignment,
+  validateEmailPreviewQuery,
   validateUserProfileUpdate,
 };
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const Car = require('../models/Car');
+const CarView = require('../models/CarView');
+const CarDailyStat = require('../models/CarDailyStat');
+const { VIEW_TRACKING, PUBLIC_CAR_STATUSES } = require('../config/constants');
+
+// Crawlers, link previews and scripts; requests without a user agent are treated as bots too
+const isBotRequest = (req) => {
+  const userAgent = req.get('user-agent') || '';
+  return !userAgent || VIEW_TRACKING.BOT_USER_AGENT_PATTERN.test(userAgent);
+};
+
+// Signed-in viewers are identified by their id, guests by a hash of IP and user agent
+const getViewerKey = (req) => {
+  if (req.user?.userId) {
+    return `user:${req.user.userId}`;
+  }
+
+  const fingerprint = `${req.ip}|${req.get('user-agent') || ''}`;
+  return `guest:${crypto.createHash('sha256').update(fingerprint).digest('hex')}`;
+};
+
+// Claim the viewer's slot for this listing; resolves to false when they were already counted in the window
+const claimView = async (carId, viewerKey) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + VIEW_TRACKING.DEDUP_WINDOW_MINUTES * 60 * 1000);
+
+  try {
+    await CarView.create({ car: carId, viewerKey, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // The marker exists; it only counts again once it has expired (MongoDB removes expired markers lazily)
+  const renewed = await CarView.updateOne(
+    { car: carId, viewerKey, expiresAt: { $lte: now } },
+    { expiresAt }
+  );
+  return renewed.modifiedCount === 1;
+};
+
+// Count a view of a public listing, once per viewer per window, skipping the owner and bots
+// Resolves to true when the view was counted
+// Listings of deleted accounts have no owner: their views are counted without daily stats
+const recordCarView = async (car, req) => {
+  const ownerId = car.owner ? String(car.owner._id || car.owner) : null;
+
+  if (!PUBLIC_CAR_STATUSES.includes(car.status) || req.user?.userId === ownerId || isBotRequest(req)) {
+    return false;
+  }
+
+  if (!(await claimView(car._id, getViewerKey(req)))) {
+    return false;
+  }
+
+  const day = new Date();
+  day.setUTCHours(0, 0, 0, 0);
+
+  await Car.updateOne({ _id: car._id }, { $inc: { views: 1 } });
+  if (!ownerId) return true;
+
+  const dailyStat = [
+    { car: car._id, day },
+    { $inc: { views: 1 }, $setOnInsert: { owner: ownerId } },
+    { upsert: true },
+  ];
+  try {
+    await CarDailyStat.updateOne(...dailyStat);
+  } catch (error) {
+    // A concurrent view created the day's counter first
+    if (error.code !== 11000) throw error;
+    await CarDailyStat.updateOne(...dailyStat);
+  }
+
+  return true;
+};
+
+module.exports = {
+  recordCarView,
+};